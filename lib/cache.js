@@ -9,7 +9,14 @@
 const assert = require('assert');
 const { EventEmitter } = require('events');
 const Redis = require('ioredis');
-const { createPromiseCallback } = require('./utils');
+const { createPromiseCallback, waitForDrain, ClosedError, cacheDebug: debug } = require('./utils');
+
+// 默认的缓存驱动，使用 ioredis 连接 Redis
+const redisDriver = {
+  createClient(options) {
+    return new Redis(options);
+  },
+};
 
 class Cache extends EventEmitter {
 
@@ -21,13 +28,17 @@ class Cache extends EventEmitter {
    *                    参考 https://github.com/luin/ioredis/blob/master/API.md#new_Redis
    *   - {Number} ttl 缓存时间，秒
    *   - {String} prefix Key前缀
+   *   - {Object} driver 缓存驱动，需要提供 createClient(redis)，默认使用 ioredis，
+   *                     参考 MemoryCacheDriver
    */
   constructor(options) {
     super();
     options = Object.assign({}, options || {});
 
-    assert.ok(options.redis, `missing redis parameter`);
-    this._redis = new Redis(options.redis);
+    const driver = options.driver || redisDriver;
+    assert.ok(typeof driver.createClient === 'function', `driver must provide createClient()`);
+    assert.ok(options.redis || options.driver, `missing redis parameter`);
+    this._redis = driver.createClient(options.redis);
     this._redis.on('error', err => {
       this.emit('error', err);
     });
@@ -37,6 +48,31 @@ class Cache extends EventEmitter {
     this._ttl = Number(options.ttl);
 
     this._prefix = options.prefix || '';
+
+    // 正在执行的操作数量，关闭时等待其全部结束
+    this._pending = 0;
+    this._closed = false;
+  }
+
+  /**
+   * 开始一个操作，返回包装后的回调函数，如果已关闭则以 ClosedError 调用回调并返回 null
+   *
+   * @param {Function} callback
+   * @return {Function}
+   */
+  _track(callback) {
+    if (this._closed) {
+      process.nextTick(() => callback(new ClosedError(`cache is closed`)));
+      return null;
+    }
+    this._pending += 1;
+    return (err, ret) => {
+      this._pending -= 1;
+      callback(err, ret);
+      if (this._pending < 1) {
+        this.emit('drain');
+      }
+    };
   }
 
   /**
@@ -58,6 +94,8 @@ class Cache extends EventEmitter {
    */
   saveList(list, callback) {
     callback = callback || createPromiseCallback();
+    const done = this._track(callback);
+    if (!done) return callback.promise;
     const p = this._redis.multi();
     const keys = [];
     for (const item of list) {
@@ -65,7 +103,7 @@ class Cache extends EventEmitter {
       keys.push(key);
       p.setex(key, this._ttl, item.data);
     }
-    p.exec(err => callback(err, keys));
+    p.exec(err => done(err, keys));
     return callback.promise;
   }
 
@@ -78,8 +116,10 @@ class Cache extends EventEmitter {
    */
   getList(list, callback) {
     callback = callback || createPromiseCallback();
+    const done = this._track(callback);
+    if (!done) return callback.promise;
     list = list.map(key => this._getKey(key));
-    this._redis.mget(list, callback);
+    this._redis.mget(list, done);
     return callback.promise;
   }
 
@@ -92,6 +132,8 @@ class Cache extends EventEmitter {
    */
   removeList(list, callback) {
     callback = callback || createPromiseCallback();
+    const done = this._track(callback);
+    if (!done) return callback.promise;
     const p = this._redis.multi();
     const keys = [];
     for (const item of list) {
@@ -99,19 +141,41 @@ class Cache extends EventEmitter {
       keys.push(key);
       p.del(key);
     }
-    p.exec(err => callback(err, keys));
+    p.exec(err => done(err, keys));
     return callback.promise;
   }
 
   /**
-   * 关闭连接
+   * 关闭连接，等待正在执行的操作结束后再关闭，之后的操作均返回 ClosedError
    *
+   * @param {Object} options 可选
+   *   - {Number} timeout 最长等待时间（毫秒），超时后直接关闭，默认为 10000，0 表示不限制
+   *   - {Boolean} force 是否不等待直接关闭
    * @param {Function} callback
    * @return {Promise}
    */
-  close(callback) {
+  close(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    options = Object.assign({ timeout: 10000, force: false }, options);
     callback = callback || createPromiseCallback();
-    this._redis.quit(callback);
+    const quit = () => {
+      if (this._closed) return callback(null);
+      this._closed = true;
+      this._redis.quit(callback);
+    };
+    if (options.force) {
+      quit();
+    } else {
+      waitForDrain(this, () => this._pending, options.timeout, drained => {
+        if (!drained) {
+          debug('close timeout, %s pending', this._pending);
+        }
+        quit();
+      });
+    }
     return callback.promise;
   }
 
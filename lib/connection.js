@@ -8,28 +8,42 @@
 
 const assert = require('assert');
 const { EventEmitter } = require('events');
-const { createPoolCluster } = require('mysql');
+const { Readable } = require('stream');
+const mysql = require('mysql');
 const {
-  createPromiseCallback, sqlEscape, sqlEscapeId, sqlFormat, sqlFormatObject,
-  isUpdateSQL,
+  createPromiseCallback,
+  isUpdateSQL, isMasterQuery, isQueryRetryableError, getRetryDelay, getQueryString, onAbort,
+  waitForDrain, QueryTimeoutError, QueryCancelledError, ClosedError, ConnectionInitError, UnknownTagError,
   connectionDebug: debug,
 } = require('./utils');
 const coroutine = require('lei-coroutine');
+const Transaction = require('./transaction');
+const { getDialect } = require('./dialect');
+
+// 通过包装后的 connection 获取原始 connection
+const RAW_CONNECTION = Symbol('raw connection');
 
 /**
  * 原始 connection 增加 Promise 支持
  *
  * @param {Object} connection
+ * @param {Function} onRelease 连接被释放或销毁时调用（仅调用一次）
  * @return {Object}
  */
-function wrapConnection(connection) {
+function wrapConnection(connection, onRelease) {
+  let released = false;
   return new Proxy(connection, {
     get(target, name) {
       switch (name) {
+      case RAW_CONNECTION:
+        return target;
       case 'query':
+      case 'execute':
       case 'beginTransaction':
       case 'commit':
       case 'rollback':
+        // 驱动不一定提供 execute()
+        if (typeof target[name] !== 'function') return target[name];
         return function (...args) {
           const cb = args[args.length - 1];
           if (typeof cb === 'function') {
@@ -37,6 +51,15 @@ function wrapConnection(connection) {
           }
           return coroutine.cb(target, name, ...args);
         };
+      case 'release':
+      case 'destroy':
+        return function (...args) {
+          if (!released) {
+            released = true;
+            onRelease();
+          }
+          return target[name](...args);
+        };
       default:
         return target[name];
       }
@@ -44,6 +67,83 @@ function wrapConnection(connection) {
   });
 }
 
+/**
+ * 获取节点选择策略名称
+ *
+ * @param {String} selector
+ * @return {String}
+ */
+function getSelectorName(selector) {
+  const name = String(selector || 'RR').toUpperCase().replace(/-/g, '_');
+  switch (name) {
+  case 'RR':
+  case 'ROUND_ROBIN':
+    return 'RR';
+  case 'RANDOM':
+  case 'WEIGHTED':
+  case 'LEAST_CONNECTIONS':
+    return name;
+  default:
+    throw new TypeError(`not support selector "${ selector }"`);
+  }
+}
+
+/**
+ * 获取连接池的连接数量
+ *
+ * @param {Object} pool
+ * @return {Object} 格式为 { total, idle, queued }
+ */
+function getPoolCount(pool) {
+  if (pool && typeof pool.stats === 'function') return pool.stats();
+  if (!pool || !pool._allConnections) return { total: 0, idle: 0, queued: 0 };
+  return {
+    total: pool._allConnections.length,
+    idle: pool._freeConnections.length,
+    queued: pool._connectionQueue.length,
+  };
+}
+
+/**
+ * 获取连接池正在使用及排队等待的连接数量
+ *
+ * @param {Object} pool
+ * @return {Number}
+ */
+function getPoolActiveCount(pool) {
+  const count = getPoolCount(pool);
+  return count.total - count.idle + count.queued;
+}
+
+/**
+ * 获取连接初始化的选项，如果不需要初始化返回 null
+ *
+ * @param {String} id
+ * @param {String|Array} initSql
+ * @param {Function} onConnect
+ * @return {Object} 格式为 { sql, onConnect }
+ */
+function getInitOptions(id, initSql, onConnect) {
+  const sql = initSql ? [].concat(initSql) : [];
+  sql.forEach(item => {
+    assert.ok(item && typeof item === 'string', `initSql of connection "${ id }" must be a string or an array of string`);
+  });
+  assert.ok(!onConnect || typeof onConnect === 'function', `onConnect of connection "${ id }" must be a function`);
+  if (sql.length < 1 && !onConnect) {
+    return null;
+  }
+  return { sql, onConnect: onConnect || null };
+}
+
+/**
+ * 默认的慢查询日志输出，通过 DEBUG=super-orm:connection 查看
+ *
+ * @param {Object} info
+ */
+function logSlowQuery(info) {
+  debug('slow query %sms on %s: %s', info.duration, info.pool, info.sql);
+}
+
 class Connection extends EventEmitter {
 
   /**
@@ -54,50 +154,477 @@ class Connection extends EventEmitter {
    *                         包含 { host, port, user, password, database, connectionLimit }
    *                         参考 https://www.npmjs.com/package/mysql#connection-options
    *                         和   https://www.npmjs.com/package/mysql#pool-options
+   *                         另外可以指定 weight 权重（默认为 1），tags 标签数组，
+   *                         有标签的连接仅用于通过标签指定的查询，例如 find().on('analytics')，
+   *                         以及 initSql 和 onConnect（参考下面的说明，覆盖 Connection 的同名选项）
+   *   - {String|Array} initSql 每个新建的连接第一次使用前执行的语句，例如 SET time_zone = '+00:00'
+   *   - {Function} onConnect 每个新建的连接第一次使用前执行的函数，在 initSql 之后执行，
+   *                          格式为 function (conn) 返回 Promise，conn 支持 Promise，不能释放该连接
+   *                          initSql 或 onConnect 失败时销毁该连接，获取连接的操作返回 ConnectionInitError
+   *   - {String} selector 只读查询选择连接的策略：RR（round-robin）, RANDOM, WEIGHTED, LEAST_CONNECTIONS，默认为 RR
+   *   - {Object} driver MySQL 驱动模块，需要提供 createPoolCluster() 和 createConnection()，默认为 require('mysql')
+   *                     使用 require('mysql2') 时参数化查询将使用服务端预处理语句执行，
+   *                     驱动接口参考 MemoryDriver，连接 PostgreSQL 时使用 PgDriver
+   *   - {String|Object} dialect SQL 方言：mysql, postgresql 或者 Dialect 实例，默认为驱动的 dialect 属性或 mysql
+   *   - {Number} queryRetries SELECT 查询遇到网络错误（如 PROTOCOL_CONNECTION_LOST）时的重试次数，默认为 0
+   *   - {Number|Function} queryRetryDelay 重试前等待的时间（毫秒），默认为 100
+   *   - {String} queryRetryBackoff 重试等待时间的增长方式：fixed, linear, exponential，默认为 fixed
+   *   - {Number} queryTimeout 默认的查询超时时间（毫秒），超时后会终止查询并返回 QueryTimeoutError，默认为 0 不限制
+   *   - {Object|Boolean} slowQueryLog 记录执行时间超过阈值的查询，为 true 时使用默认配置，格式为 { threshold, logger }
+   *                                   threshold 阈值（毫秒），默认为 1000
+   *                                   logger 记录日志的函数，格式为 function (info)，默认使用 debug 输出
+   *   - {Object|Boolean} slaveHealthCheck 定时检查 SLAVE 的复制延迟，延迟过大或无法连接的 SLAVE 暂时不参与查询
+   *                                       为 true 时使用默认配置，格式为 { interval, maxLag, sql }
+   *                                       interval 检查间隔（毫秒），默认为 5000
+   *                                       maxLag 允许的最大延迟（秒），默认为 10
+   *                                       sql 查询延迟的语句，MySQL 默认为 SHOW SLAVE STATUS（读取 Seconds_Behind_Master），
+   *                                           也可以查询心跳表，返回结果第一行第一列为延迟秒数
    */
   constructor(options) {
     super();
     this._options = options = Object.assign({}, options || {});
 
+    this._queryRetries = Number(options.queryRetries || 0);
+    assert.ok(this._queryRetries >= 0, `queryRetries must >= 0`);
+    this._queryRetryDelay = 'queryRetryDelay' in options ? options.queryRetryDelay : 100;
+    this._queryRetryBackoff = options.queryRetryBackoff || 'fixed';
+    this._queryTimeout = Number(options.queryTimeout || 0);
+    assert.ok(this._queryTimeout >= 0, `queryTimeout must >= 0`);
+
     assert.ok(Array.isArray(options.connections), `connections must be an array`);
     assert.ok(options.connections.length >= 1, `connections must includes at least one item`);
-    this._poolCluster = createPoolCluster();
-    this._poolCluster.add('MASTER', options.connections[0]);
-    options.connections.slice(1).forEach((config, index) => {
-      this._poolCluster.add(`SLAVE${ index }`, config);
+    const driver = options.driver || mysql;
+    assert.ok(typeof driver.createPoolCluster === 'function', `driver must provide createPoolCluster()`);
+    this._driver = driver;
+    this.dialect = getDialect(options.dialect || driver.dialect);
+    this._poolCluster = driver.createPoolCluster();
+    this._selector = getSelectorName(options.selector);
+    this._selectorCounter = new Map();
+    this._nodes = options.connections.map((config, index) => {
+      const id = index === 0 ? 'MASTER' : `SLAVE${ index - 1 }`;
+      config = Object.assign({}, config);
+      const weight = 'weight' in config ? Number(config.weight) : 1;
+      assert.ok(weight > 0, `weight of connection "${ id }" must > 0`);
+      const tags = config.tags || [];
+      assert.ok(Array.isArray(tags), `tags of connection "${ id }" must be an array`);
+      const init = getInitOptions(id, 'initSql' in config ? config.initSql : options.initSql,
+                                  'onConnect' in config ? config.onConnect : options.onConnect);
+      delete config.weight;
+      delete config.tags;
+      delete config.initSql;
+      delete config.onConnect;
+      this._poolCluster.add(id, config);
+      return { id, weight, tags, init };
     });
+    // 已经执行过 initSql 及 onConnect 的原始连接
+    this._initialized = new WeakSet();
     this._poolMaster = this._poolCluster.of('MASTER');
-    this._poolSlave = this._poolCluster.of('SLAVE*');
+    // 正在执行的查询、事务及未释放的连接数量，关闭时等待其全部结束
+    this._pending = 0;
+    this._closing = false;
+    this._closePromise = null;
+    // 每个节点获取连接的次数及等待时间，格式为 Map<id, { count, time }>
+    this._acquireStats = new Map(this._nodes.map(node => [ node.id, { count: 0, time: 0 }]));
 
     this._poolCluster.on('error', err => this.emit('error', err));
     this._poolCluster.on('connection', connection => this.emit('connection', connection));
     this._poolCluster.on('enqueue', () => this.emit('enqueue'));
+
+    this._slowQueryLog = null;
+    if (options.slowQueryLog) {
+      this._slowQueryLog = Object.assign({
+        threshold: 1000,
+        logger: logSlowQuery,
+      }, options.slowQueryLog === true ? {} : options.slowQueryLog);
+      assert.ok(this._slowQueryLog.threshold >= 0, `slowQueryLog.threshold must >= 0`);
+      assert.ok(typeof this._slowQueryLog.logger === 'function', `slowQueryLog.logger must be a function`);
+      this.on('queryEnd', info => {
+        if (info.duration >= this._slowQueryLog.threshold) {
+          this._slowQueryLog.logger(info);
+        }
+      });
+    }
+
+    this._slaveIds = options.connections.slice(1).map((config, index) => `SLAVE${ index }`);
+    // 暂时不参与查询的 SLAVE
+    this._slaveDown = new Set();
+    this._slaveChecking = false;
+    this._slaveHealthCheck = null;
+    this._slaveHealthCheckTimer = null;
+    if (options.slaveHealthCheck) {
+      this._slaveHealthCheck = Object.assign({
+        interval: 5000,
+        maxLag: 10,
+        sql: this.dialect.slaveLagSql,
+      }, options.slaveHealthCheck === true ? {} : options.slaveHealthCheck);
+      assert.ok(this._slaveHealthCheck.interval > 0, `slaveHealthCheck.interval must > 0`);
+      assert.ok(this._slaveHealthCheck.maxLag >= 0, `slaveHealthCheck.maxLag must >= 0`);
+      if (this._slaveIds.length > 0) {
+        this._slaveHealthCheckTimer = setInterval(() => this.checkSlaves(), this._slaveHealthCheck.interval);
+        this._slaveHealthCheckTimer.unref();
+        this.checkSlaves();
+      }
+    }
   }
 
   /**
-   * 关闭连接
+   * 检查所有 SLAVE 的复制延迟，并更新参与查询的 SLAVE 列表
+   * 状态变化时触发 slaveDown 和 slaveUp 事件
    *
    * @param {Function} callback
    * @return {Promise}
    */
-  close(callback) {
+  checkSlaves(callback) {
     callback = callback || createPromiseCallback();
-    this._poolCluster.end(callback);
+    if (this._slaveChecking || this._slaveIds.length < 1) {
+      process.nextTick(() => callback(null));
+      return callback.promise;
+    }
+    this._slaveChecking = true;
+    let pending = this._slaveIds.length;
+    for (const id of this._slaveIds) {
+      this._checkSlave(id, (err, lag) => {
+        const maxLag = this._slaveHealthCheck ? this._slaveHealthCheck.maxLag : 10;
+        const isDown = !!err || lag === null || lag > maxLag;
+        const info = { error: err || null, lag };
+        if (isDown && !this._slaveDown.has(id)) {
+          debug('slave %s down: lag=%s %s', id, lag, err || '');
+          this._slaveDown.add(id);
+          this.emit('slaveDown', id, info);
+        } else if (!isDown && this._slaveDown.has(id)) {
+          debug('slave %s up: lag=%s', id, lag);
+          this._slaveDown.delete(id);
+          this.emit('slaveUp', id, info);
+        }
+        pending -= 1;
+        if (pending < 1) {
+          this._slaveChecking = false;
+          callback(null);
+        }
+      });
+    }
     return callback.promise;
   }
 
+  /**
+   * 查询指定 SLAVE 的复制延迟（秒），如果复制未运行则为 null
+   *
+   * @param {String} id
+   * @param {Function} callback
+   */
+  _checkSlave(id, callback) {
+    const options = this._slaveHealthCheck || {};
+    const sql = options.sql || this.dialect.slaveLagSql;
+    this._poolCluster.of(id).getConnection((err, connection) => {
+      if (err) return callback(err, null);
+      this._initConnection(connection, err => {
+        if (err) return callback(err, null);
+        connection.query({ sql, timeout: options.interval }, (err, ret) => {
+          connection.release();
+          if (err) return callback(err, null);
+          const row = Array.isArray(ret) && ret[0];
+          if (!row) return callback(null, null);
+          const value = 'Seconds_Behind_Master' in row ? row.Seconds_Behind_Master : row[Object.keys(row)[0]];
+          callback(null, value === null || value === undefined ? null : Number(value));
+        });
+      });
+    });
+  }
+
+  /**
+   * 按照 selector 策略从候选节点中选择一个
+   *
+   * @param {Array} list
+   * @param {String} group 用于 RR 策略计数
+   * @return {Object}
+   */
+  _selectNode(list, group) {
+    if (list.length === 1) {
+      return list[0];
+    }
+    switch (this._selector) {
+    case 'RANDOM':
+      return list[Math.floor(Math.random() * list.length)];
+    case 'WEIGHTED': {
+      const total = list.reduce((n, node) => n + node.weight, 0);
+      let r = Math.random() * total;
+      for (const node of list) {
+        r -= node.weight;
+        if (r < 0) return node;
+      }
+      return list[list.length - 1];
+    }
+    case 'LEAST_CONNECTIONS': {
+      const counts = list.map(node => {
+        const cluster = this._poolCluster._getNode(node.id);
+        return getPoolActiveCount(cluster && cluster.pool) / node.weight;
+      });
+      const min = Math.min(...counts);
+      // 连接数相同时轮流选择
+      return this._roundRobin(list.filter((node, i) => counts[i] === min), group);
+    }
+    default:
+      return this._roundRobin(list, group);
+    }
+  }
+
+  /**
+   * 从候选节点中轮流选择一个
+   *
+   * @param {Array} list
+   * @param {String} group
+   * @return {Object}
+   */
+  _roundRobin(list, group) {
+    const counter = this._selectorCounter.get(group) || 0;
+    this._selectorCounter.set(group, counter + 1);
+    return list[counter % list.length];
+  }
+
+  /**
+   * 获取指定标签的可用节点，如果没有可用节点返回 null，
+   * 如果没有该标签的连接则返回 UnknownTagError，由查询时通过回调返回
+   *
+   * @param {String} tag
+   * @return {Object}
+   */
+  _getTaggedPool(tag) {
+    const tagged = this._nodes.filter(node => node.tags.indexOf(tag) !== -1);
+    if (tagged.length < 1) {
+      return new UnknownTagError(`no connection is tagged "${ tag }"`, { tag });
+    }
+    const list = tagged.filter(node => !this._slaveDown.has(node.id));
+    if (list.length < 1) {
+      return null;
+    }
+    return this._poolCluster.of(this._selectNode(list, `tag:${ tag }`).id);
+  }
+
+  /**
+   * 获取用于 SLAVE 查询的连接池，排除暂时不参与查询的 SLAVE，
+   * 如果没有可用的 SLAVE 则使用 MASTER
+   *
+   * @param {String} tag 标签，可选
+   * @return {Object}
+   */
+  _getSlavePool(tag) {
+    if (tag) {
+      const pool = this._getTaggedPool(tag);
+      if (pool) return pool;
+    }
+    const list = this._nodes.filter(node => {
+      return node.id !== 'MASTER' && node.tags.length < 1 && !this._slaveDown.has(node.id);
+    });
+    if (list.length < 1) {
+      return this._poolMaster;
+    }
+    return this._poolCluster.of(this._selectNode(list, 'slave').id);
+  }
+
+  /**
+   * 获取用于只读查询的连接池，排除暂时不参与查询的 SLAVE
+   *
+   * @param {String} tag 标签，可选
+   * @return {Object}
+   */
+  _getReadPool(tag) {
+    if (tag) {
+      const pool = this._getTaggedPool(tag);
+      if (pool) return pool;
+    }
+    const list = this._nodes.filter(node => {
+      return node.tags.length < 1 && !this._slaveDown.has(node.id);
+    });
+    if (list.length < 1) {
+      return this._poolMaster;
+    }
+    return this._poolCluster.of(this._selectNode(list, 'read').id);
+  }
+
+  /**
+   * 关闭连接，之后的查询、事务及获取连接的操作均返回 ClosedError，
+   * 等待正在执行的查询、事务及未释放的连接结束后再关闭连接池，
+   * 重复调用时返回同一个 Promise，之后调用的参数被忽略
+   *
+   * @param {Object} options 可选
+   *   - {Number} timeout 最长等待时间（毫秒），超时后直接关闭连接池，默认为 10000，0 表示不限制
+   *   - {Boolean} force 是否不等待直接关闭连接池
+   * @param {Function} callback
+   * @return {Promise}
+   */
+  close(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    options = Object.assign({ timeout: 10000, force: false }, options);
+    // 重复调用时返回第一次调用的 Promise
+    if (!this._closePromise) {
+      this._closing = true;
+      if (this._slaveHealthCheckTimer) {
+        clearInterval(this._slaveHealthCheckTimer);
+        this._slaveHealthCheckTimer = null;
+      }
+      this._closePromise = new Promise((resolve, reject) => {
+        const end = () => this._poolCluster.end(err => err ? reject(err) : resolve());
+        if (options.force) {
+          end();
+        } else {
+          waitForDrain(this, () => this._pending, options.timeout, drained => {
+            if (!drained) {
+              debug('close timeout, %s pending', this._pending);
+            }
+            end();
+          });
+        }
+      });
+    }
+    if (callback) {
+      this._closePromise.then(() => callback(null)).catch(err => callback(err));
+    }
+    return this._closePromise;
+  }
+
+  /**
+   * 开始一个需要在关闭前结束的操作，如果正在关闭则返回 ClosedError
+   *
+   * @param {Boolean} inflight 是否属于已经开始的操作（例如事务中获取连接），正在关闭时仍然允许执行
+   * @return {Error}
+   */
+  _enter(inflight) {
+    if (this._closing && !inflight) {
+      return new ClosedError(`connection is closed`);
+    }
+    this._pending += 1;
+    return null;
+  }
+
+  /**
+   * 结束一个操作，全部结束时触发 drain 事件
+   */
+  _leave() {
+    this._pending -= 1;
+    if (this._pending < 1) {
+      this.emit('drain');
+    }
+  }
+
+  /**
+   * 从连接池获取一个原始连接（新建的连接先执行 initSql 及 onConnect），并记录等待时间
+   *
+   * @param {Object} pool
+   * @param {Function} callback
+   */
+  _acquire(pool, callback) {
+    const start = Date.now();
+    pool.getConnection((err, connection) => {
+      if (err) return callback(err);
+      this._initConnection(connection, err => {
+        if (err) return callback(err);
+        const stats = this._acquireStats.get(connection._clusterId);
+        if (stats) {
+          stats.count += 1;
+          stats.time += Date.now() - start;
+        }
+        callback(null, connection);
+      });
+    });
+  }
+
+  /**
+   * 新建的原始连接第一次使用前执行 initSql 及 onConnect，
+   * 失败时销毁该连接并返回 ConnectionInitError，有 error 事件的监听器时同时触发 error 事件
+   * （错误已经通过回调返回，没有监听器时不触发，避免进程退出）
+   *
+   * @param {Object} connection
+   * @param {Function} callback
+   */
+  _initConnection(connection, callback) {
+    const id = connection._clusterId;
+    const node = this._nodes.find(item => item.id === id);
+    if (!node || !node.init || this._initialized.has(connection)) {
+      callback(null);
+      return;
+    }
+    const self = this;
+    const init = node.init;
+    let sql = null;
+    coroutine(function* () {
+      for (sql of init.sql) {
+        debug('init connection %s: %s', id, sql);
+        yield coroutine.cb(self, '_execute', connection, sql);
+      }
+      sql = null;
+      if (init.onConnect) {
+        yield Promise.resolve(init.onConnect(wrapConnection(connection, () => {})));
+      }
+    }).then(() => {
+      this._initialized.add(connection);
+      callback(null);
+    }).catch(err => {
+      debug('init connection %s failed: %s', id, err);
+      connection.destroy();
+      const error = new ConnectionInitError(`failed to initialize connection of "${ id }": ${ err.message }`, {
+        pool: id, sql, originalError: err,
+      });
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+      callback(error);
+    });
+  }
+
+  /**
+   * 获取每个连接池的统计信息
+   *
+   * @return {Object} 格式为 { id: { total, idle, inUse, queued, connectionLimit, acquires, acquireWaitTime, down } }
+   *                  total 已创建的连接数量，idle 空闲的连接数量，inUse 正在使用的连接数量，
+   *                  queued 排队等待的请求数量，connectionLimit 最大连接数量，
+   *                  acquires 获取连接的次数，acquireWaitTime 获取连接的总等待时间（毫秒），
+   *                  down 是否暂时不参与查询
+   */
+  stats() {
+    const ret = {};
+    for (const node of this._nodes) {
+      const cluster = this._poolCluster._getNode(node.id);
+      const pool = cluster && cluster.pool;
+      const count = getPoolCount(pool);
+      const acquire = this._acquireStats.get(node.id);
+      ret[node.id] = {
+        total: count.total,
+        idle: count.idle,
+        inUse: count.total - count.idle,
+        queued: count.queued,
+        connectionLimit: pool && pool.config ? pool.config.connectionLimit : 0,
+        acquires: acquire.count,
+        acquireWaitTime: acquire.time,
+        down: this._slaveDown.has(node.id),
+      };
+    }
+    return ret;
+  }
+
   /**
    * 获取一个原始连接（增加 Promise 支持）
    *
    * @param {Object} pool
+   * @param {Boolean} inflight 是否属于已经开始的操作，参考 _enter()
    * @param {Function} callback
    * @return {Promise}
    */
-  _getConnection(pool, callback) {
+  _getConnection(pool, inflight, callback) {
     callback = callback || createPromiseCallback();
-    pool.getConnection((err, connection) => {
-      if (err) return callback(err);
-      callback(null, wrapConnection(connection));
+    const closed = this._enter(inflight);
+    if (closed) {
+      process.nextTick(() => callback(closed));
+      return callback.promise;
+    }
+    this._acquire(pool, (err, connection) => {
+      if (err) {
+        this._leave();
+        return callback(err);
+      }
+      callback(null, wrapConnection(connection, () => this._leave()));
     });
     return callback.promise;
   }
@@ -109,7 +636,7 @@ class Connection extends EventEmitter {
    * @return {Promise}
    */
   getConnection(callback) {
-    return this._getConnection(this._poolCluster, callback);
+    return this._getConnection(this._poolCluster, false, callback);
   }
 
   /**
@@ -119,7 +646,7 @@ class Connection extends EventEmitter {
    * @return {Promise}
    */
   getMasterConnection(callback) {
-    return this._getConnection(this._poolMaster, callback);
+    return this._getConnection(this._poolMaster, false, callback);
   }
 
   /**
@@ -129,66 +656,416 @@ class Connection extends EventEmitter {
    * @return {Promise}
    */
   getSlaveConnection(callback) {
-    return this._getConnection(this._poolSlave, callback);
+    return this._getConnection(this._getSlavePool(), false, callback);
   }
 
   /**
    * 查询
    *
    * @param {Object} pool
-   * @param {String} sql
+   * @param {String|Object} sql
    * @param {Function} callback
    * @return {Promise}
    */
   _query(pool, sql, callback) {
     callback = callback || createPromiseCallback();
-    debug('query sql: %s', sql);
-    pool.getConnection((err, connection) => {
-      if (err) return callback(err);
-      connection.query(sql, (err, ret) => {
-        connection.release();
+    if (pool instanceof Error) {
+      process.nextTick(() => callback(pool));
+      return callback.promise;
+    }
+    const closed = this._enter();
+    if (closed) {
+      process.nextTick(() => callback(closed));
+      return callback.promise;
+    }
+    // 仅重试 SELECT 查询
+    const retries = isUpdateSQL(sql) ? 0 : this._queryRetries;
+    const query = attempt => {
+      const done = (err, ret) => {
+        if (err && attempt <= retries && isQueryRetryableError(err)) {
+          const ms = getRetryDelay(this._queryRetryDelay, this._queryRetryBackoff, attempt, err);
+          debug('retry query after %sms (%s/%s): %s', ms, attempt, retries, err);
+          setTimeout(() => query(attempt + 1), ms);
+          return;
+        }
+        // 先执行回调再结束，使回调中同步发起的缓存操作在关闭前被记录
         callback(err, ret);
+        this._leave();
+      };
+      this._acquire(pool, (err, connection) => {
+        if (err) return done(err);
+        this._queryConnection(connection, sql, (err, ret) => {
+          connection.release();
+          done(err, ret);
+        });
       });
+    };
+    query(1);
+    return callback.promise;
+  }
+
+  /**
+   * 在指定的原始连接上查询，查询开始时触发 query 事件，结束时触发 queryEnd 事件
+   *
+   * @param {Object} connection
+   * @param {String|Object} sql 字符串或者查询对象 { sql, values, tag, timeout, signal }
+   * @param {Function} callback
+   * @return {Promise}
+   */
+  _queryConnection(connection, sql, callback) {
+    callback = callback || createPromiseCallback();
+    const info = {
+      sql: getQueryString(sql),
+      pool: connection._clusterId || null,
+      tag: (sql && sql.tag) || null,
+    };
+    if (sql && sql.values) {
+      info.values = sql.values;
+    }
+    this.emit('query', info);
+    const start = Date.now();
+    this._runQuery(connection, sql, (err, ret) => {
+      this.emit('queryEnd', Object.assign({}, info, {
+        duration: Date.now() - start,
+        rows: Array.isArray(ret) ? ret.length : 0,
+        affectedRows: (ret && ret.affectedRows) || 0,
+        error: err || null,
+      }));
+      callback(err, ret);
     });
     return callback.promise;
   }
 
+  /**
+   * 在指定的原始连接上查询
+   * 如果查询超时或者通过 signal 取消，会在另一个连接上执行 KILL QUERY 终止查询，
+   * 等待原查询结束后返回 QueryTimeoutError 或 QueryCancelledError，
+   * 如果无法终止查询则销毁该连接
+   *
+   * @param {Object} connection
+   * @param {String|Object} sql
+   * @param {Function} callback
+   */
+  _runQuery(connection, sql, callback) {
+    const options = sql && typeof sql === 'object' ? sql : {};
+    const timeout = 'timeout' in options ? Number(options.timeout) : this._queryTimeout;
+    const signal = options.signal || null;
+
+    if (signal && signal.aborted) {
+      process.nextTick(() => callback(new QueryCancelledError(`query cancelled`, { sql: getQueryString(sql) })));
+      return;
+    }
+    if (!(timeout > 0) && !signal) {
+      this._execute(connection, sql, callback);
+      return;
+    }
+
+    let finished = false;
+    let executed = false;
+    let killing = false;
+    let killed = null;
+    let timer = null;
+    let removeAbortListener = null;
+    const done = (err, ret) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      if (removeAbortListener) removeAbortListener();
+      callback(err, ret);
+    };
+    const kill = err => {
+      if (finished || killed) return;
+      killed = err;
+      killing = true;
+      this._killQuery(connection, err2 => {
+        killing = false;
+        if (executed) return done(killed);
+        if (err2) {
+          debug('kill query failed, destroy connection: %s', err2);
+          connection.destroy();
+          done(killed);
+        }
+      });
+    };
+
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        kill(new QueryTimeoutError(`query timeout after ${ timeout }ms`, { timeout, sql: getQueryString(sql) }));
+      }, timeout);
+    }
+    if (signal) {
+      removeAbortListener = onAbort(signal, () => {
+        kill(new QueryCancelledError(`query cancelled`, { sql: getQueryString(sql) }));
+      });
+    }
+    this._execute(connection, sql, (err, ret) => {
+      executed = true;
+      // 被终止的查询忽略原查询的结果（通常为 ER_QUERY_INTERRUPTED），
+      // 并且需要等待 KILL QUERY 执行完毕，避免连接被释放后终止了其他查询
+      if (killed) {
+        if (!killing) done(killed);
+        return;
+      }
+      done(err, ret);
+    });
+  }
+
+  /**
+   * 在另一个连接上执行 KILL QUERY（或者方言对应的语句）终止指定连接正在执行的查询
+   *
+   * @param {Object} connection
+   * @param {Function} callback
+   */
+  _killQuery(connection, callback) {
+    const threadId = connection.threadId;
+    if (!threadId) {
+      process.nextTick(() => callback(new Error(`unknown thread id of connection`)));
+      return;
+    }
+    if (typeof this.dialect.killQuery !== 'function') {
+      process.nextTick(() => callback(new Error(`dialect "${ this.dialect.name }" does not support killing query`)));
+      return;
+    }
+    debug('kill query: thread=%s', threadId);
+    const side = this._driver.createConnection(connection.config);
+    side.query(this.dialect.killQuery(threadId), err => {
+      if (err) {
+        side.destroy();
+        return callback(err);
+      }
+      side.end(() => callback(null));
+    });
+  }
+
+  /**
+   * 在指定的原始连接上执行查询
+   * 如果 sql 为包含 values 的查询对象则作为参数化查询执行，驱动的连接提供 execute() 时使用服务端预处理语句，
+   * 否则 SQL 语句与参数分别传给驱动的 query()，由驱动负责转义参数
+   *
+   * 没有 callback 时返回的查询对象通过 result, error, end 事件返回结果
+   *
+   * @param {Object} connection
+   * @param {String|Object} sql
+   * @param {Function} callback
+   * @return {Object}
+   */
+  _execute(connection, sql, callback) {
+    if (sql && typeof sql === 'object' && sql.values) {
+      debug('query sql: %s (%s values)', sql.sql, sql.values.length);
+      if (typeof connection.execute === 'function') {
+        return connection.execute(sql.sql, sql.values, callback);
+      }
+      return connection.query(sql.sql, sql.values, callback);
+    } else if (sql && typeof sql === 'object') {
+      debug('query sql: %s', sql.sql);
+      return connection.query(sql.sql, callback);
+    }
+    debug('query sql: %s', sql);
+    return connection.query(sql, callback);
+  }
+
+  /**
+   * 流式查询，返回 object mode 的 Readable，也可以通过 for await 遍历
+   * 读取速度跟不上时暂停接收数据，查询结束或者 Readable 被销毁后释放连接
+   *
+   * @param {String|Object} sql 字符串或者查询对象 { sql, values, tag }
+   * @param {Object} options
+   *   - {Boolean} master 是否在 MASTER 执行，更新操作总是在 MASTER 执行，查询对象的 master 属性优先
+   *   - {Number} highWaterMark 缓冲的最大行数，默认为 16
+   *   - {Function} transform 处理每一行数据的函数
+   * @return {Object}
+   */
+  stream(sql, options) {
+    options = options || {};
+    const pool = isMasterQuery(sql, options.master) ? this._poolMaster : this._getReadPool(sql && sql.tag);
+    const acquire = callback => {
+      if (pool instanceof Error) return callback(pool);
+      const closed = this._enter();
+      if (closed) return callback(closed);
+      this._acquire(pool, (err, connection) => {
+        if (err) this._leave();
+        callback(err, connection);
+      });
+    };
+    const release = connection => {
+      connection.release();
+      this._leave();
+    };
+    return this._stream(sql, options, acquire, release);
+  }
+
+  /**
+   * 在原始连接上执行流式查询
+   * 如果 Readable 在查询结束前被销毁，会执行 KILL QUERY 终止查询并丢弃剩余的数据，
+   * 等待查询结束后再释放连接，如果无法终止查询则销毁该连接
+   *
+   * @param {String|Object} sql
+   * @param {Object} options 参考 stream()
+   * @param {Function} acquire 获取原始连接，格式为 function (callback)
+   * @param {Function} release 释放原始连接，格式为 function (connection)
+   * @return {Object}
+   */
+  _stream(sql, options, acquire, release) {
+    const transform = options.transform || (row => row);
+    let connection = null;
+    let raw = null;
+    let paused = false;
+    let ended = false;
+    let killing = false;
+    let released = false;
+    let info = null;
+    let start = 0;
+    let rows = 0;
+    let error = null;
+
+    const finish = () => {
+      if (released) return;
+      released = true;
+      this.emit('queryEnd', Object.assign({}, info, {
+        duration: Date.now() - start, rows, affectedRows: 0, error,
+      }));
+      release(connection);
+    };
+    const resume = () => {
+      if (paused) {
+        paused = false;
+        raw.resume();
+      }
+    };
+
+    const output = new Readable({
+      objectMode: true,
+      highWaterMark: options.highWaterMark || 16,
+      read() {
+        if (raw) resume();
+      },
+      destroy: (err, callback) => {
+        if (raw && !ended && !killing) {
+          killing = true;
+          resume();
+          this._killQuery(connection, err2 => {
+            killing = false;
+            if (ended) return finish();
+            if (err2) {
+              debug('kill query failed, destroy connection: %s', err2);
+              connection.destroy();
+              finish();
+            }
+          });
+        }
+        callback(err);
+      },
+    });
+
+    acquire((err, conn) => {
+      if (err) return output.destroy(err);
+      connection = conn;
+      info = {
+        sql: getQueryString(sql),
+        pool: connection._clusterId || null,
+        tag: (sql && sql.tag) || null,
+      };
+      if (sql && sql.values) {
+        info.values = sql.values;
+      }
+      if (output.destroyed) {
+        released = true;
+        return release(connection);
+      }
+      this.emit('query', info);
+      start = Date.now();
+      raw = connection[RAW_CONNECTION] || connection;
+      const query = this._execute(raw, sql);
+      query.on('result', row => {
+        // Readable 被销毁后丢弃剩余的数据
+        if (output.destroyed) return;
+        rows += 1;
+        let data;
+        try {
+          data = transform(row);
+        } catch (err) {
+          return output.destroy(err);
+        }
+        if (!output.push(data)) {
+          paused = true;
+          raw.pause();
+        }
+      });
+      query.on('error', err => {
+        // 查询出错后会触发 end 事件，不需要终止查询
+        error = err;
+        ended = true;
+        if (!output.destroyed) output.destroy(err);
+      });
+      query.on('end', () => {
+        ended = true;
+        if (!output.destroyed) output.push(null);
+        if (!killing) finish();
+      });
+    });
+
+    return output;
+  }
+
   /**
    * 智能查询，更新操作会在 MASTER 执行，其他在任意服务器查询
+   * 可以通过查询对象的 master 属性指定是否在 MASTER 执行
    *
-   * @param {String} sql
+   * @param {String|Object} sql 字符串或者查询对象 { sql, values, tag, timeout, signal, master }
    * @param {Function} callback
    * @return {Promise}
    */
   query(sql, callback) {
-    if (isUpdateSQL(sql)) {
+    if (isMasterQuery(sql)) {
       return this.queryMaster(sql, callback);
     }
-    return this._query(this._poolCluster, sql, callback);
+    return this._query(this._getReadPool(sql && sql.tag), sql, callback);
   }
 
   /**
    * 在 MASTER 上查询
    *
-   * @param {String} sql
+   * @param {String|Object} sql 字符串或者查询对象 { sql, values, tag, timeout, signal }
    * @param {Function} callback
    * @return {Promise}
    */
   queryMaster(sql, callback) {
-    debug('query on master: %s', sql);
+    debug('query on master: %s', getQueryString(sql));
     return this._query(this._poolMaster, sql, callback);
   }
 
   /**
    * 在 SLAVE 上查询
    *
-   * @param {String} sql
+   * @param {String|Object} sql 字符串或者查询对象 { sql, values, tag, timeout, signal }
    * @param {Function} callback
    * @return {Promise}
    */
   querySlave(sql, callback) {
-    debug('query on slave: %s', sql);
-    return this._query(this._poolSlave, sql, callback);
+    debug('query on slave: %s', getQueryString(sql));
+    return this._query(this._getSlavePool(sql && sql.tag), sql, callback);
+  }
+
+  /**
+   * 执行事务，所有查询均在同一个 MASTER 连接上执行
+   * fn 返回的 Promise 成功则提交事务，失败则回滚事务
+   *
+   * @param {Object} options 可选
+   *   - {Number} retries 遇到死锁或锁等待超时时重新执行整个事务的次数，默认为 0
+   *   - {Number|Function} retryDelay 重试前等待的时间（毫秒），默认为 100
+   *   - {String} retryBackoff 重试等待时间的增长方式：fixed, linear, exponential，默认为 exponential
+   * @param {Function} fn 参数为 Transaction 实例，需要返回 Promise
+   * @param {Function} callback
+   * @return {Promise}
+   */
+  transaction(options, fn, callback) {
+    if (typeof options === 'function') {
+      callback = fn;
+      fn = options;
+      options = {};
+    }
+    options = Object.assign({}, options, { connection: this });
+    return new Transaction(options).run(fn, callback);
   }
 
   /**
@@ -198,7 +1075,7 @@ class Connection extends EventEmitter {
    * @return {String}
    */
   escape(value) {
-    return sqlEscape(value);
+    return this.dialect.escape(value);
   }
 
   /**
@@ -208,7 +1085,7 @@ class Connection extends EventEmitter {
    * @return {String}
    */
   escapeId(value) {
-    return sqlEscapeId(value);
+    return this.dialect.escapeId(value);
   }
 
   /**
@@ -219,10 +1096,7 @@ class Connection extends EventEmitter {
    * @return {String}
    */
   format(sql, values) {
-    if (Array.isArray(values)) {
-      return sqlFormat(sql, values);
-    }
-    return sqlFormatObject(sql, values);
+    return this.dialect.format(sql, values);
   }
 
 }
@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * super-orm
+ *
+ * @author Zongmin Lei <leizongmin@gmail.com>
+ */
+
+const assert = require('assert');
+
+
+class Context {
+
+  /**
+   * 创建 Context，通过同一个 Context 获取的 Model 共享写操作记录，
+   * 在 Context 中执行写操作后，stickyMaster 时间内该 Context 中的读操作均在 MASTER 执行
+   *
+   * @param {Object} options
+   *   - {Object} manager Manager 实例
+   *   - {Number} stickyMaster 写操作后读操作在 MASTER 执行的时间（毫秒）
+   */
+  constructor(options) {
+    options = Object.assign({}, options || {});
+
+    assert.ok(options.manager, `must provide manager`);
+    this._manager = options.manager;
+
+    this.stickyMaster = Number(options.stickyMaster || 0);
+    assert.ok(this.stickyMaster >= 0, `stickyMaster must >= 0`);
+
+    this._stickyState = { until: 0, keys: new Map() };
+    this._models = new Map();
+  }
+
+  /**
+   * 获取绑定到当前 Context 的 Model
+   *
+   * @param {String} name
+   * @return {Object}
+   */
+  model(name) {
+    if (this._models.has(name)) {
+      return this._models.get(name);
+    }
+    const bound = Object.create(this._manager.model(name));
+    bound.stickyMaster = this.stickyMaster;
+    bound.stickyMasterScope = 'model';
+    bound._stickyState = this._stickyState;
+    this._models.set(name, bound);
+    return bound;
+  }
+
+}
+
+module.exports = Context;
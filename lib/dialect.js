@@ -0,0 +1,320 @@
+'use strict';
+
+/**
+ * super-orm
+ *
+ * @author Zongmin Lei <leizongmin@gmail.com>
+ */
+
+const assert = require('assert');
+const {
+  sqlEscape, sqlEscapeId, sqlFormat, sqlFormatObject, sqlLimitString,
+  sqlPlaceholder, sqlPrepare, sqlPrepareObject, sqlUpdateString,
+} = require('./utils');
+
+class Dialect {
+
+  /**
+   * SQL 方言，负责不同数据库之间有差异的部分：引号、LIMIT、UPSERT、RETURNING 等
+   * 默认按照标准 SQL 生成（双引号标识符、LIMIT n OFFSET m），子类可以覆盖，
+   * 另外按需实现以下方法：
+   *   - upsert(keys, update) 生成 INSERT 语句遇到唯一键冲突时更新的部分，update 为空时忽略冲突的行
+   *   - insertedValue(name) 在 upsert() 的更新语句中引用准备插入的值
+   *   - insertIgnore() 返回忽略唯一键冲突的 INSERT 语句的开头和结尾，格式为 { prefix, suffix }
+   *   - replaceInto() 返回 REPLACE 语句的开头
+   *   - returning(fields) 生成 RETURNING 语句，需要同时设置 supportsReturning = true
+   *   - killQuery(threadId) 终止指定连接正在执行的查询的语句
+   *
+   * @param {String} name
+   */
+  constructor(name) {
+    this.name = name;
+    // 是否支持 RETURNING 语句
+    this.supportsReturning = false;
+  }
+
+  /**
+   * 转义值，字符串中的单引号转义为两个单引号
+   *
+   * @param {Mixed} value
+   * @return {String}
+   */
+  escape(value) {
+    if (value === undefined || value === null) {
+      return 'NULL';
+    }
+    switch (typeof value) {
+    case 'boolean':
+      return value ? 'TRUE' : 'FALSE';
+    case 'number':
+      return String(value);
+    case 'object':
+      break;
+    default:
+      return `'${ String(value).replace(/'/g, '\'\'') }'`;
+    }
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? 'NULL' : `'${ value.toISOString() }'`;
+    }
+    if (Buffer.isBuffer(value)) {
+      return `'\\x${ value.toString('hex') }'`;
+    }
+    if (Array.isArray(value)) {
+      return value.map(v => Array.isArray(v) ? `(${ this.escape(v) })` : this.escape(v)).join(', ');
+    }
+    if (typeof value.toSqlString === 'function') {
+      return String(value.toSqlString());
+    }
+    return Object.keys(value)
+            .filter(name => typeof value[name] !== 'function')
+            .map(name => `${ this.escapeId(name) } = ${ this.escape(value[name]) }`)
+            .join(', ');
+  }
+
+  /**
+   * 转义标识符（表名、字段名），使用双引号
+   *
+   * @param {String|Array} name
+   * @return {String}
+   */
+  escapeId(name) {
+    if (Array.isArray(name)) {
+      return name.map(v => this.escapeId(v)).join(', ');
+    }
+    return String(name).split('.').map(v => v === '*' ? v : `"${ v.replace(/"/g, '""') }"`).join('.');
+  }
+
+  /**
+   * 格式化查询，?? 替换为标识符，? 替换为值
+   *
+   * @param {String} sql
+   * @param {Array|Object} values
+   * @return {String}
+   */
+  format(sql, values) {
+    if (!Array.isArray(values)) {
+      return this.formatObject(sql, values);
+    }
+    let index = 0;
+    return sql.replace(/\?\??/g, txt => {
+      if (index >= values.length) return txt;
+      const value = values[index];
+      index += 1;
+      return txt.length === 2 ? this.escapeId(value) : this.escape(value);
+    });
+  }
+
+  /**
+   * 格式化查询，格式： SELECT * FROM ::table WHERE `title`=:title
+   *
+   * @param {String} sql
+   * @param {Object} values
+   * @param {Boolean} disable$
+   * @return {String}
+   */
+  formatObject(sql, values, disable$) {
+    return sqlFormatObject(sql, values, disable$, this);
+  }
+
+  /**
+   * 生成参数化查询，格式： SELECT * FROM ?? WHERE `title`=?
+   *
+   * @param {String} sql
+   * @param {Array|Object} values
+   * @return {Object} 格式为 { sql, values }
+   */
+  prepare(sql, values) {
+    if (!Array.isArray(values)) {
+      return sqlPrepareObject(sql, values, this);
+    }
+    return sqlPrepare(sql, values, this);
+  }
+
+  /**
+   * 生成参数化查询的占位符
+   *
+   * @param {Mixed} value
+   * @param {Array} params 用于保存参数值
+   * @return {String}
+   */
+  placeholder(value, params) {
+    return sqlPlaceholder(value, params, this);
+  }
+
+  /**
+   * 根据对象生成 UPDATE 语句的 SET 部分
+   *
+   * @param {Object} data
+   * @return {String}
+   */
+  updateString(data) {
+    return sqlUpdateString(data, this);
+  }
+
+  /**
+   * 生成 LIMIT 语句
+   *
+   * @param {Number} skip
+   * @param {Number} limit
+   * @return {String}
+   */
+  limit(skip, limit) {
+    skip = Number(skip);
+    limit = Number(limit);
+    const offset = skip > 0 ? ` OFFSET ${ skip }` : '';
+    if (limit > 0) {
+      return `LIMIT ${ limit }${ offset }`;
+    }
+    return offset.trim();
+  }
+
+  /**
+   * 生成 UPDATE 和 DELETE 语句的 WHERE 及 LIMIT 部分
+   *
+   * @param {String} table 已转义的表名
+   * @param {String} where WHERE 语句，可能为空
+   * @param {String} limit limit() 生成的语句，可能为空
+   * @return {String}
+   */
+  limitedWhere(table, where, limit) {
+    return `${ where } ${ limit }`;
+  }
+
+}
+
+class MySQLDialect extends Dialect {
+
+  /**
+   * MySQL 方言
+   */
+  constructor() {
+    super('mysql');
+    // 查询 SLAVE 复制延迟的语句
+    this.slaveLagSql = 'SHOW SLAVE STATUS';
+  }
+
+  escape(value) {
+    return sqlEscape(value);
+  }
+
+  escapeId(name) {
+    return sqlEscapeId(name);
+  }
+
+  format(sql, values) {
+    if (Array.isArray(values)) {
+      return sqlFormat(sql, values);
+    }
+    return this.formatObject(sql, values);
+  }
+
+  limit(skip, limit) {
+    return sqlLimitString(skip, limit);
+  }
+
+  upsert(keys, update) {
+    if (!update) {
+      assert.ok(keys.length > 0, `must provide keys to ignore duplicate rows`);
+      // 更新为原值，相当于忽略冲突的行，但仍然可以在同一条语句中插入其他行
+      update = keys.map(name => `${ this.escapeId(name) }=${ this.escapeId(name) }`).join(', ');
+    }
+    return `ON DUPLICATE KEY UPDATE ${ update }`;
+  }
+
+  insertedValue(name) {
+    return `VALUES(${ this.escapeId(name) })`;
+  }
+
+  insertIgnore() {
+    return { prefix: 'INSERT IGNORE INTO', suffix: '' };
+  }
+
+  replaceInto() {
+    return 'REPLACE INTO';
+  }
+
+  killQuery(threadId) {
+    return `KILL QUERY ${ Number(threadId) }`;
+  }
+
+}
+
+class PostgreSQLDialect extends Dialect {
+
+  /**
+   * PostgreSQL 方言，需要启用 standard_conforming_strings（9.1 之后默认启用）
+   */
+  constructor() {
+    super('postgresql');
+    this.supportsReturning = true;
+    // 查询 SLAVE 复制延迟的语句，返回结果第一行第一列为延迟秒数
+    this.slaveLagSql = 'SELECT EXTRACT(EPOCH FROM now() - pg_last_xact_replay_timestamp()) AS lag';
+  }
+
+  limitedWhere(table, where, limit) {
+    if (!limit) {
+      return where;
+    }
+    // PostgreSQL 的 UPDATE 和 DELETE 不支持 LIMIT，通过 ctid 子查询限制行数
+    return `WHERE ctid IN (SELECT ctid FROM ${ table } ${ where } ${ limit })`;
+  }
+
+  upsert(keys, update) {
+    const target = keys.length > 0 ? ` (${ this.escapeId(keys) })` : '';
+    if (!update) {
+      return `ON CONFLICT${ target } DO NOTHING`;
+    }
+    if (!target) {
+      throw new Error(`must provide conflict keys for ON CONFLICT DO UPDATE`);
+    }
+    return `ON CONFLICT${ target } DO UPDATE SET ${ update }`;
+  }
+
+  insertedValue(name) {
+    return `EXCLUDED.${ this.escapeId(name) }`;
+  }
+
+  insertIgnore() {
+    return { prefix: 'INSERT INTO', suffix: this.upsert([], null) };
+  }
+
+  returning(fields) {
+    const list = fields.length > 0 ? fields.map(name => name === '*' ? name : this.escapeId(name)).join(', ') : '*';
+    return `RETURNING ${ list }`;
+  }
+
+  killQuery(threadId) {
+    return `SELECT pg_cancel_backend(${ Number(threadId) })`;
+  }
+
+}
+
+exports.Dialect = Dialect;
+exports.MySQLDialect = MySQLDialect;
+exports.PostgreSQLDialect = PostgreSQLDialect;
+
+exports.mysql = new MySQLDialect();
+exports.postgresql = new PostgreSQLDialect();
+
+/**
+ * 获取方言
+ *
+ * @param {String|Object} dialect 名称（mysql, postgresql, postgres, pg）或者 Dialect 实例，默认为 mysql
+ * @return {Object}
+ */
+function getDialect(dialect) {
+  if (dialect && typeof dialect === 'object') {
+    return dialect;
+  }
+  switch (String(dialect || 'mysql').toLowerCase()) {
+  case 'mysql':
+    return exports.mysql;
+  case 'postgresql':
+  case 'postgres':
+  case 'pg':
+    return exports.postgresql;
+  default:
+    throw new TypeError(`not support dialect "${ dialect }"`);
+  }
+}
+exports.getDialect = getDialect;
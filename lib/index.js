@@ -13,6 +13,12 @@ const Schema = require('./schema');
 const utils = require('./utils');
 const Manager = require('./manager');
 const Cache = require('./cache');
+const Transaction = require('./transaction');
+const Context = require('./context');
+const MemoryDriver = require('./memory_driver');
+const MemoryCacheDriver = require('./memory_cache_driver');
+const PgDriver = require('./pg_driver');
+const dialect = require('./dialect');
 
 exports.Connection = Connection;
 exports.createConnection = function createConnection(options) {
@@ -45,3 +51,27 @@ exports.Cache = Cache;
 exports.createCache = function createCache(options) {
   return new Cache(options);
 };
+
+exports.Transaction = Transaction;
+
+exports.Context = Context;
+
+exports.MemoryDriver = MemoryDriver;
+exports.createMemoryDriver = function createMemoryDriver(options) {
+  return new MemoryDriver(options);
+};
+
+exports.MemoryCacheDriver = MemoryCacheDriver;
+exports.createMemoryCacheDriver = function createMemoryCacheDriver() {
+  return new MemoryCacheDriver();
+};
+
+exports.PgDriver = PgDriver;
+exports.createPgDriver = function createPgDriver(options) {
+  return new PgDriver(options);
+};
+
+exports.Dialect = dialect.Dialect;
+exports.MySQLDialect = dialect.MySQLDialect;
+exports.PostgreSQLDialect = dialect.PostgreSQLDialect;
+exports.getDialect = dialect.getDialect;
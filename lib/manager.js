@@ -12,7 +12,53 @@ const coroutine = require('lei-coroutine');
 const Cache = require('./cache');
 const Connection = require('./connection');
 const Model = require('./model');
-const { createPromiseCallback } = require('./utils');
+const Transaction = require('./transaction');
+const Context = require('./context');
+const { createPromiseCallback, isConnectionInstance } = require('./utils');
+
+/**
+ * 获取名为 default 的项，如果没有则返回第一项
+ *
+ * @param {Map} map
+ * @return {Object}
+ */
+function getDefault(map) {
+  return map.get('default') || map.values().next().value;
+}
+
+/**
+ * 获取创建 Cache 的选项，Manager 的 driver 参数用于 Connection，Cache 使用 cacheDriver 参数
+ *
+ * @param {Object} options Manager 的选项
+ * @param {Object} item 单个缓存的选项，可选
+ * @return {Object}
+ */
+function getCacheOptions(options, item) {
+  const ret = Object.assign({}, options, { driver: options.cacheDriver }, item);
+  if (!ret.driver) delete ret.driver;
+  return ret;
+}
+
+/**
+ * 生成 Prometheus 文本格式的指标
+ *
+ * @param {String} name
+ * @param {String} type gauge 或 counter
+ * @param {String} help
+ * @param {Array} samples 每个元素为 { labels, value }
+ * @return {String}
+ */
+function formatMetric(name, type, help, samples) {
+  const lines = [ `# HELP ${ name } ${ help }`, `# TYPE ${ name } ${ type }` ];
+  for (const { labels, value } of samples) {
+    const str = Object.keys(labels).map(k => {
+      const v = String(labels[k]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+      return `${ k }="${ v }"`;
+    }).join(',');
+    lines.push(`${ name }{${ str }} ${ value }`);
+  }
+  return lines.join('\n');
+}
 
 class Manager extends EventEmitter {
 
@@ -23,16 +69,55 @@ class Manager extends EventEmitter {
    *   - {Object} redis { host, port, db, password }
    *   - {Number} ttl 缓存时间，秒
    *   - {Stirng} prefix Key前缀
-   *   - {Array} connections { host, port, user, password, database, connectionLimit }
+   *   - {Array|Object} connections { host, port, user, password, database, connectionLimit }
+   *                                如果为对象则表示多个命名的连接，格式为 { name: connections }，
+   *                                每一项可以为连接信息数组或者 Connection 的选项（未指定的选项与 Manager 相同），
+   *                                名为 default 的连接（如果没有则为第一个）作为默认连接
+   *   - {Object} caches 多个命名的缓存，格式为 { name: { redis, ttl, prefix, driver } }（未指定的选项与 Manager 相同），
+   *                     名为 default 的缓存（如果没有则为第一个）作为默认缓存
+   *   - {Object} driver 数据库驱动，参考 Connection
+   *   - {String|Object} dialect SQL 方言，参考 Connection
+   *   - {Object} cacheDriver 缓存驱动，参考 Cache 的 driver 参数
+   *   - {Boolean} prepared 注册的 Model 默认是否使用参数化查询
+   *   - {Number} stickyMaster 写操作后在指定时间（毫秒）内的读操作在 MASTER 执行，
+   *                           作为注册的 Model 及 context() 的默认值
+   *   - {String} stickyMasterScope 注册的 Model 默认的 stickyMaster 范围，参考 Model
    */
   constructor(options) {
     super();
-    options = Object.assign({}, options || {});
+    this._options = options = Object.assign({}, options || {});
+
+    this._prepared = !!options.prepared;
+    this._stickyMaster = Number(options.stickyMaster || 0);
+    this._stickyMasterScope = options.stickyMasterScope || 'key';
 
-    this.cache = new Cache(options);
-    this.connection = new Connection(options);
+    this._caches = new Map();
+    if (options.caches) {
+      assert.ok(typeof options.caches === 'object', `caches must be an object`);
+      for (const name of Object.keys(options.caches)) {
+        this._caches.set(name, new Cache(getCacheOptions(options, options.caches[name])));
+      }
+      assert.ok(this._caches.size > 0, `caches must includes at least one item`);
+    } else {
+      this._caches.set('default', new Cache(getCacheOptions(options)));
+    }
+    this.cache = getDefault(this._caches);
+
+    this._connections = new Map();
+    if (options.connections && !Array.isArray(options.connections)) {
+      assert.ok(typeof options.connections === 'object', `connections must be an array or object`);
+      for (const name of Object.keys(options.connections)) {
+        this._connections.set(name, this._createConnection(options.connections[name]));
+      }
+      assert.ok(this._connections.size > 0, `connections must includes at least one item`);
+    } else {
+      this._connections.set('default', new Connection(options));
+    }
+    this.connection = getDefault(this._connections);
 
     this._models = new Map();
+    // 分片 Model 的 Connection，关闭时需要一起关闭，格式为 Map<name, Connection>
+    this._shardConnections = new Map();
   }
 
   /**
@@ -44,19 +129,99 @@ class Manager extends EventEmitter {
    *   - {Object} fields 格式为 { name: info }
    *   - {String|Array} primary
    *   - {Boolean} autoIncrement
+   *   - {Boolean} prepared
+   *   - {Number} stickyMaster
+   *   - {String} stickyMasterScope
+   *   - {String|Object} connection 连接名称或者 Connection 实例，默认为默认连接
+   *   - {String|Object} cache 缓存名称或者 Cache 实例，默认为默认缓存
+   *   - {String} shardKey 分片键字段名
+   *   - {Function} shard 分片函数
+   *   - {Array} connections 每个分片的连接，可以为连接名称，Connection 实例，
+   *                         或者连接信息数组（第一个为 master，与 Manager 的 connections 参数相同），
+   *                         或者 Connection 的选项（未指定的选项与 Manager 相同）
    * @return {Object}
    */
   registerModel(name, options) {
     assert.equal(typeof name, 'string', `model name must be a string`);
     assert.ok(name, `model name cannot be empty`);
     assert.ok(options, `please provide options`);
-    const model = new Model(Object.assign({
+    options = Object.assign({
       connection: this.connection,
       cache: this.cache,
-    }, options));
+      prepared: this._prepared,
+      stickyMaster: this._stickyMaster,
+      stickyMasterScope: this._stickyMasterScope,
+    }, options);
+    if (typeof options.connection === 'string') {
+      options.connection = this.getConnection(options.connection);
+    }
+    if (typeof options.cache === 'string') {
+      options.cache = this.getCache(options.cache);
+    }
+    if (options.shardKey) {
+      assert.ok(Array.isArray(options.connections), `connections must be an array when shardKey is provided`);
+      options.connections = options.connections.map((item, i) => this._createShardConnection(item, `${ name }:shard${ i }`));
+    }
+    const model = new Model(options);
     this._models.set(name, model);
   }
 
+  /**
+   * 创建 Connection
+   *
+   * @param {Object|Array} item 连接信息数组或者 Connection 的选项，未指定的选项与 Manager 相同
+   * @return {Object}
+   */
+  _createConnection(item) {
+    const options = Array.isArray(item) ? { connections: item } : item;
+    return new Connection(Object.assign({}, this._options, options));
+  }
+
+  /**
+   * 创建分片使用的 Connection
+   *
+   * @param {String|Object|Array} item 连接名称，Connection 实例，连接信息数组或者 Connection 的选项
+   * @param {String} name 新创建的 Connection 的名称
+   * @return {Object}
+   */
+  _createShardConnection(item, name) {
+    if (typeof item === 'string') {
+      return this.getConnection(item);
+    }
+    if (isConnectionInstance(item)) {
+      return item;
+    }
+    const connection = this._createConnection(item);
+    this._shardConnections.set(name, connection);
+    return connection;
+  }
+
+  /**
+   * 获取指定名称的 Connection
+   *
+   * @param {String} name
+   * @return {Object}
+   */
+  getConnection(name) {
+    if (!this._connections.has(name)) {
+      throw new Error(`connection "${ name }" does not exists`);
+    }
+    return this._connections.get(name);
+  }
+
+  /**
+   * 获取指定名称的 Cache
+   *
+   * @param {String} name
+   * @return {Object}
+   */
+  getCache(name) {
+    if (!this._caches.has(name)) {
+      throw new Error(`cache "${ name }" does not exists`);
+    }
+    return this._caches.get(name);
+  }
+
   /**
    * 判断 model 是否存在
    *
@@ -81,22 +246,117 @@ class Manager extends EventEmitter {
   }
 
   /**
-   * 关闭
+   * 创建 Context，例如每个请求使用一个 Context，
+   * 在 Context 中执行写操作后，一段时间内该 Context 中的读操作均在 MASTER 执行
+   *
+   * @param {Object} options
+   *   - {Number} stickyMaster 写操作后读操作在 MASTER 执行的时间（毫秒），默认与 Manager 相同
+   * @return {Object}
+   */
+  context(options) {
+    return new Context(Object.assign({
+      manager: this,
+      stickyMaster: this._stickyMaster,
+    }, options));
+  }
+
+  /**
+   * 执行事务，通过 tx.model(name) 获取的 Model 均在该事务中执行
+   *
+   * @param {Object} options 可选，参考 Connection.transaction()
+   *   - {String} connection 在指定名称的连接上执行，默认为默认连接
+   * @param {Function} fn 参数为 Transaction 实例，需要返回 Promise
+   * @param {Function} callback
+   * @return {Promise}
+   */
+  transaction(options, fn, callback) {
+    if (typeof options === 'function') {
+      callback = fn;
+      fn = options;
+      options = {};
+    }
+    const connection = options.connection ? this.getConnection(options.connection) : this.connection;
+    options = Object.assign({}, options, { connection, manager: this });
+    return new Transaction(options).run(fn, callback);
+  }
+
+  /**
+   * 生成 Prometheus 文本格式的指标，包括所有连接池的统计信息及每个 Model 的缓存命中统计
    *
+   * @param {Object} options
+   *   - {String} prefix 指标名称前缀，默认为 super_orm_
+   * @return {String}
+   */
+  metrics(options) {
+    options = Object.assign({ prefix: 'super_orm_' }, options || {});
+    const p = options.prefix;
+    const pools = [];
+    for (const [ name, connection ] of [ ...this._connections, ...this._shardConnections ]) {
+      const stats = connection.stats();
+      for (const id of Object.keys(stats)) {
+        pools.push({ labels: { connection: name, pool: id }, stats: stats[id] });
+      }
+    }
+    const caches = [];
+    for (const [ name, model ] of this._models) {
+      caches.push({ labels: { model: name }, stats: model.cacheStats() });
+    }
+    const sample = (list, fn) => list.map(item => ({ labels: item.labels, value: fn(item.stats) }));
+    return [
+      formatMetric(`${ p }pool_connections`, 'gauge', 'Number of connections in the pool by state', [].concat(
+        pools.map(item => ({ labels: Object.assign({}, item.labels, { state: 'idle' }), value: item.stats.idle })),
+        pools.map(item => ({ labels: Object.assign({}, item.labels, { state: 'in_use' }), value: item.stats.inUse }))
+      )),
+      formatMetric(`${ p }pool_connection_limit`, 'gauge', 'Maximum number of connections in the pool',
+        sample(pools, s => s.connectionLimit)),
+      formatMetric(`${ p }pool_queued_requests`, 'gauge', 'Number of requests waiting for a connection',
+        sample(pools, s => s.queued)),
+      formatMetric(`${ p }pool_acquires_total`, 'counter', 'Total number of connections acquired from the pool',
+        sample(pools, s => s.acquires)),
+      formatMetric(`${ p }pool_acquire_wait_seconds_total`, 'counter', 'Total time spent waiting for a connection',
+        sample(pools, s => s.acquireWaitTime / 1000)),
+      formatMetric(`${ p }pool_down`, 'gauge', 'Whether the pool is temporarily removed from rotation',
+        sample(pools, s => (s.down ? 1 : 0))),
+      formatMetric(`${ p }cache_requests_total`, 'counter', 'Total number of cache lookups by result', [].concat(
+        caches.map(item => ({ labels: Object.assign({}, item.labels, { result: 'hit' }), value: item.stats.hits })),
+        caches.map(item => ({ labels: Object.assign({}, item.labels, { result: 'miss' }), value: item.stats.misses }))
+      )),
+      formatMetric(`${ p }cache_errors_total`, 'counter', 'Total number of cache errors',
+        sample(caches, s => s.errors)),
+    ].join('\n\n') + '\n';
+  }
+
+  /**
+   * 关闭，先停止接受新的查询，等待正在执行的查询及事务结束后关闭连接池，
+   * 再等待正在执行的缓存操作结束后关闭缓存
+   *
+   * @param {Object} options 可选
+   *   - {Number} timeout 最长等待时间（毫秒），超时后直接关闭，默认为 10000，0 表示不限制
+   *   - {Boolean} force 是否不等待直接关闭
    * @param {Function} callback
    * @return {Promise}
    */
-  close(callback) {
+  close(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    options = Object.assign({ timeout: 10000, force: false }, options);
     callback = callback || createPromiseCallback();
     const self = this;
+    const deadline = Date.now() + options.timeout;
     coroutine(function* () {
-      yield self.cache.close();
-      yield self.connection.close();
+      const connections = [ ...self._connections.values(), ...self._shardConnections.values() ];
+      yield Promise.all(connections.map(connection => connection.close(options)));
+      // 缓存与连接池共用同一个截止时间
+      const timeout = options.timeout > 0 ? Math.max(deadline - Date.now(), 1) : 0;
+      const caches = [ ...self._caches.values() ];
+      yield Promise.all(caches.map(cache => cache.close({ timeout, force: options.force })));
+      self._shardConnections.clear();
       self._models.clear();
     }).then(ret => callback(null, ret)).catch(err => callback(err));
     return callback.promise;
   }
-
 }
 
 module.exports = Manager;
@@ -0,0 +1,193 @@
+'use strict';
+
+/**
+ * super-orm
+ *
+ * @author Zongmin Lei <leizongmin@gmail.com>
+ */
+
+/**
+ * 缓存驱动接口（与 ioredis 兼容），Cache 通过 driver 参数使用：
+ *
+ *   driver.createClient(options) 返回客户端，options 为 Cache 的 redis 参数，需要提供：
+ *     - multi() 返回批量操作对象，需要提供 setex(key, ttl, data), del(key), exec(callback)
+ *     - mget(keys, callback) 返回对应的值，不存在时为 null
+ *     - quit(callback) 关闭客户端
+ *     - 触发 error 事件
+ */
+
+const { EventEmitter } = require('events');
+
+class MemoryCacheMulti {
+
+  /**
+   * 批量操作
+   *
+   * @param {Object} driver MemoryCacheDriver 实例
+   */
+  constructor(driver) {
+    this._driver = driver;
+    this._commands = [];
+  }
+
+  /**
+   * 设置值及过期时间
+   *
+   * @param {String} key
+   * @param {Number} ttl 秒
+   * @param {String} data
+   * @return {this}
+   */
+  setex(key, ttl, data) {
+    this._commands.push(() => this._driver._set(key, data, ttl));
+    return this;
+  }
+
+  /**
+   * 删除
+   *
+   * @param {String} key
+   * @return {this}
+   */
+  del(key) {
+    this._commands.push(() => this._driver._del(key));
+    return this;
+  }
+
+  /**
+   * 执行，结果格式为 [[ err, ret ], ...]
+   *
+   * @param {Function} callback
+   */
+  exec(callback) {
+    const ret = this._commands.map(fn => [ null, fn() ]);
+    process.nextTick(() => callback(null, ret));
+  }
+
+}
+
+class MemoryCacheClient extends EventEmitter {
+
+  /**
+   * 创建客户端
+   *
+   * @param {Object} driver MemoryCacheDriver 实例
+   */
+  constructor(driver) {
+    super();
+    this._driver = driver;
+  }
+
+  /**
+   * 批量操作
+   *
+   * @return {Object}
+   */
+  multi() {
+    return new MemoryCacheMulti(this._driver);
+  }
+
+  /**
+   * 获取多个值
+   *
+   * @param {Array} keys
+   * @param {Function} callback
+   */
+  mget(keys, callback) {
+    const ret = keys.map(key => this._driver._get(key));
+    process.nextTick(() => callback(null, ret));
+  }
+
+  /**
+   * 关闭客户端
+   *
+   * @param {Function} callback
+   */
+  quit(callback) {
+    if (callback) process.nextTick(() => callback(null, 'OK'));
+  }
+
+}
+
+class MemoryCacheDriver {
+
+  /**
+   * 创建进程内的缓存驱动，不连接 Redis，同一个驱动创建的客户端共享数据，用于单元测试
+   */
+  constructor() {
+    // 格式为 Map<key, { data, expires }>
+    this._data = new Map();
+  }
+
+  /**
+   * 创建客户端
+   *
+   * @return {Object}
+   */
+  createClient() {
+    return new MemoryCacheClient(this);
+  }
+
+  /**
+   * 获取所有未过期的 Key
+   *
+   * @return {Array}
+   */
+  keys() {
+    return Array.from(this._data.keys()).filter(key => this._get(key) !== null);
+  }
+
+  /**
+   * 清空所有数据
+   *
+   * @return {this}
+   */
+  reset() {
+    this._data.clear();
+    return this;
+  }
+
+  /**
+   * 获取值，不存在或者已过期时返回 null
+   *
+   * @param {String} key
+   * @return {String}
+   */
+  _get(key) {
+    const item = this._data.get(key);
+    if (!item) return null;
+    if (item.expires <= Date.now()) {
+      this._data.delete(key);
+      return null;
+    }
+    return item.data;
+  }
+
+  /**
+   * 设置值
+   *
+   * @param {String} key
+   * @param {String} data
+   * @param {Number} ttl 秒
+   * @return {String}
+   */
+  _set(key, data, ttl) {
+    this._data.set(key, { data: String(data), expires: Date.now() + ttl * 1000 });
+    return 'OK';
+  }
+
+  /**
+   * 删除
+   *
+   * @param {String} key
+   * @return {Number}
+   */
+  _del(key) {
+    const exists = this._get(key) !== null;
+    this._data.delete(key);
+    return exists ? 1 : 0;
+  }
+
+}
+
+module.exports = MemoryCacheDriver;
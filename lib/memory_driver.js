@@ -0,0 +1,598 @@
+'use strict';
+
+/**
+ * super-orm
+ *
+ * @author Zongmin Lei <leizongmin@gmail.com>
+ */
+
+/**
+ * 驱动接口（与 mysql 模块兼容），Connection 通过 driver 参数使用：
+ *
+ *   driver.createPoolCluster() 返回 PoolCluster，需要提供：
+ *     - add(id, config) 添加连接池，id 为 MASTER, SLAVE0, SLAVE1 ...
+ *     - of(id) 返回指定的连接池，连接池需要提供 getConnection(callback)
+ *     - getConnection(callback) 从任意连接池获取连接
+ *     - end(callback) 关闭所有连接池
+ *     - 触发 error, connection, enqueue 事件
+ *     - 可选，_getNode(id).pool 返回连接池，连接池包含 _allConnections, _freeConnections,
+ *       _connectionQueue 数组及 config.connectionLimit，用于 Connection.stats()
+ *   driver.createConnection(config) 返回单独的连接，用于执行 KILL QUERY
+ *
+ *   连接需要提供：
+ *     - query(sql, [values], [callback]) 没有 callback 时返回的查询对象通过 result, error, end 事件返回结果
+ *     - execute(sql, values, [callback]) 可选，参数化查询时使用服务端预处理语句执行，返回值与 query() 相同
+ *     - beginTransaction(callback), commit(callback), rollback(callback)
+ *     - pause(), resume() 暂停及继续接收流式查询的结果
+ *     - release() 释放到连接池，destroy() 销毁连接，end(callback) 关闭单独的连接
+ *     - threadId 及 config 属性，用于执行 KILL QUERY
+ *     - _clusterId 属性，为所属连接池的 id
+ */
+
+const { EventEmitter } = require('events');
+const { classifySQL } = require('./utils');
+
+/**
+ * 创建带有 code 的 Error
+ *
+ * @param {String} message
+ * @param {String} code
+ * @return {Error}
+ */
+function createError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * 判断 SQL 是否匹配
+ *
+ * @param {String|RegExp|Function} pattern
+ * @param {String} sql
+ * @param {Array} values
+ * @return {Boolean}
+ */
+function isMatch(pattern, sql, values) {
+  if (typeof pattern === 'string') {
+    return pattern.trim() === sql.trim();
+  }
+  if (pattern instanceof RegExp) {
+    return pattern.test(sql);
+  }
+  return !!pattern(sql, values);
+}
+
+/**
+ * 复制查询结果，避免调用者修改了预设的数据
+ *
+ * @param {Mixed} ret
+ * @return {Mixed}
+ */
+function cloneResult(ret) {
+  if (Array.isArray(ret)) {
+    return ret.map(row => (row && typeof row === 'object' ? Object.assign({}, row) : row));
+  }
+  if (ret && typeof ret === 'object') {
+    return Object.assign({}, ret);
+  }
+  return ret;
+}
+
+class MemoryQuery extends EventEmitter {
+
+  /**
+   * 查询对象，没有 callback 时通过 result, error, end 事件返回结果
+   *
+   * @param {Object} connection
+   * @param {Function} callback
+   */
+  constructor(connection, callback) {
+    super();
+    this._connection = connection;
+    this._callback = callback || null;
+    this._interrupted = false;
+    this._onInterrupt = null;
+  }
+
+  /**
+   * 终止查询（KILL QUERY）
+   */
+  interrupt() {
+    if (this._interrupted) return;
+    this._interrupted = true;
+    if (this._onInterrupt) this._onInterrupt();
+  }
+
+  /**
+   * 查询结束
+   */
+  _end() {
+    const running = this._connection._driver._running;
+    if (running.get(this._connection.threadId) === this) {
+      running.delete(this._connection.threadId);
+    }
+  }
+
+  /**
+   * 返回查询结果
+   *
+   * @param {Error} err
+   * @param {Mixed} ret
+   */
+  finish(err, ret) {
+    this._onInterrupt = null;
+    if (this._interrupted && !err) {
+      err = createError('Query execution was interrupted', 'ER_QUERY_INTERRUPTED');
+    }
+    if (this._callback) {
+      this._end();
+      this._callback(err, ret);
+      return;
+    }
+    if (err) {
+      this._end();
+      this.emit('error', err);
+      this.emit('end');
+      return;
+    }
+    const rows = Array.isArray(ret) ? ret : [ ret ];
+    let i = 0;
+    const next = () => {
+      while (i < rows.length) {
+        if (this._interrupted) {
+          this._end();
+          this.emit('error', createError('Query execution was interrupted', 'ER_QUERY_INTERRUPTED'));
+          this.emit('end');
+          return;
+        }
+        if (this._connection._paused) {
+          this._connection._onResume = next;
+          return;
+        }
+        this.emit('result', rows[i]);
+        i += 1;
+      }
+      this._end();
+      this.emit('end');
+    };
+    next();
+  }
+
+}
+
+class MemoryConnection extends EventEmitter {
+
+  /**
+   * 创建连接
+   *
+   * @param {Object} driver MemoryDriver 实例
+   * @param {Object} config
+   * @param {Object} pool 所属的连接池，单独的连接为 null
+   */
+  constructor(driver, config, pool) {
+    super();
+    driver._threadIdCounter += 1;
+    this.threadId = driver._threadIdCounter;
+    this.config = config;
+    this._driver = driver;
+    this._pool = pool;
+    this._clusterId = pool ? pool._id : undefined;
+    this._paused = false;
+    this._onResume = null;
+    // 模拟不支持预处理语句的驱动（如 mysql 模块）
+    if (!driver._supportExecute) this.execute = undefined;
+  }
+
+  /**
+   * 查询
+   *
+   * @param {String|Object} sql
+   * @param {Array} values
+   * @param {Function} callback
+   * @return {Object}
+   */
+  query(sql, values, callback) {
+    if (typeof values === 'function') {
+      callback = values;
+      values = undefined;
+    }
+    if (sql && typeof sql === 'object') {
+      values = values || sql.values;
+      sql = sql.sql;
+    }
+    const query = new MemoryQuery(this, callback);
+    this._driver._run(this, query, sql, values, false);
+    return query;
+  }
+
+  /**
+   * 使用预处理语句查询
+   *
+   * @param {String} sql
+   * @param {Array} values
+   * @param {Function} callback
+   * @return {Object}
+   */
+  execute(sql, values, callback) {
+    const query = new MemoryQuery(this, callback);
+    this._driver._run(this, query, sql, values, true);
+    return query;
+  }
+
+  /**
+   * 开始事务
+   *
+   * @param {Function} callback
+   * @return {Object}
+   */
+  beginTransaction(callback) {
+    return this.query('START TRANSACTION', callback);
+  }
+
+  /**
+   * 提交事务
+   *
+   * @param {Function} callback
+   * @return {Object}
+   */
+  commit(callback) {
+    return this.query('COMMIT', callback);
+  }
+
+  /**
+   * 回滚事务
+   *
+   * @param {Function} callback
+   * @return {Object}
+   */
+  rollback(callback) {
+    return this.query('ROLLBACK', callback);
+  }
+
+  /**
+   * 暂停接收流式查询的结果
+   */
+  pause() {
+    this._paused = true;
+  }
+
+  /**
+   * 继续接收流式查询的结果
+   */
+  resume() {
+    this._paused = false;
+    const next = this._onResume;
+    this._onResume = null;
+    if (next) process.nextTick(next);
+  }
+
+  /**
+   * 释放到连接池
+   */
+  release() {
+    if (this._pool) this._pool._releaseConnection(this);
+  }
+
+  /**
+   * 销毁连接
+   */
+  destroy() {
+    if (this._pool) this._pool._removeConnection(this);
+  }
+
+  /**
+   * 关闭连接
+   *
+   * @param {Function} callback
+   */
+  end(callback) {
+    this.destroy();
+    if (callback) process.nextTick(callback);
+  }
+
+}
+
+class MemoryPool {
+
+  /**
+   * 创建连接池
+   *
+   * @param {Object} cluster MemoryPoolCluster 实例
+   * @param {String} id
+   * @param {Object} config
+   */
+  constructor(cluster, id, config) {
+    this._cluster = cluster;
+    this._id = id;
+    this.config = Object.assign({ connectionLimit: 10 }, config);
+    this._allConnections = [];
+    this._freeConnections = [];
+    this._connectionQueue = [];
+    this._closed = false;
+  }
+
+  /**
+   * 获取连接
+   *
+   * @param {Function} callback
+   */
+  getConnection(callback) {
+    if (this._closed) {
+      process.nextTick(() => callback(createError('Pool is closed.', 'POOL_CLOSED')));
+      return;
+    }
+    if (this._freeConnections.length > 0) {
+      const connection = this._freeConnections.shift();
+      process.nextTick(() => callback(null, connection));
+      return;
+    }
+    if (this._allConnections.length < this.config.connectionLimit) {
+      const connection = new MemoryConnection(this._cluster._driver, this.config, this);
+      this._allConnections.push(connection);
+      this._cluster.emit('connection', connection);
+      process.nextTick(() => callback(null, connection));
+      return;
+    }
+    this._connectionQueue.push(callback);
+    this._cluster.emit('enqueue');
+  }
+
+  /**
+   * 释放连接，如果有排队等待的请求则交给该请求
+   *
+   * @param {Object} connection
+   */
+  _releaseConnection(connection) {
+    if (this._allConnections.indexOf(connection) === -1 || this._freeConnections.indexOf(connection) !== -1) {
+      return;
+    }
+    if (this._connectionQueue.length > 0) {
+      const callback = this._connectionQueue.shift();
+      process.nextTick(() => callback(null, connection));
+      return;
+    }
+    this._freeConnections.push(connection);
+  }
+
+  /**
+   * 从连接池中移除连接
+   *
+   * @param {Object} connection
+   */
+  _removeConnection(connection) {
+    const i = this._allConnections.indexOf(connection);
+    if (i === -1) return;
+    this._allConnections.splice(i, 1);
+    const j = this._freeConnections.indexOf(connection);
+    if (j !== -1) this._freeConnections.splice(j, 1);
+    if (this._connectionQueue.length > 0) {
+      this.getConnection(this._connectionQueue.shift());
+    }
+  }
+
+  /**
+   * 关闭连接池
+   */
+  end() {
+    this._closed = true;
+    const queue = this._connectionQueue;
+    this._connectionQueue = [];
+    for (const callback of queue) {
+      process.nextTick(() => callback(createError('Pool is closed.', 'POOL_CLOSED')));
+    }
+    this._allConnections = [];
+    this._freeConnections = [];
+  }
+
+}
+
+class MemoryPoolCluster extends EventEmitter {
+
+  /**
+   * 创建 PoolCluster
+   *
+   * @param {Object} driver MemoryDriver 实例
+   */
+  constructor(driver) {
+    super();
+    this._driver = driver;
+    this._nodes = new Map();
+    this._counter = 0;
+    this._closed = false;
+  }
+
+  /**
+   * 添加连接池
+   *
+   * @param {String} id
+   * @param {Object} config
+   */
+  add(id, config) {
+    this._nodes.set(id, { id, pool: new MemoryPool(this, id, config) });
+  }
+
+  /**
+   * 获取连接池
+   *
+   * @param {String} id
+   * @return {Object}
+   */
+  _getNode(id) {
+    return this._nodes.get(id) || null;
+  }
+
+  /**
+   * 获取匹配的连接池，pattern 可以包含通配符 *，多个连接池时轮流使用
+   *
+   * @param {String} pattern
+   * @return {Object}
+   */
+  of(pattern) {
+    const re = new RegExp('^' + String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$');
+    return {
+      getConnection: callback => {
+        const list = Array.from(this._nodes.values()).filter(node => re.test(node.id));
+        if (list.length < 1) {
+          process.nextTick(() => callback(createError('Pool does not exist.', 'POOL_NOEXIST')));
+          return;
+        }
+        this._counter += 1;
+        list[this._counter % list.length].pool.getConnection(callback);
+      },
+    };
+  }
+
+  /**
+   * 从任意连接池获取连接
+   *
+   * @param {Function} callback
+   */
+  getConnection(callback) {
+    this.of('*').getConnection(callback);
+  }
+
+  /**
+   * 关闭所有连接池
+   *
+   * @param {Function} callback
+   */
+  end(callback) {
+    this._closed = true;
+    for (const node of this._nodes.values()) {
+      node.pool.end();
+    }
+    if (callback) process.nextTick(() => callback(null));
+  }
+
+}
+
+class MemoryDriver {
+
+  /**
+   * 创建内存驱动，不连接数据库，记录执行的 SQL 并返回预设的结果，用于单元测试
+   *
+   * @param {Object} options
+   *   - {Number} delay 每个查询的执行时间（毫秒），默认为 0
+   *   - {String|Object} dialect 使用该驱动的 Connection 的 SQL 方言，默认为 mysql
+   *   - {Boolean} execute 连接是否提供 execute() 执行预处理语句，默认为 true
+   */
+  constructor(options) {
+    options = Object.assign({}, options || {});
+    this._delay = Number(options.delay || 0);
+    this.dialect = options.dialect || 'mysql';
+    this._supportExecute = options.execute !== false;
+    this._threadIdCounter = 0;
+    this._rules = [];
+    // 正在执行的查询，格式为 Map<threadId, MemoryQuery>
+    this._running = new Map();
+    // 执行过的查询，每个元素为 { sql, values, prepared, pool, threadId }
+    this.queries = [];
+  }
+
+  /**
+   * 设置匹配的 SQL 返回的结果，后设置的优先匹配
+   *
+   * @param {String|RegExp|Function} pattern 字符串（完全相同），正则表达式或者函数 function (sql, values)
+   * @param {Mixed} result 返回的结果，如果为 Error 则返回该错误，
+   *                       如果为函数则格式为 function (sql, values) 返回结果或者 Error
+   * @param {Object} options
+   *   - {Number} delay 执行时间（毫秒），默认与 MemoryDriver 相同
+   *   - {Number} times 匹配的次数，默认不限制
+   * @return {this}
+   */
+  when(pattern, result, options) {
+    options = Object.assign({}, options || {});
+    this._rules.unshift({
+      pattern,
+      result,
+      delay: 'delay' in options ? Number(options.delay) : null,
+      times: 'times' in options ? Number(options.times) : Infinity,
+    });
+    return this;
+  }
+
+  /**
+   * 清空执行过的查询及预设的结果
+   *
+   * @return {this}
+   */
+  reset() {
+    this.queries = [];
+    this._rules = [];
+    return this;
+  }
+
+  /**
+   * 创建 PoolCluster
+   *
+   * @return {Object}
+   */
+  createPoolCluster() {
+    return new MemoryPoolCluster(this);
+  }
+
+  /**
+   * 创建单独的连接
+   *
+   * @param {Object} config
+   * @return {Object}
+   */
+  createConnection(config) {
+    return new MemoryConnection(this, config, null);
+  }
+
+  /**
+   * 执行查询，没有匹配的预设结果时，只读的语句返回空数组，其它语句返回 { affectedRows: 0, insertId: 0, changedRows: 0 }
+   * KILL QUERY 及 pg_cancel_backend() 会终止对应连接正在执行的查询
+   *
+   * @param {Object} connection
+   * @param {Object} query
+   * @param {String} sql
+   * @param {Array} values
+   * @param {Boolean} prepared 是否通过 execute() 执行
+   */
+  _run(connection, query, sql, values, prepared) {
+    this.queries.push({ sql, values, prepared, pool: connection._clusterId || null, threadId: connection.threadId });
+
+    let err = null;
+    let ret;
+    let delay = this._delay;
+    const kill = /^\s*KILL\s+QUERY\s+(\d+)/i.exec(sql) || /^\s*SELECT\s+pg_cancel_backend\((\d+)\)/i.exec(sql);
+    const rule = this._rules.find(item => item.times > 0 && isMatch(item.pattern, sql, values));
+    if (rule) {
+      rule.times -= 1;
+      if (rule.delay !== null) delay = rule.delay;
+      try {
+        ret = typeof rule.result === 'function' ? rule.result(sql, values) : rule.result;
+      } catch (e) {
+        ret = e;
+      }
+      if (ret instanceof Error) {
+        err = ret;
+        ret = undefined;
+      }
+    } else if (kill) {
+      ret = { affectedRows: 0, insertId: 0, changedRows: 0 };
+    } else {
+      ret = classifySQL(sql) === 'read' ? [] : { affectedRows: 0, insertId: 0, changedRows: 0 };
+    }
+    if (kill && !err) {
+      const running = this._running.get(Number(kill[1]));
+      if (running) running.interrupt();
+    }
+
+    this._running.set(connection.threadId, query);
+    let timer = null;
+    const finish = () => {
+      clearTimeout(timer);
+      query.finish(err, cloneResult(ret));
+    };
+    // 被终止时立即返回
+    query._onInterrupt = finish;
+    timer = setTimeout(finish, delay);
+  }
+
+}
+
+module.exports = MemoryDriver;
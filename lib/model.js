@@ -7,11 +7,49 @@
  */
 
 const assert = require('assert');
+const { Readable } = require('stream');
+const coroutine = require('lei-coroutine');
 const {
-  createPromiseCallback, isConnectionInstance, isCacheInstance, isUpdateSQL,
+  createPromiseCallback, isConnectionInstance, isCacheInstance, isUpdateSQL, isMasterQuery, shardByHash,
+  ShardNotSelectedError,
 } = require('./utils');
 const Schema = require('./schema');
 const QueryBuilder = require('./query');
+const Transaction = require('./transaction');
+
+/**
+ * 比较两个字段值，用于合并多个分片的查询结果，null 排在最前面
+ *
+ * @param {Mixed} a
+ * @param {Mixed} b
+ * @return {Number}
+ */
+function compareValue(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  if (a instanceof Date) a = a.getTime();
+  if (b instanceof Date) b = b.getTime();
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * 获取条件对象中字段可能的值，仅支持值、数组（IN）、$eq 和 $in，其他情况返回 null
+ *
+ * @param {Mixed} value
+ * @return {Array}
+ */
+function conditionValues(value) {
+  if (typeof value === 'string' || typeof value === 'number') return [ value ];
+  if (Array.isArray(value)) return value;
+  if (value && typeof value === 'object' && Object.keys(value).length === 1) {
+    if (typeof value.$eq === 'string' || typeof value.$eq === 'number') return [ value.$eq ];
+    if (Array.isArray(value.$in)) return value.$in;
+  }
+  return null;
+}
 
 
 class Model {
@@ -21,17 +59,45 @@ class Model {
    *
    * @param {Object} options
    *   - {Object} connection
+   *   - {Array} connections 分片的 Connection 数组，指定 shardKey 时使用
+   *   - {String} shardKey 分片键字段名
+   *   - {Function} shard 分片函数，格式为 function (value, count) 返回分片序号（从 0 开始），
+   *                      默认整数按照取模计算，其他值按照哈希值取模计算
    *   - {Object} cache
    *   - {String} table
    *   - {Object} fields 格式为 { name: info }
    *   - {String|Array} primary
    *   - {Boolean} autoIncrement
+   *   - {Boolean} prepared 是否使用参数化查询，驱动支持时使用服务端预处理语句
+   *   - {Number} stickyMaster 写操作后在指定时间（毫秒）内的读操作在 MASTER 执行，默认为 0 不启用
+   *   - {String} stickyMasterScope 范围，key 表示仅对 *ByPrimary() 写入的同一主键生效（包括 getByPrimary()，
+   *                                以及 WHERE 条件通过值、$eq 或 $in 指定了该主键且不包含 OR 的查询），
+   *                                model 表示对整个 Model 生效，默认为 key
    */
   constructor(options) {
     options = Object.assign({}, options || {});
 
-    assert.ok(isConnectionInstance(options.connection), `connection must be an Connection instance`);
-    this.connection = options.connection;
+    if (options.shardKey) {
+      assert.ok(typeof options.shardKey === 'string', `shardKey must be a string`);
+      assert.ok(Array.isArray(options.connections) && options.connections.length > 0, `connections must be a non-empty array when shardKey is provided`);
+      options.connections.forEach(conn => {
+        assert.ok(isConnectionInstance(conn), `every item of connections must be an Connection instance`);
+      });
+      this.shardKey = options.shardKey;
+      this.shardConnections = options.connections.slice();
+      this.shardFunction = options.shard || shardByHash;
+      assert.ok(typeof this.shardFunction === 'function', `shard must be a function`);
+      // 未绑定分片，通过 shard(value) 获取绑定到指定分片的 Model
+      this.shardIndex = null;
+      this.connection = null;
+    } else {
+      assert.ok(isConnectionInstance(options.connection), `connection must be an Connection instance`);
+      this.connection = options.connection;
+      this.shardKey = null;
+      this.shardConnections = null;
+      this.shardFunction = null;
+      this.shardIndex = null;
+    }
 
     assert.ok(isCacheInstance(options.cache), `cache must be an Cache instance`);
     this.cache = options.cache;
@@ -62,6 +128,17 @@ class Model {
       this.primaryKeyAutoIncrement = false;
     }
 
+    this.prepared = !!options.prepared;
+
+    this.stickyMaster = Number(options.stickyMaster || 0);
+    assert.ok(this.stickyMaster >= 0, `stickyMaster must >= 0`);
+    this.stickyMasterScope = options.stickyMasterScope || 'key';
+    assert.ok(this.stickyMasterScope === 'key' || this.stickyMasterScope === 'model', `stickyMasterScope must be "key" or "model"`);
+    // 写操作的时间记录，until 为整个 Model 的截止时间，keys 为每个主键的截止时间
+    this._stickyState = { until: 0, keys: new Map() };
+    // 缓存命中统计，绑定到事务、Context 或分片的 Model 与原 Model 共享
+    this._cacheStats = { hits: 0, misses: 0, errors: 0 };
+
     this.schema = new Schema(options);
   }
 
@@ -80,7 +157,121 @@ class Model {
       }
       return `${ name }_${ data[name] }`;
     }).join(':');
-    return `${ this.tableName }:r:${ key }`;
+    // 不同分片的主键可能相同
+    const shard = this.shardKey ? `s${ this._routeShard(data).shardIndex }:` : '';
+    return `${ this.tableName }:r:${ shard }${ key }`;
+  }
+
+  /**
+   * 获取绑定到指定分片的 Model
+   *
+   * @param {Mixed} value 分片键的值
+   * @return {Object}
+   */
+  shard(value) {
+    assert.ok(this.shardKey, `model "${ this.tableName }" does not have shardKey`);
+    return this._bindShard(this._getShardIndex(value));
+  }
+
+  /**
+   * 计算分片序号
+   *
+   * @param {Mixed} value 分片键的值
+   * @return {Number}
+   */
+  _getShardIndex(value) {
+    assert.ok(value !== undefined && value !== null, `missing shard key "${ this.shardKey }"`);
+    const count = this.shardConnections.length;
+    const index = this.shardFunction(value, count);
+    assert.ok(Number.isInteger(index) && index >= 0 && index < count, `shard function must return an integer between 0 and ${ count - 1 } but got ${ index }`);
+    return index;
+  }
+
+  /**
+   * 获取绑定到指定分片的 Model
+   *
+   * @param {Number} index 分片序号
+   * @return {Object}
+   */
+  _bindShard(index) {
+    if (index === this.shardIndex) {
+      return this;
+    }
+    const bound = Object.create(this);
+    bound.connection = this.shardConnections[index];
+    bound.shardIndex = index;
+    return bound;
+  }
+
+  /**
+   * 获取 SQL 方言，未绑定分片时使用第一个分片的方言
+   *
+   * @return {Object}
+   */
+  _getDialect() {
+    return (this.connection || this.shardConnections[0]).dialect;
+  }
+
+  /**
+   * 根据数据中分片键的值获取绑定到对应分片的 Model，所有数据必须属于同一个分片
+   * 如果没有分片键或者已经绑定到对应分片则返回自身
+   *
+   * @param {Object|Array} data
+   * @return {Object}
+   */
+  _routeShard(data) {
+    if (!this.shardKey) {
+      return this;
+    }
+    let index = this.shardIndex;
+    for (const item of Array.isArray(data) ? data : [ data ]) {
+      const value = item[this.shardKey];
+      // 已经绑定分片时可以不提供分片键
+      if (this.shardIndex !== null && (value === undefined || value === null)) continue;
+      const i = this._getShardIndex(value);
+      assert.ok(index === null || index === i, `all rows must belong to the same shard`);
+      index = i;
+    }
+    return this._bindShard(index);
+  }
+
+  /**
+   * 在所有分片上执行查询并合并结果，按照 ORDER BY 排序后再处理 skip 和 limit，
+   * count() 的结果为所有分片的总和，无法在所有分片执行的查询通过回调返回错误
+   *
+   * @param {Object} query QueryBuilder 实例
+   * @param {String} method 查询方法：query 或 queryMaster
+   * @param {Function} callback
+   */
+  _queryShards(query, method, callback) {
+    let plan;
+    try {
+      plan = query._toShardQuery();
+    } catch (err) {
+      process.nextTick(() => callback(err));
+      return;
+    }
+    const list = this.shardConnections.map(conn => conn[method](plan.query));
+    Promise.all(list).then(results => {
+      if (plan.count) {
+        const total = results.reduce((n, ret) => n + Number(ret[0] ? ret[0][plan.count] : 0), 0);
+        return callback(null, [{ [plan.count]: total }]);
+      }
+      let ret = [].concat(...results);
+      if (plan.order.length > 0) {
+        ret.sort((a, b) => {
+          for (const { name, desc } of plan.order) {
+            const n = compareValue(a[name], b[name]);
+            if (n !== 0) return desc ? -n : n;
+          }
+          return 0;
+        });
+      }
+      if (plan.skip > 0 || plan.limit > 0) {
+        ret = ret.slice(plan.skip, plan.limit > 0 ? plan.skip + plan.limit : undefined);
+      }
+      callback(null, ret);
+    }).catch(err => callback(err));
   }
 
   /**
@@ -99,6 +290,86 @@ class Model {
     return ret;
   }
 
+  /**
+   * 记录写操作，在 stickyMaster 时间内的读操作将在 MASTER 执行
+   *
+   * @param {Object} key 主键数据，可选
+   */
+  _markWrite(key) {
+    if (!(this.stickyMaster > 0)) return;
+    const now = Date.now();
+    const state = this._stickyState;
+    if (this.stickyMasterScope === 'model') {
+      state.until = now + this.stickyMaster;
+      return;
+    }
+    if (!key) return;
+    // 清理已过期的记录，Map 按插入顺序遍历，先过期的在前面
+    for (const [ k, until ] of state.keys) {
+      if (until > now) break;
+      state.keys.delete(k);
+    }
+    const k = this.getPrimaryCacheKey(key, false);
+    state.keys.delete(k);
+    state.keys.set(k, now + this.stickyMaster);
+  }
+
+  /**
+   * 判断读操作是否需要在 MASTER 执行
+   *
+   * @param {Object} key 主键数据，可选
+   * @return {Boolean}
+   */
+  _isSticky(key) {
+    const now = Date.now();
+    const state = this._stickyState;
+    if (state.until > now) return true;
+    if (!key || state.keys.size < 1) return false;
+    const until = state.keys.get(this.getPrimaryCacheKey(key, false));
+    return !!until && until > now;
+  }
+
+  /**
+   * 判断查询是否需要在 MASTER 执行，stickyMasterScope 为 key 时根据 WHERE 条件中的主键判断
+   *
+   * @param {Object} query QueryBuilder 实例
+   * @return {Boolean}
+   */
+  _isStickyQuery(query) {
+    if (this._isSticky()) return true;
+    if (this._stickyState.keys.size < 1 || !this.primaryKey) return false;
+    const d = query._data;
+    // 包含 OR 时无法确定查询的主键
+    if (d.conditions.some(item => item.connector === 'OR')) return false;
+    const fields = {};
+    for (const item of d.conditionObjects) {
+      for (const name of Object.keys(item)) {
+        const values = conditionValues(item[name]);
+        if (values) fields[name] = values;
+      }
+    }
+    // 未绑定分片时需要通过分片键计算主键所在的分片
+    const names = this.primaryKey.slice();
+    if (this.shardKey && this.shardIndex === null && names.indexOf(this.shardKey) === -1) {
+      names.push(this.shardKey);
+    }
+    let keys = [{}];
+    for (const name of names) {
+      if (!fields[name]) return false;
+      keys = [].concat(...keys.map(key => fields[name].map(v => Object.assign({}, key, { [name]: v }))));
+    }
+    return keys.some(key => this._isSticky(key));
+  }
+
+  /**
+   * 获取缓存命中统计
+   *
+   * @return {Object} 格式为 { hits, misses, errors }
+   */
+  cacheStats() {
+    return Object.assign({}, this._cacheStats);
+  }
+
   /**
    * 将结果保存到缓存
    *
@@ -148,15 +419,27 @@ class Model {
     if (!Array.isArray(data)) {
       data = [ data ];
     }
+    callback = callback || createPromiseCallback();
     const list = data.map(item => this.getPrimaryCacheKey(item, false));
-    return this.cache.getList(list, (err, ret) => {
-      if (err) return callback(err);
+    this.cache.getList(list, (err, ret) => {
+      if (err) {
+        this._cacheStats.errors += 1;
+        return callback(err);
+      }
       if (Array.isArray(ret)) {
+        for (const v of ret) {
+          if (v) {
+            this._cacheStats.hits += 1;
+          } else {
+            this._cacheStats.misses += 1;
+          }
+        }
         callback(null, ret.map(v => this.schema.unserialize(v)));
       } else {
         callback(null, this.schema.unserialize(ret));
       }
     });
+    return callback.promise;
   }
 
   /**
@@ -165,32 +448,108 @@ class Model {
    * @param {Object} options
    *   - {Boolean} format 是否格式化输出
    *   - {Function} callback 使用自定义的函数处理回调结果
+   *   - {Boolean} master 是否在 MASTER 执行
    * @return {Object}
    */
   query(options) {
     options = options || {};
-    return new QueryBuilder({
+    const query = new QueryBuilder({
       table: this.tableName,
+      prepared: this.prepared,
+      dialect: this._getDialect(),
+      primaryKey: this.primaryKey,
       exec: (sql, callback) => {
         callback = callback || createPromiseCallback();
-        this.connection.query(sql, (err, ret) => {
+        const isUpdate = isUpdateSQL(sql);
+        const method = isMasterQuery(sql, options.master || this._isStickyQuery(query)) ? 'queryMaster' : 'query';
+        const done = (err, ret) => {
+          if (isUpdate && !err) {
+            this._markWrite();
+          }
           // 格式化输出
           if (ret && options.format) {
-            if (Array.isArray(ret)) {
-              ret = this.schema.formatOutputList(ret);
-            } else {
-              ret = this.schema.formatOutput(ret);
-            }
+            const format = this._outputFormatter(query);
+            ret = Array.isArray(ret) ? ret.map(format) : format(ret);
           }
           if (!options.callback) {
             return callback(err, ret);
           }
           // 处理回调结果
           options.callback(err, ret, callback);
-        });
+        };
+        if (this.shardKey && this.shardIndex === null) {
+          // 未绑定分片时在所有分片上查询
+          if (isUpdate) {
+            const err = new ShardNotSelectedError(`cannot execute update on all shards, please use shard(value) to select a shard`);
+            process.nextTick(() => done(err));
+          } else {
+            this._queryShards(query, method, done);
+          }
+        } else {
+          this.connection[method](sql, done);
+        }
         return callback.promise;
       },
+      stream: (sql, streamOptions) => {
+        if (this.shardKey && this.shardIndex === null) {
+          // 返回触发 error 事件的 Readable，与查询出错时的行为一致
+          const output = new Readable({ objectMode: true, read() {} });
+          output.destroy(new ShardNotSelectedError(`cannot stream on all shards, please use shard(value) to select a shard`));
+          return output;
+        }
+        const master = isMasterQuery(sql, options.master || this._isStickyQuery(query));
+        return this.connection.stream(sql, Object.assign({
+          master,
+          // 格式化输出
+          transform: options.format ? this._outputFormatter(query) : null,
+        }, streamOptions));
+      },
+    });
+    return query;
+  }
+
+  /**
+   * 生成格式化输出一行数据的函数，关联了其他 Model 时每个字段按照所属 Model 的 schema 格式化：
+   * 通过 fields('o.total AS total') 指定了来源的字段使用对应的 Model，
+   * 其他字段依次在 fields('o.*') 指定的 Model、当前 Model 及关联的 Model 中查找第一个定义了该字段的 Model
+   *
+   * @param {Object} query QueryBuilder 实例
+   * @return {Function}
+   */
+  _outputFormatter(query) {
+    const joins = query._data.joins.filter(item => item.model);
+    if (joins.length < 1) {
+      return row => this.schema.formatOutput(row);
+    }
+    const sources = { [this.tableName]: this };
+    if (query._data.alias) sources[query._data.alias] = this;
+    joins.forEach(item => {
+      sources[item.alias] = item.model;
     });
+    const columns = {};
+    const starred = [];
+    for (const field of query._data.fieldList) {
+      const model = field.source && sources[field.source];
+      if (!model) continue;
+      if (field.column === '*') {
+        starred.push(model);
+      } else {
+        columns[field.name] = { schema: model.schema, column: field.column };
+      }
+    }
+    const models = starred.concat(this, joins.map(item => item.model));
+    return row => {
+      const ret = {};
+      for (const name in row) {
+        let info = columns[name];
+        if (!info) {
+          const model = models.find(item => item.schema.hasField(name));
+          info = model ? { schema: model.schema, column: name } : null;
+        }
+        ret[name] = info ? info.schema.formatOutputField(info.column, row[name]) : row[name];
+      }
+      return ret;
+    };
   }
 
   /**
@@ -210,13 +569,23 @@ class Model {
    */
   findOne() {
     assert.equal(arguments.length, 0, `expected 0 argument for findOne() but got ${ arguments.length }`);
-    return this.query({
+    return this._findOne({});
+  }
+
+  /**
+   * 查询一行数据
+   *
+   * @param {Object} options 参考 query()
+   * @return {Object}
+   */
+  _findOne(options) {
+    return this.query(Object.assign({
       format: true,
       callback(err, ret, callback) {
         if (err) return callback(err);
         callback(null, ret[0]);
       },
-    }).select('*').limit(1);
+    }, options)).select('*').limit(1);
   }
 
   /**
@@ -235,6 +604,17 @@ class Model {
     }).count('c').limit(1);
   }
 
+  /**
+   * 聚合查询，例如 aggregate().sum('total', 'revenue').groupBy('shop_id')
+   * 没有指定查询字段时返回 GROUP BY 的字段及聚合函数的结果，结果不经过格式化
+   *
+   * @return {Object}
+   */
+  aggregate() {
+    assert.equal(arguments.length, 0, `expected 0 argument for aggregate() but got ${ arguments.length }`);
+    return this.query({ format: false }).select('*');
+  }
+
   /**
    * 更新数据
    *
@@ -297,6 +677,151 @@ class Model {
    */
   insert(data) {
     assert.equal(arguments.length, 1, `expected 1  argument for insert() but got ${ arguments.length }`);
+    return this._insert('insert', data);
+  }
+
+  /**
+   * 插入数据，忽略唯一键冲突的行
+   *
+   * @param {Object|Array} data
+   * @return {Object}
+   */
+  insertIgnore(data) {
+    assert.equal(arguments.length, 1, `expected 1  argument for insertIgnore() but got ${ arguments.length }`);
+    return this._insert('insertIgnore', data);
+  }
+
+  /**
+   * 插入数据，唯一键冲突时先删除原来的行（仅支持 MySQL）
+   *
+   * @param {Object|Array} data
+   * @return {Object}
+   */
+  replace(data) {
+    assert.equal(arguments.length, 1, `expected 1  argument for replace() but got ${ arguments.length }`);
+    return this._insert('replace', data);
+  }
+
+  /**
+   * 批量插入数据，按照行数和 SQL 语句的大小分成多个 INSERT 语句依次执行，
+   * 每一行的字段可以不同，缺少的字段使用 DEFAULT
+   * 返回 { affectedRows, batches, firstInsertId, lastInsertId, ranges }，
+   * 其中 ranges 为每个语句生成的自增主键范围 [{ first, last }]，没有自增主键时为空数组，
+   * 语句中部分行指定了自增主键时不计算该语句的范围；
+   * MySQL 按照 insertId 及行数计算，要求 innodb_autoinc_lock_mode 不为 2（interleaved）
+   *
+   * @param {Array} list
+   * @param {Object} options 可选
+   *   - {Number} batchSize 每个语句最多插入的行数，默认为 1000
+   *   - {Number} maxBytes 每个语句的值的最大字节数（估算），需要小于 max_allowed_packet，默认为 1MB
+   *   - {Boolean} transaction 是否在同一个事务中执行，默认为 false，已经在事务中时直接执行
+   * @param {Function} callback
+   * @return {Promise}
+   */
+  bulkInsert(list, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    options = Object.assign({ batchSize: 1000, maxBytes: 1024 * 1024, transaction: false }, options);
+    assert.ok(Array.isArray(list) && list.length > 0, `data must be a non-empty array`);
+    assert.ok(options.batchSize >= 1, `batchSize must >= 1`);
+    assert.ok(options.maxBytes >= 1, `maxBytes must >= 1`);
+    const model = this._routeShard(list);
+    if (model !== this) {
+      return model.bulkInsert(list, options, callback);
+    }
+    callback = callback || createPromiseCallback();
+    const batches = this._splitBatches(list, options.batchSize, options.maxBytes);
+    const run = m => coroutine(function* () {
+      const ret = { affectedRows: 0, batches: batches.length, firstInsertId: null, lastInsertId: null, ranges: []};
+      for (const batch of batches) {
+        const r = yield m.insert(batch).exec();
+        ret.affectedRows += Number(r.affectedRows || 0);
+        const range = m._insertIdRange(r, batch);
+        if (range) {
+          ret.ranges.push(range);
+          if (ret.firstInsertId === null) ret.firstInsertId = range.first;
+          ret.lastInsertId = range.last;
+        }
+      }
+      return ret;
+    });
+    let p;
+    if (options.transaction && !(this.connection instanceof Transaction)) {
+      p = this.connection.transaction(tx => run(tx.bind(this)));
+    } else {
+      p = run(this);
+    }
+    p.then(ret => callback(null, ret)).catch(err => callback(err));
+    return callback.promise;
+  }
+
+  /**
+   * 按照行数和估算的字节数分批
+   *
+   * @param {Array} list
+   * @param {Number} batchSize
+   * @param {Number} maxBytes
+   * @return {Array}
+   */
+  _splitBatches(list, batchSize, maxBytes) {
+    const dialect = this._getDialect();
+    const batches = [];
+    let batch = [];
+    let bytes = 0;
+    list.forEach(item => {
+      assert.ok(item && typeof item === 'object', `every item of data array must be an object`);
+      // 按照格式化并转义后的值估算，每个值加上分隔符的长度
+      const data = this.schema.formatInput(item);
+      const size = Object.keys(data).reduce((n, name) => n + Buffer.byteLength(String(dialect.escape(data[name]))) + 2, 4);
+      if (batch.length > 0 && (batch.length >= batchSize || bytes + size > maxBytes)) {
+        batches.push(batch);
+        batch = [];
+        bytes = 0;
+      }
+      batch.push(item);
+      bytes += size;
+    });
+    batches.push(batch);
+    return batches;
+  }
+
+  /**
+   * 获取 INSERT 语句生成的自增主键范围
+   * 部分行指定了自增主键时，生成的主键不一定连续，返回 null
+   *
+   * @param {Object} ret 查询结果
+   * @param {Array} batch 插入的数据
+   * @return {Object} 格式为 { first, last }，没有生成自增主键时返回 null
+   */
+  _insertIdRange(ret, batch) {
+    if (!this.primaryKeyAutoIncrement || !ret) {
+      return null;
+    }
+    const name = this.primaryKey[0];
+    const generated = batch.filter(item => item[name] === undefined || item[name] === null).length;
+    if (generated !== batch.length) {
+      return null;
+    }
+    // 通过 RETURNING 返回自增主键
+    if (Array.isArray(ret.rows) && ret.rows.length > 0) {
+      return { first: ret.rows[0][name], last: ret.rows[ret.rows.length - 1][name] };
+    }
+    if (!(ret.insertId > 0)) {
+      return null;
+    }
+    return { first: ret.insertId, last: ret.insertId + generated - 1 };
+  }
+
+  /**
+   * 插入数据
+   *
+   * @param {String} method QueryBuilder 的方法：insert, insertIgnore, replace
+   * @param {Object|Array} data
+   * @return {Object}
+   */
+  _insert(method, data) {
     // 格式化输入
     if (Array.isArray(data)) {
       data = this.schema.formatInputList(data);
@@ -313,7 +838,12 @@ class Model {
         }
       }
     }
-    return this.query({ format: false }).insert(data);
+    const query = this._routeShard(data).query({ format: false })[method](data);
+    // 不支持 LAST_INSERT_ID() 的数据库通过 RETURNING 获取自增主键
+    if (this.primaryKeyAutoIncrement && this._getDialect().supportsReturning) {
+      query.returning(this.primaryKey[0]);
+    }
+    return query;
   }
 
   /**
@@ -352,19 +882,34 @@ class Model {
    * @return {Promise}
    */
   getByPrimary(query, callback) {
+    const model = this._routeShard(query);
+    if (model !== this) {
+      return model.getByPrimary(query, callback);
+    }
     callback = callback || createPromiseCallback();
     query = this.keepPrimaryFields(query);
+    const findAndSave = master => {
+      this._findOne({ master }).where(query).exec((err, ret) => {
+        if (err) return callback(err);
+        // 保存到缓存
+        this.saveCache(ret, err => {
+          if (err) this._cacheStats.errors += 1;
+          callback(err, ret);
+        });
+      });
+    };
+    // 刚写入的数据直接从 MASTER 查询，避免缓存从 SLAVE 读取的旧数据
+    if (this._isSticky(query)) {
+      findAndSave(true);
+      return callback.promise;
+    }
     // 先尝试从缓存中获取
     this.getCache(query, (err, list) => {
       if (err) return callback(err);
       const c = list && list[0];
       if (c) return callback(err, c);
       // 从数据库查询
-      this.findOne().where(query).exec((err, ret) => {
-        if (err) return callback(err);
-        // 保存到缓存
-        this.saveCache(ret, err => callback(err, ret));
-      });
+      findAndSave(false);
     });
     return callback.promise;
   }
@@ -378,16 +923,43 @@ class Model {
    * @return {Promise}
    */
   updateByPrimary(query, update, callback) {
+    const model = this._routeShard(query);
+    if (model !== this) {
+      return model.updateByPrimary(query, update, callback);
+    }
     callback = callback || createPromiseCallback();
     this.updateOne(update)
       .where(this.keepPrimaryFields(query))
       .exec((err, ret) => {
         if (err) return callback(err);
+        this._markWrite(query);
         this.removeCache(query, err => callback(err, ret));
       });
     return callback.promise;
   }
 
+  /**
+   * 插入或更新（主键冲突时更新插入的字段）指定主键的数据，并删除缓存
+   *
+   * @param {Object} data 需要包含主键
+   * @param {Function} callback
+   * @return {Promise}
+   */
+  upsertByPrimary(data, callback) {
+    const model = this._routeShard(data);
+    if (model !== this) {
+      return model.upsertByPrimary(data, callback);
+    }
+    callback = callback || createPromiseCallback();
+    const key = this.keepPrimaryFields(data);
+    this.insert(data).onDuplicate().exec((err, ret) => {
+      if (err) return callback(err);
+      this._markWrite(key);
+      this.removeCache(key, err => callback(err, ret));
+    });
+    return callback.promise;
+  }
+
   /**
    * 删除主键的数据，并删除缓存
    *
@@ -396,11 +968,16 @@ class Model {
    * @return {Promise}
    */
   deleteByPrimary(query, callback) {
+    const model = this._routeShard(query);
+    if (model !== this) {
+      return model.deleteByPrimary(query, callback);
+    }
     callback = callback || createPromiseCallback();
     this.deleteOne()
       .where(this.keepPrimaryFields(query))
       .exec((err, ret) => {
         if (err) return callback(err);
+        this._markWrite(query);
         this.removeCache(query, err => callback(err, ret));
       });
     return callback.promise;
@@ -0,0 +1,553 @@
+'use strict';
+
+/**
+ * super-orm
+ *
+ * @author Zongmin Lei <leizongmin@gmail.com>
+ */
+
+/**
+ * 基于 pg 模块的 PostgreSQL 驱动，实现与 mysql 模块兼容的驱动接口（参考 MemoryDriver），
+ * Connection 通过 driver 参数使用，并自动使用 PostgreSQL 方言
+ *
+ * 与 mysql 模块的差异：
+ *   - 参数化查询的 ? 占位符会转换为 $1, $2 ...（忽略字符串、带引号的名称及注释中的 ?）
+ *   - execute() 使用命名的预处理语句执行，名称由 SQL 语句的摘要生成，在同一连接上只预处理一次
+ *   - INSERT, UPDATE, DELETE 返回 { affectedRows, changedRows, insertId, rows }，
+ *     insertId 为 RETURNING 返回的第一行第一列的值，Model.insert() 会自动 RETURNING 自增主键
+ *   - pg 模块会一次读取全部结果，流式查询只能控制输出的速度，不能减少内存占用
+ *   - 连接的 threadId 为后端进程 ID，终止查询时执行 pg_cancel_backend()
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { sqlNumberPlaceholders } = require('./utils');
+
+// 返回影响行数的语句
+const WRITE_COMMANDS = new Set([ 'INSERT', 'UPDATE', 'DELETE', 'MERGE' ]);
+// 默认解析为 Number 的类型（int8, numeric），与 mysql 模块的默认行为相同
+const NUMBER_TYPES = new Set([ 20, 1700 ]);
+
+/**
+ * 创建带有 code 的 Error
+ *
+ * @param {String} message
+ * @param {String} code
+ * @return {Error}
+ */
+function createError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * 加载 pg 模块
+ *
+ * @param {Object} pg
+ * @return {Object}
+ */
+function loadPg(pg) {
+  if (pg) return pg;
+  try {
+    return require('pg');
+  } catch (err) {
+    throw new Error(`cannot load module "pg", please install it by "npm install pg --save": ${ err.message }`);
+  }
+}
+
+/**
+ * 转换 pg 的查询结果，与 mysql 模块的格式相同
+ *
+ * @param {Object|Array} result 多条语句时为数组
+ * @return {Mixed}
+ */
+function convertResult(result) {
+  if (Array.isArray(result)) {
+    return result.map(convertResult);
+  }
+  if (WRITE_COMMANDS.has(result.command) || !result.fields || result.fields.length < 1) {
+    const row = result.rows && result.rows[0];
+    const affectedRows = result.rowCount || 0;
+    return {
+      affectedRows,
+      changedRows: affectedRows,
+      insertId: row ? row[Object.keys(row)[0]] : 0,
+      rows: result.rows || [],
+    };
+  }
+  return result.rows;
+}
+
+class PgQuery extends EventEmitter {
+
+  /**
+   * 查询对象，没有 callback 时通过 result, error, end 事件返回结果
+   *
+   * @param {Object} connection PgConnection 实例
+   * @param {Function} callback
+   */
+  constructor(connection, callback) {
+    super();
+    this._connection = connection;
+    this._callback = callback || null;
+  }
+
+  /**
+   * 返回查询结果
+   *
+   * @param {Error} err
+   * @param {Mixed} ret
+   */
+  finish(err, ret) {
+    if (this._callback) {
+      this._callback(err, ret);
+      return;
+    }
+    if (err) {
+      this.emit('error', err);
+      this.emit('end');
+      return;
+    }
+    const rows = Array.isArray(ret) ? ret : [ ret ];
+    let i = 0;
+    const next = () => {
+      while (i < rows.length) {
+        if (this._connection._paused) {
+          this._connection._onResume = next;
+          return;
+        }
+        this.emit('result', rows[i]);
+        i += 1;
+      }
+      this.emit('end');
+    };
+    next();
+  }
+
+}
+
+class PgConnection extends EventEmitter {
+
+  /**
+   * 包装 pg 的 Client
+   *
+   * @param {Object} driver PgDriver 实例
+   * @param {Object} client pg.Client 实例
+   * @param {Object} config
+   * @param {Object} pool 所属的连接池，单独的连接为 null
+   */
+  constructor(driver, client, config, pool) {
+    super();
+    this.config = config;
+    this._driver = driver;
+    this._client = client;
+    this._pool = pool;
+    this._clusterId = pool ? pool._id : undefined;
+    // 连接池的连接已经连接，单独的连接在第一次查询时连接
+    this._connected = !!pool;
+    this._connectCallbacks = null;
+    this._release = null;
+    this._paused = false;
+    this._onResume = null;
+  }
+
+  /**
+   * 后端进程 ID，用于终止查询
+   *
+   * @return {Number}
+   */
+  get threadId() {
+    return this._client.processID;
+  }
+
+  /**
+   * 连接到数据库（仅单独的连接需要）
+   *
+   * @param {Function} callback
+   */
+  _connect(callback) {
+    if (this._connected) {
+      callback(null);
+      return;
+    }
+    if (this._connectCallbacks) {
+      this._connectCallbacks.push(callback);
+      return;
+    }
+    this._connectCallbacks = [ callback ];
+    this._client.connect(err => {
+      const list = this._connectCallbacks;
+      this._connectCallbacks = null;
+      if (!err) this._connected = true;
+      list.forEach(fn => fn(err || null));
+    });
+  }
+
+  /**
+   * 查询
+   *
+   * @param {String|Object} sql
+   * @param {Array} values
+   * @param {Function} callback
+   * @return {Object}
+   */
+  query(sql, values, callback) {
+    if (typeof values === 'function') {
+      callback = values;
+      values = undefined;
+    }
+    return this._query(sql, values, callback, false);
+  }
+
+  /**
+   * 使用预处理语句查询
+   *
+   * @param {String} sql
+   * @param {Array} values
+   * @param {Function} callback
+   * @return {Object}
+   */
+  execute(sql, values, callback) {
+    return this._query(sql, values || [], callback, true);
+  }
+
+  /**
+   * 执行查询
+   *
+   * @param {String|Object} sql
+   * @param {Array} values
+   * @param {Function} callback
+   * @param {Boolean} prepared 是否使用命名的预处理语句
+   * @return {Object}
+   */
+  _query(sql, values, callback, prepared) {
+    const config = { types: this._driver._types };
+    if (sql && typeof sql === 'object') {
+      values = values || sql.values;
+      if (sql.timeout > 0) config.query_timeout = sql.timeout;
+      sql = sql.sql;
+    }
+    if (values && values.length > 0) {
+      config.text = sqlNumberPlaceholders(sql);
+      config.values = values;
+    } else {
+      config.text = sql;
+    }
+    if (prepared) {
+      config.name = 'super_orm_' + crypto.createHash('sha1').update(config.text).digest('hex');
+    }
+    const query = new PgQuery(this, callback);
+    this._connect(err => {
+      if (err) return query.finish(err);
+      this._client.query(config, (err, result) => {
+        if (err) return query.finish(err);
+        query.finish(null, convertResult(result));
+      });
+    });
+    return query;
+  }
+
+  /**
+   * 开始事务
+   *
+   * @param {Function} callback
+   * @return {Object}
+   */
+  beginTransaction(callback) {
+    return this.query('BEGIN', callback);
+  }
+
+  /**
+   * 提交事务
+   *
+   * @param {Function} callback
+   * @return {Object}
+   */
+  commit(callback) {
+    return this.query('COMMIT', callback);
+  }
+
+  /**
+   * 回滚事务
+   *
+   * @param {Function} callback
+   * @return {Object}
+   */
+  rollback(callback) {
+    return this.query('ROLLBACK', callback);
+  }
+
+  /**
+   * 暂停输出流式查询的结果
+   */
+  pause() {
+    this._paused = true;
+  }
+
+  /**
+   * 继续输出流式查询的结果
+   */
+  resume() {
+    this._paused = false;
+    const next = this._onResume;
+    this._onResume = null;
+    if (next) process.nextTick(next);
+  }
+
+  /**
+   * 释放到连接池
+   */
+  release() {
+    if (this._release) {
+      const release = this._release;
+      this._release = null;
+      release();
+    }
+  }
+
+  /**
+   * 销毁连接
+   */
+  destroy() {
+    if (this._release) {
+      const release = this._release;
+      this._release = null;
+      release(true);
+    } else if (!this._pool) {
+      this._client.end(() => {});
+    }
+  }
+
+  /**
+   * 关闭单独的连接
+   *
+   * @param {Function} callback
+   */
+  end(callback) {
+    callback = callback || (() => {});
+    if (!this._connected) {
+      process.nextTick(() => callback(null));
+      return;
+    }
+    this._client.end(err => callback(err || null));
+  }
+
+}
+
+class PgPool {
+
+  /**
+   * 创建连接池
+   *
+   * @param {Object} cluster PgPoolCluster 实例
+   * @param {String} id
+   * @param {Object} config 与 mysql 模块相同的连接参数，
+   *                        connectionLimit 对应 max，connectTimeout 对应 connectionTimeoutMillis，其他参数直接传递给 pg.Pool
+   */
+  constructor(cluster, id, config) {
+    this._cluster = cluster;
+    this._id = id;
+    this.config = Object.assign({ connectionLimit: 10 }, config);
+    const options = Object.assign({}, this.config, { max: this.config.connectionLimit });
+    if ('connectTimeout' in options) options.connectionTimeoutMillis = options.connectionTimeoutMillis || options.connectTimeout;
+    delete options.connectionLimit;
+    delete options.connectTimeout;
+    this._pool = new cluster._driver._pg.Pool(options);
+    this._pool.on('error', err => cluster.emit('error', err));
+    // 每个 Client 对应一个 PgConnection
+    this._connections = new WeakMap();
+    this._closed = false;
+  }
+
+  /**
+   * 获取连接
+   *
+   * @param {Function} callback
+   */
+  getConnection(callback) {
+    if (this._closed) {
+      process.nextTick(() => callback(createError('Pool is closed.', 'POOL_CLOSED')));
+      return;
+    }
+    const pool = this._pool;
+    if (pool.idleCount < 1 && pool.totalCount >= this.config.connectionLimit) {
+      this._cluster.emit('enqueue');
+    }
+    pool.connect((err, client, release) => {
+      if (err) return callback(err);
+      let connection = this._connections.get(client);
+      if (!connection) {
+        connection = new PgConnection(this._cluster._driver, client, this.config, this);
+        this._connections.set(client, connection);
+        this._cluster.emit('connection', connection);
+      }
+      connection._release = release;
+      connection._paused = false;
+      connection._onResume = null;
+      callback(null, connection);
+    });
+  }
+
+  /**
+   * 连接数量
+   *
+   * @return {Object} 格式为 { total, idle, queued }
+   */
+  stats() {
+    return {
+      total: this._pool.totalCount,
+      idle: this._pool.idleCount,
+      queued: this._pool.waitingCount,
+    };
+  }
+
+  /**
+   * 关闭连接池
+   *
+   * @param {Function} callback
+   */
+  end(callback) {
+    this._closed = true;
+    this._pool.end(err => callback(err || null));
+  }
+
+}
+
+class PgPoolCluster extends EventEmitter {
+
+  /**
+   * 创建 PoolCluster
+   *
+   * @param {Object} driver PgDriver 实例
+   */
+  constructor(driver) {
+    super();
+    this._driver = driver;
+    this._nodes = new Map();
+    this._counter = 0;
+  }
+
+  /**
+   * 添加连接池
+   *
+   * @param {String} id
+   * @param {Object} config
+   */
+  add(id, config) {
+    this._nodes.set(id, { id, pool: new PgPool(this, id, config) });
+  }
+
+  /**
+   * 获取连接池
+   *
+   * @param {String} id
+   * @return {Object}
+   */
+  _getNode(id) {
+    return this._nodes.get(id) || null;
+  }
+
+  /**
+   * 获取匹配的连接池，pattern 可以包含通配符 *，多个连接池时轮流使用
+   *
+   * @param {String} pattern
+   * @return {Object}
+   */
+  of(pattern) {
+    const re = new RegExp('^' + String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$');
+    return {
+      getConnection: callback => {
+        const list = Array.from(this._nodes.values()).filter(node => re.test(node.id));
+        if (list.length < 1) {
+          process.nextTick(() => callback(createError('Pool does not exist.', 'POOL_NOEXIST')));
+          return;
+        }
+        this._counter += 1;
+        list[this._counter % list.length].pool.getConnection(callback);
+      },
+    };
+  }
+
+  /**
+   * 从任意连接池获取连接
+   *
+   * @param {Function} callback
+   */
+  getConnection(callback) {
+    this.of('*').getConnection(callback);
+  }
+
+  /**
+   * 关闭所有连接池
+   *
+   * @param {Function} callback
+   */
+  end(callback) {
+    const nodes = Array.from(this._nodes.values());
+    let pending = nodes.length;
+    let error = null;
+    const done = err => {
+      error = error || err;
+      pending -= 1;
+      if (pending < 1 && callback) callback(error);
+    };
+    if (pending < 1) {
+      if (callback) process.nextTick(() => callback(null));
+      return;
+    }
+    nodes.forEach(node => node.pool.end(done));
+  }
+
+}
+
+class PgDriver {
+
+  /**
+   * 创建 PostgreSQL 驱动
+   *
+   * @param {Object} options
+   *   - {Object} pg pg 模块，默认为 require('pg')
+   *   - {Object} types 自定义类型解析，格式与 pg 的 types 参数相同，
+   *                    默认将 int8 和 numeric 解析为 Number，其他类型与 pg 模块相同
+   */
+  constructor(options) {
+    options = Object.assign({}, options || {});
+    this._pg = loadPg(options.pg);
+    this.dialect = 'postgresql';
+    const pgTypes = this._pg.types;
+    this._types = options.types || {
+      getTypeParser(oid, format) {
+        if (NUMBER_TYPES.has(oid) && format !== 'binary') {
+          return v => v === null ? null : Number(v);
+        }
+        return pgTypes.getTypeParser(oid, format);
+      },
+    };
+  }
+
+  /**
+   * 创建 PoolCluster
+   *
+   * @return {Object}
+   */
+  createPoolCluster() {
+    return new PgPoolCluster(this);
+  }
+
+  /**
+   * 创建单独的连接，在第一次查询时连接
+   *
+   * @param {Object} config
+   * @return {Object}
+   */
+  createConnection(config) {
+    const options = Object.assign({}, config);
+    delete options.connectionLimit;
+    delete options.connectTimeout;
+    return new PgConnection(this, new this._pg.Client(options), config, null);
+  }
+
+}
+
+module.exports = PgDriver;
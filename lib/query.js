@@ -7,10 +7,88 @@
  */
 
 const assert = require('assert');
-const {
-  sqlEscape, sqlEscapeId, sqlFormat,
-  sqlFormatObject, sqlUpdateString, sqlLimitString,
-} = require('./utils');
+const { sqlFormatObject } = require('./utils');
+const { getDialect } = require('./dialect');
+
+/**
+ * 解析 ORDER BY 的字段，用于在内存中排序多个分片的查询结果
+ * 仅支持 `name` [ASC|DESC] 形式，多个字段使用逗号分隔
+ *
+ * @param {String} orderFields
+ * @return {Array} 每个元素为 { name, desc }
+ */
+function parseOrderFields(orderFields) {
+  if (!orderFields) return [];
+  return orderFields.split(',').map(item => {
+    const m = item.trim().match(/^(`[^`]+`|"[^"]+"|[\w$]+)(?:\.(`[^`]+`|"[^"]+"|[\w$]+))?(?:\s+(ASC|DESC))?$/i);
+    assert.ok(m, `cannot merge results of shards by order "${ orderFields }"`);
+    const name = (m[2] || m[1]).replace(/^[`"]|[`"]$/g, '');
+    return { name, desc: !!m[3] && m[3].toUpperCase() === 'DESC' };
+  });
+}
+
+/**
+ * 合并多个 SQL 片段
+ *
+ * @param {Array} list 每个元素为 { sql, values }
+ * @param {String} separator
+ * @return {Object}
+ */
+function joinFragments(list, separator) {
+  return {
+    sql: list.map(item => item.sql).join(separator),
+    values: list.reduce((values, item) => values.concat(item.values), []),
+  };
+}
+
+/**
+ * 合并查询条件，每个条件按照自身的连接符（AND 或 OR）与前面的条件连接，
+ * 存在 OR 时字符串形式的条件加上括号，避免其中的 OR 改变优先级
+ *
+ * @param {Array} list 每个元素为 { sql, values, connector, raw }
+ * @return {Object} 格式为 { sql, values }
+ */
+function joinConditions(list) {
+  const hasOr = list.some(item => item.connector === 'OR');
+  return list.reduce((ret, item, i) => {
+    const sql = hasOr && item.raw ? `(${ item.sql })` : item.sql;
+    return {
+      sql: i === 0 ? sql : `${ ret.sql } ${ item.connector } ${ sql }`,
+      values: ret.values.concat(item.values),
+    };
+  }, { sql: '', values: []});
+}
+
+/**
+ * 条件对象中字段的比较操作符
+ */
+const COMPARISON_OPERATORS = {
+  $eq: '=',
+  $ne: '<>',
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<=',
+};
+
+/**
+ * 判断是否为操作符对象，例如 { $gte: 18, $lt: 65 }
+ *
+ * @param {Mixed} value
+ * @return {Boolean}
+ */
+function isOperatorObject(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value) || value instanceof Date || Buffer.isBuffer(value)) {
+    return false;
+  }
+  if (typeof value.toSqlString === 'function' || value instanceof QueryBuilder) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  const operators = keys.filter(name => name[0] === '$');
+  assert.ok(operators.length === 0 || operators.length === keys.length, `cannot mix operators and fields in condition ${ JSON.stringify(value) }`);
+  return operators.length > 0;
+}
 
 
 class QueryBuilder {
@@ -21,14 +99,21 @@ class QueryBuilder {
    * @param {Object} options
    *   - {String} table
    *   - {Function} exec
+   *   - {Function} stream 流式查询，格式为 function (sql, options) 返回 Readable
+   *   - {Boolean} prepared 是否生成参数化查询，为 true 时 build() 返回 { sql, values }
+   *   - {String|Object} dialect SQL 方言：mysql, postgresql 或者 Dialect 实例，默认为 mysql
+   *   - {String|Array} primaryKey 主键，作为 onDuplicate() 默认的冲突字段
    */
   constructor(options) {
     options = Object.assign({}, options || {});
 
+    this._dialect = getDialect(options.dialect);
     assert.ok(options.table, `must provide table name`);
     assert.ok(typeof options.table === 'string', `table name must be a string`);
     this._tableName = options.table;
-    this._tableNameEscaped = sqlEscapeId(options.table);
+    this._tableNameEscaped = this._dialect.escapeId(options.table);
+    this._prepared = !!options.prepared;
+    this._primaryKey = options.primaryKey ? [].concat(options.primaryKey) : [];
 
     if (options.exec) {
       assert.ok(typeof options.exec === 'function', `exec callback must be a function`);
@@ -37,12 +122,45 @@ class QueryBuilder {
       this._execCallback = null;
     }
 
+    if (options.stream) {
+      assert.ok(typeof options.stream === 'function', `stream callback must be a function`);
+      this._streamCallback = options.stream;
+    } else {
+      this._streamCallback = null;
+    }
+
     this._data = {
       fields: '*',
+      // 解析后的查询字段，每个元素为 { sql, values, source, column, name }，用于关联查询时确定字段所属的表
+      fieldList: [{ sql: '*', values: [], source: null, column: '*', name: '*' }],
+      // 查询字段中子查询的参数
+      fieldValues: [],
+      // from() 设置的子查询，格式为 { sql, values }
+      from: null,
+      // 表的别名
+      alias: '',
+      // 关联的表，每个元素为 { sql, table, alias, model }
+      joins: [],
       conditions: [],
+      // where(), and() 中以 AND 连接的条件对象，Model 用于判断查询的主键
+      conditionObjects: [],
+      // HAVING 条件，格式与 conditions 相同
+      having: [],
+      // GROUP BY 的字段，已转义
+      groupBy: [],
+      // 聚合函数，已转义，例如 SUM(`total`) AS `revenue`
+      aggregates: [],
       type: '',
       update: [],
       insert: null,
+      // 插入的字段名
+      insertFields: [],
+      // 插入的方式：INSERT, IGNORE, REPLACE
+      insertMode: 'INSERT',
+      // onConflict() 设置的冲突字段，为 null 时使用主键
+      conflictKeys: null,
+      // onDuplicate() 设置的更新内容，为 undefined 时不处理冲突
+      duplicate: undefined,
       delete: null,
       sql: null,
       sqlTpl: null,
@@ -52,6 +170,11 @@ class QueryBuilder {
       skipRows: 0,
       limitRows: 0,
       limit: '',
+      returning: '',
+      // count() 的字段名，合并多个分片的结果时使用
+      countField: null,
+      // 传递给 Connection 的查询选项，例如 { tag }
+      queryOptions: {},
     };
   }
 
@@ -65,10 +188,188 @@ class QueryBuilder {
   format(tpl, values) {
     assert.ok(typeof tpl === 'string', `first parameter must be a string`);
     assert.ok(values && (Array.isArray(values) || typeof values === 'object'), 'second parameter must be an array or object');
-    if (Array.isArray(values)) {
-      return sqlFormat(tpl, values);
+    return this._dialect.format(tpl, values);
+  }
+
+  /**
+   * 生成 SQL 片段，参数化查询时保留占位符
+   *
+   * @param {String} tpl
+   * @param {Object|Array} values
+   * @return {Object} 格式为 { sql, values }
+   */
+  _fragment(tpl, values) {
+    if (!this._prepared) {
+      return { sql: this.format(tpl, values), values: []};
     }
-    return sqlFormatObject(tpl, values);
+    assert.ok(typeof tpl === 'string', `first parameter must be a string`);
+    assert.ok(values && (Array.isArray(values) || typeof values === 'object'), 'second parameter must be an array or object');
+    return this._dialect.prepare(tpl, values);
+  }
+
+  /**
+   * 生成值的 SQL 片段，参数化查询时为占位符
+   *
+   * @param {Mixed} value
+   * @return {Object} 格式为 { sql, values }
+   */
+  _value(value) {
+    if (!this._prepared) {
+      return { sql: this._dialect.escape(value), values: []};
+    }
+    const values = [];
+    return { sql: this._dialect.placeholder(value, values), values };
+  }
+
+  /**
+   * 根据对象生成 `name`=value 形式的 SQL 片段列表
+   *
+   * @param {Object} data
+   * @return {Array}
+   */
+  _assignments(data) {
+    return Object.keys(data).map(name => {
+      const value = this._value(data[name]);
+      return { sql: `${ this._dialect.escapeId(name) }=${ value.sql }`, values: value.values };
+    });
+  }
+
+  /**
+   * 根据条件对象生成 SQL 片段列表，多个字段之间为 AND 关系
+   *
+   * @param {Object} condition
+   * @return {Array}
+   */
+  _conditions(condition) {
+    assert.ok(condition && typeof condition === 'object' && !Array.isArray(condition), `condition must be an object`);
+    const list = [];
+    for (const name of Object.keys(condition)) {
+      const value = condition[name];
+      if (name === '$or' || name === '$and') {
+        list.push(this._logicalCondition(name, value));
+      } else if (name === '$exists' || name === '$notExists') {
+        assert.ok(value instanceof QueryBuilder, `value of ${ name } must be a QueryBuilder instance`);
+        const sub = this._subquery(value);
+        list.push({ sql: `${ name === '$notExists' ? 'NOT ' : '' }EXISTS (${ sub.sql })`, values: sub.values });
+      } else {
+        assert.ok(name[0] !== '$', `unknown operator "${ name }"`);
+        const id = this._dialect.escapeId(name);
+        // 空对象既不是字段的值也没有操作符
+        assert.ok(!(value && value.constructor === Object && Object.keys(value).length < 1), `must provide at least one operator for field "${ name }"`);
+        if (isOperatorObject(value)) {
+          list.push(...Object.keys(value).map(op => this._comparison(id, op, value[op])));
+        } else {
+          list.push(this._comparison(id, '$eq', value));
+        }
+      }
+    }
+    return list;
+  }
+
+  /**
+   * 生成 $or 或 $and 条件，数组中每个元素为条件对象
+   *
+   * @param {String} operator
+   * @param {Array} list
+   * @return {Object} 格式为 { sql, values }
+   */
+  _logicalCondition(operator, list) {
+    assert.ok(Array.isArray(list), `value of ${ operator } must be an array`);
+    if (list.length < 1) {
+      // 空的 $or 不匹配任何行，空的 $and 匹配所有行
+      return { sql: operator === '$or' ? '1=0' : '1=1', values: []};
+    }
+    const items = list.map(item => {
+      const parts = this._conditions(item);
+      if (parts.length < 1) return { sql: '1=1', values: []};
+      const ret = joinFragments(parts, ' AND ');
+      return parts.length > 1 ? { sql: `(${ ret.sql })`, values: ret.values } : ret;
+    });
+    const ret = joinFragments(items, operator === '$or' ? ' OR ' : ' AND ');
+    return { sql: `(${ ret.sql })`, values: ret.values };
+  }
+
+  /**
+   * 生成子查询的 SQL 片段（不包括括号）
+   *
+   * @param {Object} query QueryBuilder 实例，例如 model.find() 的返回值
+   * @return {Object} 格式为 { sql, values }
+   */
+  _subquery(query) {
+    assert.ok(query !== this, `cannot use a query as its own subquery`);
+    assert.ok(query._dialect.name === this._dialect.name, `dialect of subquery must be "${ this._dialect.name }"`);
+    const ret = query._build();
+    if (!this._prepared && ret.values.length > 0) {
+      // 参数化的子查询用在非参数化查询中时，将参数转义后替换占位符
+      return { sql: this._dialect.format(ret.sql, ret.values), values: []};
+    }
+    return ret;
+  }
+
+  /**
+   * 生成单个字段的比较条件
+   *
+   * @param {String} id 已转义的字段名
+   * @param {String} operator 操作符，例如 $eq, $in
+   * @param {Mixed} value
+   * @return {Object} 格式为 { sql, values }
+   */
+  _comparison(id, operator, value) {
+    if (value instanceof QueryBuilder) {
+      const sub = this._subquery(value);
+      let op;
+      if (operator === '$in' || operator === '$nin') {
+        op = operator === '$in' ? ' IN ' : ' NOT IN ';
+      } else {
+        assert.ok(operator in COMPARISON_OPERATORS, `operator ${ operator } does not support subquery`);
+        op = COMPARISON_OPERATORS[operator];
+      }
+      return { sql: `${ id }${ op }(${ sub.sql })`, values: sub.values };
+    }
+    switch (operator) {
+    case '$eq':
+    case '$ne': {
+      const not = operator === '$ne' ? ' NOT' : '';
+      if (value === null || value === undefined) {
+        return { sql: `${ id } IS${ not } NULL`, values: []};
+      }
+      if (Array.isArray(value)) {
+        return this._comparison(id, not ? '$nin' : '$in', value);
+      }
+      break;
+    }
+    case '$in':
+    case '$nin': {
+      assert.ok(Array.isArray(value), `value of ${ operator } must be an array`);
+      if (value.length < 1) {
+        // 空的 IN () 是错误的语法，直接返回恒为假（或恒为真）的条件
+        return { sql: operator === '$in' ? '1=0' : '1=1', values: []};
+      }
+      const list = this._value(value);
+      return { sql: `${ id }${ operator === '$nin' ? ' NOT' : '' } IN (${ list.sql })`, values: list.values };
+    }
+    case '$like':
+    case '$notLike': {
+      assert.ok(typeof value === 'string', `value of ${ operator } must be a string`);
+      const pattern = this._value(value);
+      return { sql: `${ id }${ operator === '$notLike' ? ' NOT' : '' } LIKE ${ pattern.sql }`, values: pattern.values };
+    }
+    case '$between':
+    case '$notBetween': {
+      assert.ok(Array.isArray(value) && value.length === 2, `value of ${ operator } must be an array of 2 items`);
+      const min = this._value(value[0]);
+      const max = this._value(value[1]);
+      return {
+        sql: `${ id }${ operator === '$notBetween' ? ' NOT' : '' } BETWEEN ${ min.sql } AND ${ max.sql }`,
+        values: min.values.concat(max.values),
+      };
+    }
+    default:
+      assert.ok(operator in COMPARISON_OPERATORS, `unknown operator "${ operator }"`);
+      assert.ok(value !== null && value !== undefined, `value of ${ operator } cannot be null`);
+    }
+    const ret = this._value(value);
+    return { sql: `${ id }${ COMPARISON_OPERATORS[operator] }${ ret.sql }`, values: ret.values };
   }
 
   /**
@@ -76,44 +377,224 @@ class QueryBuilder {
    * 支持的形式：
    *   where('aaa=1');
    *   where({ aaa: 1, bbb: 22 })
+   *   where({ age: { $gte: 18, $lt: 65 }, status: { $in: [ 'a', 'b' ] }, deleted_at: null })
+   *   where({ $or: [{ a: 1 }, { b: 2 }], name: { $like: 'foo%' }})
    *   where('aaa=:a AND bbb=:b', { a: 123, b: 456 })
    *   where('aaa=? AND bbb=?', [ 123, 456 ])
+   *   where(q => q.where({ a: 1 }).or({ b: 2 }))
+   *   where({ id: { $in: subquery }, $exists: subquery2 }) 其中 subquery 为 QueryBuilder 实例
    *
-   * @param {String|Object} condition
+   * 条件对象中字段的值为 null 时生成 IS NULL，为数组时生成 IN (...)，为操作符对象时支持以下操作符：
+   *   $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $like, $notLike, $between, $notBetween
+   * 另外可以使用 $or 和 $and 组合多个条件对象，空的 $in 不匹配任何行，空的 $nin 匹配所有行，
+   * 以及使用 $exists 和 $notExists 判断子查询是否有结果
+   * 字段的值（包括 $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin 的值）可以是子查询
+   *
+   * @param {String|Object|Function} condition
    * @param {Array|Object} values
    * @return {this}
    */
   where(condition, values) {
     this._data.conditions = [];
+    this._data.conditionObjects = [];
     return this.and(condition, values);
   }
 
   /**
-   * 查询条件
+   * 查询条件，与前面的条件为 AND 关系
    * 支持的形式：
-   *   where('aaa=1');
-   *   where({ aaa: 1, bbb: 22 })
-   *   where('aaa=:a AND bbb=:b', { a: 123, b: 456 })
-   *   where('aaa=? AND bbb=?', [ 123, 456 ])
+   *   and('aaa=1');
+   *   and({ aaa: 1, bbb: { $gt: 22 }})
+   *   and('aaa=:a AND bbb=:b', { a: 123, b: 456 })
+   *   and('aaa=? AND bbb=?', [ 123, 456 ])
+   *   and(q => q.where({ aaa: 1 }).or({ bbb: 2 })) 在回调函数中组合的条件加上括号
+   * 条件对象的格式参考 where()
    *
-   * @param {String|Object} condition
+   * @param {String|Object|Function} condition
    * @param {Array|Object} values
    * @return {this}
    */
   and(condition, values) {
+    return this._addCondition('AND', condition, values);
+  }
+
+  /**
+   * 查询条件，与前面的条件为 OR 关系，按照 SQL 的优先级 AND 先于 OR 计算，
+   * 例如 where({ a: 1 }).and({ b: 2 }).or({ c: 3 }) 生成 `a`=1 AND `b`=2 OR `c`=3，
+   * 需要改变优先级时通过回调函数分组：where({ a: 1 }).and(q => q.where({ b: 2 }).or({ c: 3 }))
+   * 参数格式与 and() 相同，包含多个字段的条件对象加上括号
+   *
+   * @param {String|Object|Function} condition
+   * @param {Array|Object} values
+   * @return {this}
+   */
+  or(condition, values) {
+    return this._addCondition('OR', condition, values);
+  }
+
+  /**
+   * HAVING 条件，与前面的条件为 AND 关系，参数格式与 and() 相同
+   *
+   * @param {String|Object|Function} condition
+   * @param {Array|Object} values
+   * @return {this}
+   */
+  having(condition, values) {
+    return this._addCondition('AND', condition, values, 'having');
+  }
+
+  /**
+   * HAVING 条件，与前面的条件为 OR 关系，参数格式与 or() 相同
+   *
+   * @param {String|Object|Function} condition
+   * @param {Array|Object} values
+   * @return {this}
+   */
+  orHaving(condition, values) {
+    return this._addCondition('OR', condition, values, 'having');
+  }
+
+  /**
+   * 查询条件，与 or() 相同
+   *
+   * @param {String|Object|Function} condition
+   * @param {Array|Object} values
+   * @return {this}
+   */
+  orWhere(condition, values) {
+    return this.or(condition, values);
+  }
+
+  /**
+   * 查询条件：字段的值在列表中，列表为空时不匹配任何行
+   *
+   * @param {String} name
+   * @param {Array|Object} list 值列表或者子查询
+   * @return {this}
+   */
+  whereIn(name, list) {
+    assert.ok(name && typeof name === 'string', `field name must be a string`);
+    return this.and({ [name]: { $in: list }});
+  }
+
+  /**
+   * 查询条件：字段的值不在列表中，列表为空时匹配所有行
+   *
+   * @param {String} name
+   * @param {Array|Object} list 值列表或者子查询
+   * @return {this}
+   */
+  whereNotIn(name, list) {
+    assert.ok(name && typeof name === 'string', `field name must be a string`);
+    return this.and({ [name]: { $nin: list }});
+  }
+
+  /**
+   * 查询条件：子查询有结果（EXISTS）
+   *
+   * @param {Object} query QueryBuilder 实例
+   * @return {this}
+   */
+  whereExists(query) {
+    return this.and({ $exists: query });
+  }
+
+  /**
+   * 查询条件：子查询没有结果（NOT EXISTS）
+   *
+   * @param {Object} query QueryBuilder 实例
+   * @return {this}
+   */
+  whereNotExists(query) {
+    return this.and({ $notExists: query });
+  }
+
+  /**
+   * 查询条件：字段的值为 NULL
+   *
+   * @param {String} name
+   * @return {this}
+   */
+  whereNull(name) {
+    assert.ok(name && typeof name === 'string', `field name must be a string`);
+    return this.and({ [name]: null });
+  }
+
+  /**
+   * 查询条件：字段的值不为 NULL
+   *
+   * @param {String} name
+   * @return {this}
+   */
+  whereNotNull(name) {
+    assert.ok(name && typeof name === 'string', `field name must be a string`);
+    return this.and({ [name]: { $ne: null }});
+  }
+
+  /**
+   * 查询条件：字段的值在指定范围内（包括边界）
+   *
+   * @param {String} name
+   * @param {Array} range 格式为 [ min, max ]
+   * @return {this}
+   */
+  whereBetween(name, range) {
+    assert.ok(name && typeof name === 'string', `field name must be a string`);
+    return this.and({ [name]: { $between: range }});
+  }
+
+  /**
+   * 添加查询条件
+   *
+   * @param {String} connector 与前面的条件的连接符：AND 或 OR
+   * @param {String|Object|Function} condition
+   * @param {Array|Object} values
+   * @param {String} target 保存条件的位置：conditions（WHERE）或 having（HAVING），默认为 conditions
+   * @return {this}
+   */
+  _addCondition(connector, condition, values, target) {
     const t = typeof condition;
     assert.ok(condition, `missing condition`);
-    assert.ok(t === 'string' || t === 'object', `condition must be a string or object`);
-    if (t === 'string') {
-      this._data.conditions.push(this.format(condition, values || []));
+    assert.ok(t === 'string' || t === 'object' || t === 'function', `condition must be a string, object or function`);
+    let list;
+    if (t === 'function') {
+      list = this._conditionGroup(condition);
+    } else if (t === 'string') {
+      list = [ Object.assign(this._fragment(condition, values || []), { raw: true }) ];
     } else {
-      for (const name in condition) {
-        this._data.conditions.push(`${ sqlEscapeId(name) }=${ sqlEscape(condition[name]) }`);
+      list = this._conditions(condition);
+      if (connector === 'AND' && !target) this._data.conditionObjects.push(condition);
+      if (connector === 'OR' && list.length > 1) {
+        const ret = joinFragments(list, ' AND ');
+        list = [{ sql: `(${ ret.sql })`, values: ret.values }];
       }
     }
+    list.forEach((item, i) => {
+      this._data[target || 'conditions'].push({
+        sql: item.sql,
+        values: item.values,
+        connector: i === 0 ? connector : 'AND',
+        raw: !!item.raw,
+      });
+    });
     return this;
   }
 
+  /**
+   * 通过回调函数生成一组条件，结果总是加上括号（即使只有一个条件，避免原始 SQL 中的 OR 与外部的条件混合）
+   *
+   * @param {Function} fn 参数为新的 QueryBuilder 实例，在其上调用 where(), and(), or() 等方法
+   * @return {Array} 没有条件时为空数组
+   */
+  _conditionGroup(fn) {
+    const group = new QueryBuilder({ table: this._tableName, dialect: this._dialect, prepared: this._prepared });
+    fn(group);
+    const list = group._data.conditions;
+    if (list.length < 1) return [];
+    const ret = joinConditions(list);
+    return [{ sql: `(${ ret.sql })`, values: ret.values }];
+  }
+
   /**
    * 查询的字段
    *
@@ -127,14 +608,150 @@ class QueryBuilder {
 
   /**
    * 设置查询字段
+   * 支持的形式：
+   *   fields('a', 'u.b', 'u.*', 'o.total AS total')
+   *   fields('id', { orders: subquery }) 对象的键为别名，值为返回单个值的子查询（QueryBuilder 实例）
    *
    * @return {this}
    */
   fields(...fields) {
-    this._data.fields = fields.map(name => {
-      assert.ok(name && typeof name === 'string', `field name must be a string`);
-      return name === '*' ? name : sqlEscapeId(name);
-    }).join(', ');
+    this._data.countField = null;
+    this._data.fieldList = [];
+    for (const name of fields) {
+      assert.ok(name && (typeof name === 'string' || typeof name === 'object'), `field name must be a string or object`);
+      if (typeof name === 'string') {
+        this._data.fieldList.push(Object.assign(this._parseField(name), { values: []}));
+        continue;
+      }
+      for (const alias of Object.keys(name)) {
+        assert.ok(name[alias] instanceof QueryBuilder, `value of field "${ alias }" must be a QueryBuilder instance`);
+        const sub = this._subquery(name[alias]);
+        this._data.fieldList.push({
+          sql: `(${ sub.sql }) AS ${ this._dialect.escapeId(alias) }`,
+          values: sub.values,
+          source: null,
+          column: alias,
+          name: alias,
+        });
+      }
+    }
+    this._data.fields = this._data.fieldList.map(item => item.sql).join(', ');
+    this._data.fieldValues = this._data.fieldList.reduce((values, item) => values.concat(item.values), []);
+    return this;
+  }
+
+  /**
+   * 解析查询字段，支持 name, table.name, table.* 以及 table.name AS alias 形式
+   *
+   * @param {String} field
+   * @return {Object} 格式为 { sql, source, column, name }
+   */
+  _parseField(field) {
+    const m = field.trim().match(/^(.+?)\s+AS\s+(.+)$/i);
+    const expr = m ? m[1] : field.trim();
+    const parts = expr.split('.');
+    const column = parts.pop();
+    const sql = expr.split('.').map(v => v === '*' ? v : this._dialect.escapeId(v)).join('.');
+    return {
+      sql: m ? `${ sql } AS ${ this._dialect.escapeId(m[2].trim()) }` : sql,
+      source: parts.length > 0 ? parts.join('.') : null,
+      column,
+      name: m ? m[2].trim() : column,
+    };
+  }
+
+  /**
+   * 从子查询的结果中查询（派生表），生成 SELECT ... FROM (subquery) AS `alias`
+   *
+   * @param {Object} query QueryBuilder 实例
+   * @param {String} alias 别名
+   * @return {this}
+   */
+  from(query, alias) {
+    assert.ok(query instanceof QueryBuilder, `subquery must be a QueryBuilder instance`);
+    assert.ok(alias && typeof alias === 'string', `alias must be a string`);
+    const sub = this._subquery(query);
+    this._data.from = { sql: `(${ sub.sql }) AS ${ this._dialect.escapeId(alias) }`, values: sub.values };
+    return this;
+  }
+
+  /**
+   * 设置表的别名，用于关联查询
+   *
+   * @param {String} alias
+   * @return {this}
+   */
+  as(alias) {
+    assert.ok(alias && typeof alias === 'string', `alias must be a string`);
+    this._data.alias = alias;
+    return this;
+  }
+
+  /**
+   * 关联查询（INNER JOIN）
+   * 支持的形式：
+   *   join('orders', '`orders`.`user_id`=`users`.`id`')
+   *   join('orders', { 'o.user_id': 'u.id' }, 'o') 对象的键和值均为字段名
+   *   join(model, { 'o.user_id': 'u.id' }, 'o') 通过 Model 查询时，该表的字段按照对应 Model 的 schema 格式化输出
+   *
+   * @param {String|Object} table 表名或者 Model 实例
+   * @param {String|Object} on 关联条件
+   * @param {String} alias 别名
+   * @return {this}
+   */
+  join(table, on, alias) {
+    return this._join('INNER JOIN', table, on, alias);
+  }
+
+  /**
+   * 关联查询（LEFT JOIN），参数与 join() 相同
+   *
+   * @param {String|Object} table 表名或者 Model 实例
+   * @param {String|Object} on 关联条件
+   * @param {String} alias 别名
+   * @return {this}
+   */
+  leftJoin(table, on, alias) {
+    return this._join('LEFT JOIN', table, on, alias);
+  }
+
+  /**
+   * 关联查询（RIGHT JOIN），参数与 join() 相同
+   *
+   * @param {String|Object} table 表名或者 Model 实例
+   * @param {String|Object} on 关联条件
+   * @param {String} alias 别名
+   * @return {this}
+   */
+  rightJoin(table, on, alias) {
+    return this._join('RIGHT JOIN', table, on, alias);
+  }
+
+  /**
+   * 添加关联的表
+   *
+   * @param {String} type
+   * @param {String|Object} table
+   * @param {String|Object} on
+   * @param {String} alias
+   * @return {this}
+   */
+  _join(type, table, on, alias) {
+    let model = null;
+    if (table && typeof table === 'object') {
+      model = table;
+      table = model.tableName;
+    }
+    assert.ok(table && typeof table === 'string', `table name must be a string`);
+    assert.ok(alias === undefined || (alias && typeof alias === 'string'), `alias must be a string`);
+    assert.ok(on && (typeof on === 'string' || typeof on === 'object'), `join condition must be a string or object`);
+    if (typeof on === 'object') {
+      const names = Object.keys(on);
+      assert.ok(names.length > 0, `join condition cannot be empty`);
+      on = names.map(name => `${ this._dialect.escapeId(name) }=${ this._dialect.escapeId(on[name]) }`).join(' AND ');
+    }
+    const tableSql = this._dialect.escapeId(table) + (alias ? ` AS ${ this._dialect.escapeId(alias) }` : '');
+    this._data.joins.push({ sql: `${ type } ${ tableSql } ON ${ on }`, table, alias: alias || table, model });
     return this;
   }
 
@@ -146,7 +763,96 @@ class QueryBuilder {
    */
   count(name) {
     this._data.type = 'SELECT';
-    this._data.fields = 'COUNT(*) AS ' + sqlEscapeId(name);
+    this._data.fields = 'COUNT(*) AS ' + this._dialect.escapeId(name);
+    this._data.fieldValues = [];
+    this._data.countField = name;
+    return this;
+  }
+
+  /**
+   * 分组
+   *
+   * @return {this}
+   */
+  groupBy(...fields) {
+    assert.ok(fields.length > 0, `must provide at least 1 field`);
+    this._data.groupBy = fields.map(name => {
+      assert.ok(name && typeof name === 'string', `field name must be a string`);
+      return this._parseField(name).sql;
+    });
+    return this;
+  }
+
+  /**
+   * 查询字段的总和
+   *
+   * @param {String} field
+   * @param {String} alias 结果的字段名，默认与字段名相同
+   * @return {this}
+   */
+  sum(field, alias) {
+    return this._aggregate('SUM', field, alias);
+  }
+
+  /**
+   * 查询字段的平均值
+   *
+   * @param {String} field
+   * @param {String} alias 结果的字段名，默认与字段名相同
+   * @return {this}
+   */
+  avg(field, alias) {
+    return this._aggregate('AVG', field, alias);
+  }
+
+  /**
+   * 查询字段的最小值
+   *
+   * @param {String} field
+   * @param {String} alias 结果的字段名，默认与字段名相同
+   * @return {this}
+   */
+  min(field, alias) {
+    return this._aggregate('MIN', field, alias);
+  }
+
+  /**
+   * 查询字段的最大值
+   *
+   * @param {String} field
+   * @param {String} alias 结果的字段名，默认与字段名相同
+   * @return {this}
+   */
+  max(field, alias) {
+    return this._aggregate('MAX', field, alias);
+  }
+
+  /**
+   * 查询字段不重复的值的数量
+   *
+   * @param {String} field
+   * @param {String} alias 结果的字段名，默认与字段名相同
+   * @return {this}
+   */
+  countDistinct(field, alias) {
+    return this._aggregate('COUNT', field, alias, 'DISTINCT ');
+  }
+
+  /**
+   * 添加聚合函数，查询字段为 * 时（例如 Model.aggregate()）使用 GROUP BY 的字段代替
+   *
+   * @param {String} fn 函数名
+   * @param {String} field
+   * @param {String} alias
+   * @param {String} modifier 字段名前的修饰，例如 DISTINCT
+   * @return {this}
+   */
+  _aggregate(fn, field, alias, modifier) {
+    assert.ok(field && typeof field === 'string', `field name must be a string`);
+    assert.ok(alias === undefined || (alias && typeof alias === 'string'), `alias must be a string`);
+    const info = this._parseField(field);
+    this._data.type = 'SELECT';
+    this._data.aggregates.push(`${ fn }(${ modifier || '' }${ info.sql }) AS ${ this._dialect.escapeId(alias || info.column) }`);
     return this;
   }
 
@@ -190,15 +896,16 @@ class QueryBuilder {
     assert.ok(update, `missing update data`);
     assert.ok(t === 'string' || t === 'object', `first parameter must be a string or array`);
     if (t === 'string') {
-      this._data.update.push(this.format(update, values || []));
+      this._data.update.push(this._fragment(update, values || []));
     } else {
-      this._data.update.push(sqlUpdateString(update));
+      this._data.update.push(joinFragments(this._assignments(update), ', '));
     }
     return this;
   }
 
   /**
    * 插入
+   * 插入多行时字段为所有行的字段的并集，某一行缺少的字段使用 DEFAULT
    *
    * @param {Object|Array} data
    * @return {this}
@@ -213,22 +920,129 @@ class QueryBuilder {
     } else {
       data = [ data ];
     }
-    const originFields = Object.keys(data[0]);
-    const fields = originFields.map(name => sqlEscapeId(name));
-    const values = [];
+    const fieldSet = new Set();
     for (const item of data) {
       assert.ok(item && typeof item === 'object', `every item of data array must be an object`);
+      Object.keys(item).forEach(name => fieldSet.add(name));
+    }
+    const originFields = Array.from(fieldSet);
+    const fields = originFields.map(name => this._dialect.escapeId(name));
+    const rows = [];
+    for (const item of data) {
       const line = [];
       for (const field of originFields) {
-        assert.ok(field in item, `every item of data array must have field "${ field }"`);
-        line.push(sqlEscape(item[field]));
+        line.push(field in item ? this._value(item[field]) : { sql: 'DEFAULT', values: []});
       }
-      values.push(`(${ line.join(', ') })`);
+      const row = joinFragments(line, ', ');
+      rows.push({ sql: `(${ row.sql })`, values: row.values });
     }
-    this._data.insert = `(${ fields.join(', ') }) VALUES ${ values.join(',\n') }`;
+    const values = joinFragments(rows, ',\n');
+    this._data.insert = { sql: `(${ fields.join(', ') }) VALUES ${ values.sql }`, values: values.values };
+    this._data.insertFields = originFields;
+    return this;
+  }
+
+  /**
+   * 插入，忽略唯一键冲突的行（MySQL 为 INSERT IGNORE，PostgreSQL 为 ON CONFLICT DO NOTHING）
+   *
+   * @param {Object|Array} data
+   * @return {this}
+   */
+  insertIgnore(data) {
+    assert.ok(typeof this._dialect.insertIgnore === 'function', `dialect "${ this._dialect.name }" does not support INSERT IGNORE`);
+    this.insert(data);
+    this._data.insertMode = 'IGNORE';
     return this;
   }
 
+  /**
+   * 插入，唯一键冲突时先删除原来的行（REPLACE INTO，仅支持 MySQL）
+   *
+   * @param {Object|Array} data
+   * @return {this}
+   */
+  replace(data) {
+    assert.ok(typeof this._dialect.replaceInto === 'function', `dialect "${ this._dialect.name }" does not support REPLACE`);
+    this.insert(data);
+    this._data.insertMode = 'REPLACE';
+    return this;
+  }
+
+  /**
+   * 设置 onDuplicate() 判断冲突的字段（PostgreSQL 的 ON CONFLICT (...)），默认为主键，MySQL 不需要设置
+   *
+   * @return {this}
+   */
+  onConflict(...keys) {
+    assert.ok(keys.length > 0, `must provide at least 1 field`);
+    keys.forEach(name => {
+      assert.ok(name && typeof name === 'string', `field name must be a string`);
+    });
+    this._data.conflictKeys = keys;
+    return this;
+  }
+
+  /**
+   * 插入时遇到唯一键冲突则更新原来的行（MySQL 为 ON DUPLICATE KEY UPDATE，PostgreSQL 为 ON CONFLICT DO UPDATE）
+   * 支持的形式：
+   *   onDuplicate() 更新除冲突字段以外所有插入的字段为插入的值
+   *   onDuplicate([ 'name', 'email' ]) 更新指定字段为插入的值
+   *   onDuplicate({ name: 'a', total: { $values: 'total' }, count: { $inc: 1 }})
+   *     其中 $values 引用插入的值（MySQL 的 VALUES(`total`)），$inc 在原来的值上增加
+   *   onDuplicate('`count`=`count`+1') 自定义 SQL 语句，需要自行处理不同数据库的差异
+   * 没有需要更新的字段时忽略冲突的行
+   *
+   * @param {String|Array|Object} update
+   * @return {this}
+   */
+  onDuplicate(update) {
+    assert.ok(this._data.type === 'INSERT', `query type must be INSERT, please call .insert() before`);
+    assert.ok(this._data.insertMode === 'INSERT', `cannot use onDuplicate() with insertIgnore() or replace()`);
+    assert.ok(typeof this._dialect.upsert === 'function', `dialect "${ this._dialect.name }" does not support upsert`);
+    assert.ok(update === undefined || update === null || typeof update === 'string' || typeof update === 'object', `update must be a string, array or object`);
+    this._data.duplicate = update || null;
+    return this;
+  }
+
+  /**
+   * 生成 onDuplicate() 的语句
+   *
+   * @return {Object} 格式为 { sql, values }
+   */
+  _upsert() {
+    const d = this._data;
+    const keys = d.conflictKeys || this._primaryKey;
+    let update = d.duplicate;
+    if (update === null) {
+      update = d.insertFields.filter(name => keys.indexOf(name) === -1);
+    }
+    if (typeof update === 'string') {
+      return { sql: this._dialect.upsert(keys, update), values: []};
+    }
+    if (Array.isArray(update)) {
+      update = update.reduce((ret, name) => Object.assign(ret, { [name]: { $values: name }}), {});
+    }
+    const list = Object.keys(update).map(name => {
+      const id = this._dialect.escapeId(name);
+      const value = update[name];
+      if (isOperatorObject(value)) {
+        const ops = Object.keys(value);
+        assert.ok(ops.length === 1, `only one operator is allowed for field "${ name }"`);
+        if (ops[0] === '$values') {
+          return { sql: `${ id }=${ this._dialect.insertedValue(value.$values) }`, values: []};
+        }
+        assert.ok(ops[0] === '$inc', `unknown operator "${ ops[0] }"`);
+        const inc = this._value(value.$inc);
+        // PostgreSQL 中不带表名的字段有歧义，因此引用原来的值时加上表名
+        return { sql: `${ id }=${ this._tableNameEscaped }.${ id }+${ inc.sql }`, values: inc.values };
+      }
+      const ret = this._value(value);
+      return { sql: `${ id }=${ ret.sql }`, values: ret.values };
+    });
+    const ret = joinFragments(list, ', ');
+    return { sql: this._dialect.upsert(keys, ret.sql || null), values: ret.values };
+  }
+
   /**
    * 删除
    *
@@ -282,7 +1096,7 @@ class QueryBuilder {
   skip(rows) {
     assert.ok(rows >= 0, `rows must >= 0`);
     this._data.skipRows = Number(rows);
-    this._data.limit = sqlLimitString(this._data.skipRows, this._data.limitRows);
+    this._data.limit = this._dialect.limit(this._data.skipRows, this._data.limitRows);
     return this;
   }
 
@@ -295,7 +1109,79 @@ class QueryBuilder {
   limit(rows) {
     assert.ok(rows >= 0, `rows must >= 0`);
     this._data.limitRows = Number(rows);
-    this._data.limit = sqlLimitString(this._data.skipRows, this._data.limitRows);
+    this._data.limit = this._dialect.limit(this._data.skipRows, this._data.limitRows);
+    return this;
+  }
+
+  /**
+   * INSERT, UPDATE, DELETE 返回指定字段的值（需要数据库支持 RETURNING，例如 PostgreSQL）
+   * 没有指定字段时返回所有字段
+   *
+   * @return {this}
+   */
+  returning(...fields) {
+    assert.ok(this._dialect.supportsReturning, `dialect "${ this._dialect.name }" does not support RETURNING`);
+    fields.forEach(name => {
+      assert.ok(name && typeof name === 'string', `field name must be a string`);
+    });
+    this._data.returning = this._dialect.returning(fields);
+    return this;
+  }
+
+  /**
+   * 在指定标签的连接上执行查询
+   *
+   * @param {String} tag
+   * @return {this}
+   */
+  on(tag) {
+    assert.ok(tag && typeof tag === 'string', `tag must be a string`);
+    this._data.queryOptions.tag = tag;
+    return this;
+  }
+
+  /**
+   * 在 MASTER 执行，忽略根据 SQL 语句判断的结果
+   *
+   * @return {this}
+   */
+  useMaster() {
+    this._data.queryOptions.master = true;
+    return this;
+  }
+
+  /**
+   * 按照只读的查询选择服务器（与 SELECT 相同），忽略根据 SQL 语句判断的结果
+   *
+   * @return {this}
+   */
+  useSlave() {
+    this._data.queryOptions.master = false;
+    return this;
+  }
+
+  /**
+   * 设置查询超时时间，超时后会终止查询（KILL QUERY）并返回 QueryTimeoutError
+   *
+   * @param {Number} ms 毫秒，为 0 时不限制
+   * @return {this}
+   */
+  timeout(ms) {
+    ms = Number(ms);
+    assert.ok(ms >= 0, `timeout must >= 0`);
+    this._data.queryOptions.timeout = ms;
+    return this;
+  }
+
+  /**
+   * 设置取消信号，触发 abort 事件后会终止查询（KILL QUERY）并返回 QueryCancelledError
+   *
+   * @param {Object} signal AbortSignal 或者兼容的对象（包含 aborted 属性，并且可以监听 abort 事件）
+   * @return {this}
+   */
+  signal(signal) {
+    assert.ok(signal && 'aborted' in signal, `signal must be an AbortSignal`);
+    this._data.queryOptions.signal = signal;
     return this;
   }
 
@@ -307,6 +1193,7 @@ class QueryBuilder {
    *   - {Number} limit
    *   - {String} order
    *   - {String} fields
+   *   - {Number} timeout
    * @return {this}
    */
   options(options) {
@@ -325,6 +1212,9 @@ class QueryBuilder {
       case 'fields':
         this.fields(...options.fields);
         break;
+      case 'timeout':
+        this.timeout(options.timeout);
+        break;
       default:
         // do nothing
       }
@@ -334,31 +1224,79 @@ class QueryBuilder {
 
   /**
    * 生成 SQL 语句
+   * 如果为参数化查询，返回 { sql, values }
    *
-   * @return {String}
+   * @return {String|Object}
    */
   build() {
+    const ret = this._build();
+    return this._prepared ? ret : ret.sql;
+  }
+
+  /**
+   * 生成 SQL 语句及参数
+   *
+   * @return {Object} 格式为 { sql, values }
+   */
+  _build() {
     const d = this._data;
     const t = this._tableNameEscaped;
-    const where = d.conditions.length > 0 ? `WHERE ${ d.conditions.join(' AND ') }` : '';
-    const limit = d.limit;
+    const where = joinConditions(d.conditions);
+    const whereSql = where.sql ? `WHERE ${ where.sql }` : '';
+    const limitedWhere = this._dialect.limitedWhere(t, whereSql, d.limit);
+    const returning = d.returning ? ` ${ d.returning }` : '';
+    if (d.alias || d.joins.length > 0 || d.from) {
+      assert.ok(d.type === 'SELECT', `table alias, JOIN and subquery in FROM are only supported in SELECT query`);
+    }
     let sql;
+    let values = [];
     switch (d.type) {
-    case 'SELECT':
-      sql = `SELECT ${ d.fields } FROM ${ t } ${ where } ${ d.orderBy } ${ d.limit }`;
+    case 'SELECT': {
+      let from = d.alias ? `${ t } AS ${ this._dialect.escapeId(d.alias) }` : t;
+      if (d.from) from = d.from.sql;
+      from = [ from ].concat(d.joins.map(item => item.sql)).join(' ');
+      let fields = d.fields;
+      if (d.aggregates.length > 0) {
+        fields = (fields === '*' ? d.groupBy : [ fields ]).concat(d.aggregates).filter(v => v).join(', ');
+      }
+      const having = joinConditions(d.having);
+      const groupSql = (d.groupBy.length > 0 ? ` GROUP BY ${ d.groupBy.join(', ') }` : '') +
+                       (having.sql ? ` HAVING ${ having.sql }` : '');
+      sql = `SELECT ${ fields } FROM ${ from } ${ whereSql }${ groupSql } ${ d.orderBy } ${ d.limit }`;
+      values = d.fieldValues.concat(d.from ? d.from.values : [], where.values, having.values);
       break;
-    case 'INSERT':
-      sql = `INSERT INTO ${ t } ${ d.insert }`;
+    }
+    case 'INSERT': {
+      let prefix = 'INSERT INTO';
+      let suffix = '';
+      values = d.insert.values;
+      if (d.insertMode === 'IGNORE') {
+        const ignore = this._dialect.insertIgnore();
+        prefix = ignore.prefix;
+        suffix = ignore.suffix ? ` ${ ignore.suffix }` : '';
+      } else if (d.insertMode === 'REPLACE') {
+        prefix = this._dialect.replaceInto();
+      } else if (d.duplicate !== undefined) {
+        const upsert = this._upsert();
+        suffix = ` ${ upsert.sql }`;
+        values = values.concat(upsert.values);
+      }
+      sql = `${ prefix } ${ t } ${ d.insert.sql }${ suffix }${ returning }`;
       break;
-    case 'UPDATE':
+    }
+    case 'UPDATE': {
       assert.ok(d.update.length > 0, `update data connot be empty`);
-      sql = `UPDATE ${ t } SET ${ d.update.join(', ') } ${ where } ${ limit }`;
+      const update = joinFragments(d.update, ', ');
+      sql = `UPDATE ${ t } SET ${ update.sql } ${ limitedWhere }${ returning }`;
+      values = update.values.concat(where.values);
       break;
+    }
     case 'DELETE':
-      sql = `DELETE FROM ${ t } ${ where } ${ limit }`;
+      sql = `DELETE FROM ${ t } ${ limitedWhere }${ returning }`;
+      values = where.values;
       break;
-    case 'CUSTOM':
-      this._data.sql = this.format(sqlFormatObject(d.sqlTpl, {
+    case 'CUSTOM': {
+      const custom = this._fragment(sqlFormatObject(d.sqlTpl, {
         $table: this._tableNameEscaped,
         $orderBy: this._data.orderBy,
         $limit: this._data.limit,
@@ -366,12 +1304,15 @@ class QueryBuilder {
         $skipRows: this._data.skipRows,
         $limitRows: this._data.limitRows,
       }, true), d.sqlValues);
-      sql = this._data.sql;
+      this._data.sql = custom.sql;
+      sql = custom.sql;
+      values = custom.values;
       break;
+    }
     default:
       throw new Error(`invalid query type "${ d.type }"`);
     }
-    return sql.trim();
+    return { sql: sql.trim(), values };
   }
 
   /**
@@ -382,7 +1323,55 @@ class QueryBuilder {
    */
   exec(callback) {
     assert.ok(this._execCallback, `please provide a exec callback when create QueryBuilder instance`);
-    return this._execCallback(this.build(), callback);
+    return this._execCallback(this._toQuery(), callback);
+  }
+
+  /**
+   * 流式查询，返回 object mode 的 Readable，也可以通过 for await 遍历
+   *
+   * @param {Object} options
+   *   - {Number} highWaterMark 缓冲的最大行数，默认为 16
+   * @return {Object}
+   */
+  stream(options) {
+    assert.ok(this._streamCallback, `please provide a stream callback when create QueryBuilder instance`);
+    return this._streamCallback(this._toQuery(), options || {});
+  }
+
+  /**
+   * 生成在每个分片上执行的查询，每个分片返回前 skip + limit 行，
+   * 由调用者合并所有分片的结果并排序后再跳过 skip 行
+   *
+   * @return {Object} 格式为 { query, skip, limit, order, count }
+   */
+  _toShardQuery() {
+    const d = this._data;
+    assert.ok(d.type === 'SELECT', `only SELECT query can be executed on all shards`);
+    assert.ok(d.groupBy.length < 1 && d.aggregates.length < 1, `cannot merge results of GROUP BY or aggregate functions on all shards`);
+    const order = parseOrderFields(d.orderFields);
+    const limit = d.limit;
+    d.limit = d.limitRows > 0 ? this._dialect.limit(0, d.skipRows + d.limitRows) : '';
+    let query;
+    try {
+      query = this._toQuery();
+    } finally {
+      d.limit = limit;
+    }
+    return { query, skip: d.skipRows, limit: d.limitRows, order, count: d.countField };
+  }
+
+  /**
+   * 生成传递给 Connection 的查询，如果没有查询选项则与 build() 相同，
+   * 否则返回查询对象 { sql, values, ...queryOptions }
+   *
+   * @return {String|Object}
+   */
+  _toQuery() {
+    const sql = this.build();
+    if (Object.keys(this._data.queryOptions).length < 1) {
+      return sql;
+    }
+    return Object.assign(typeof sql === 'string' ? { sql } : sql, this._data.queryOptions);
   }
 
 }
@@ -44,6 +44,8 @@ function jsonInputFormatter(v) {
 function jsonOutputFormatter(v) {
   if (v === undefined) return undefined;
   if (v === null) return {};
+  // PostgreSQL 的 json 字段由驱动解析为对象
+  if (typeof v === 'object' && !Buffer.isBuffer(v)) return v;
   if (typeof v !== 'string') throw new TypeError(`jsonOutputFormatter: invalid input type: ${ v }`);
   if (v === '') return {};
   try {
@@ -153,17 +155,37 @@ class Schema {
   formatOutput(data) {
     const ret = {};
     for (const name in data) {
-      const field = this._fields[name];
-      // 不处理不存在的字段
-      if (field && field.output) {
-        ret[name] = field.output(data[name]);
-      } else {
-        ret[name] = data[name];
-      }
+      ret[name] = this.formatOutputField(name, data[name]);
     }
     return ret;
   }
 
+  /**
+   * 格式化输出单个字段的值
+   *
+   * @param {String} name
+   * @param {Mixed} value
+   * @return {Mixed}
+   */
+  formatOutputField(name, value) {
+    const field = this._fields[name];
+    // 不处理不存在的字段
+    if (field && field.output) {
+      return field.output(value);
+    }
+    return value;
+  }
+
+  /**
+   * 是否定义了指定字段
+   *
+   * @param {String} name
+   * @return {Boolean}
+   */
+  hasField(name) {
+    return Object.prototype.hasOwnProperty.call(this._fields, name);
+  }
+
   /**
    * 格式化输出数据数组
    *
@@ -0,0 +1,375 @@
+'use strict';
+
+/**
+ * super-orm
+ *
+ * @author Zongmin Lei <leizongmin@gmail.com>
+ */
+
+const assert = require('assert');
+const coroutine = require('lei-coroutine');
+const {
+  createPromiseCallback, isTransactionRetryableError, getRetryDelay,
+  transactionDebug: debug,
+} = require('./utils');
+
+
+class Transaction {
+
+  /**
+   * 创建 Transaction
+   *
+   * @param {Object} options
+   *   - {Object} connection Connection 实例
+   *   - {Object} manager Manager 实例，可选，用于通过 model(name) 获取 Model
+   *   - {Object} parent 上级 Transaction 实例，嵌套事务时使用 SAVEPOINT 实现
+   *   - {Number} retries 遇到死锁或锁等待超时时重新执行整个事务的次数，默认为 0
+   *   - {Number|Function} retryDelay 重试前等待的时间（毫秒），默认为 100，
+   *                                  如果为函数则格式为 function (attempt, err) 返回等待时间
+   *   - {String} retryBackoff 重试等待时间的增长方式：fixed, linear, exponential，默认为 exponential
+   */
+  constructor(options) {
+    options = Object.assign({}, options || {});
+    this._options = options;
+
+    if (options.parent) {
+      this._parent = options.parent;
+      this._root = options.parent._root;
+      this._connection = options.parent._connection;
+      this._manager = options.parent._manager;
+      this.dialect = options.parent.dialect;
+      this._root._savepointCounter += 1;
+      this._savepoint = `sp_${ this._root._savepointCounter }`;
+    } else {
+      assert.ok(options.connection, `must provide connection`);
+      this._parent = null;
+      this._root = this;
+      this._connection = options.connection;
+      this._manager = options.manager || null;
+      this.dialect = this._connection.dialect;
+      this._savepoint = null;
+      this._savepointCounter = 0;
+    }
+
+    // 嵌套事务不能单独重试
+    this._retries = this._parent ? 0 : Number(options.retries || 0);
+    assert.ok(this._retries >= 0, `retries must >= 0`);
+    this._retryDelay = 'retryDelay' in options ? options.retryDelay : 100;
+    this._retryBackoff = options.retryBackoff || 'exponential';
+    assert.ok([ 'fixed', 'linear', 'exponential' ].indexOf(this._retryBackoff) !== -1, `not support retryBackoff "${ this._retryBackoff }"`);
+
+    // 当前事务占用的原始连接，嵌套事务与上级事务使用同一个连接
+    this._conn = this._parent ? this._parent._conn : null;
+    this._finished = false;
+    // 等待事务提交后再删除的缓存 Key，格式为 Map<Cache, Set<key>>
+    this._removedCacheKeys = new Map();
+    this._caches = new Map();
+    this._models = new Map();
+  }
+
+  /**
+   * 执行事务
+   *
+   * @param {Function} fn
+   * @param {Function} callback
+   * @return {Promise}
+   */
+  run(fn, callback) {
+    assert.ok(typeof fn === 'function', `transaction handler must be a function`);
+    callback = callback || createPromiseCallback();
+    const self = this;
+    // 关闭连接时等待已开始的事务（包括重试及提交后删除缓存）结束
+    if (!self._parent) {
+      const closed = self._connection._enter();
+      if (closed) {
+        process.nextTick(() => callback(closed));
+        return callback.promise;
+      }
+    }
+    const done = (err, ret) => {
+      if (!self._parent) {
+        self._connection._leave();
+      }
+      callback(err, ret);
+    };
+    coroutine(function* () {
+      let tx = self;
+      for (let attempt = 1; ; attempt += 1) {
+        try {
+          return yield tx._runOnce(fn);
+        } catch (err) {
+          if (attempt > self._retries || !isTransactionRetryableError(err)) {
+            throw err;
+          }
+          const ms = getRetryDelay(self._retryDelay, self._retryBackoff, attempt, err);
+          debug('retry transaction after %sms (%s/%s): %s', ms, attempt, self._retries, err);
+          yield coroutine.delay(ms);
+          // 每次重试使用新的 Transaction 实例，避免上一次执行的状态影响本次执行
+          tx = new Transaction(self._options);
+        }
+      }
+    }).then(ret => done(null, ret)).catch(err => done(err));
+    return callback.promise;
+  }
+
+  /**
+   * 执行一次事务
+   *
+   * @param {Function} fn
+   * @return {Promise}
+   */
+  _runOnce(fn) {
+    const self = this;
+    return coroutine(function* () {
+      if (!self._parent) {
+        self._conn = yield self._connection._getConnection(self._connection._poolMaster, true);
+      }
+      let ret;
+      try {
+        yield self._begin();
+        ret = yield fn(self);
+        yield self._commit();
+      } catch (err) {
+        debug('rollback %s: %s', self._savepoint || '', err);
+        try {
+          yield self._rollback();
+        } catch (err2) {
+          debug('rollback failed: %s', err2);
+        }
+        throw err;
+      } finally {
+        self._finished = true;
+        if (!self._parent) {
+          self._conn.release();
+        }
+      }
+      yield self._flushCache();
+      return ret;
+    });
+  }
+
+  /**
+   * 开始事务，嵌套事务创建 SAVEPOINT
+   *
+   * @return {Promise}
+   */
+  _begin() {
+    if (this._parent) {
+      debug('savepoint %s', this._savepoint);
+      return this._connection._queryConnection(this._conn, `SAVEPOINT ${ this._savepoint }`);
+    }
+    debug('begin');
+    return this._conn.beginTransaction();
+  }
+
+  /**
+   * 提交事务，嵌套事务释放 SAVEPOINT
+   *
+   * @return {Promise}
+   */
+  _commit() {
+    if (this._parent) {
+      debug('release savepoint %s', this._savepoint);
+      return this._connection._queryConnection(this._conn, `RELEASE SAVEPOINT ${ this._savepoint }`);
+    }
+    debug('commit');
+    return this._conn.commit();
+  }
+
+  /**
+   * 回滚事务，嵌套事务回滚到 SAVEPOINT
+   *
+   * @return {Promise}
+   */
+  _rollback() {
+    if (this._parent) {
+      return this._connection._queryConnection(this._conn, `ROLLBACK TO SAVEPOINT ${ this._savepoint }`);
+    }
+    return this._conn.rollback();
+  }
+
+  /**
+   * 在当前事务中执行嵌套事务（使用 SAVEPOINT 实现）
+   * 嵌套事务失败只回滚到 SAVEPOINT，不影响上级事务
+   *
+   * @param {Function} fn 参数为 Transaction 实例，需要返回 Promise
+   * @param {Function} callback
+   * @return {Promise}
+   */
+  transaction(fn, callback) {
+    assert.ok(!this._finished, `transaction has already finished`);
+    return new Transaction({ parent: this }).run(fn, callback);
+  }
+
+  /**
+   * 事务提交后删除缓存，嵌套事务则合并到上级事务中
+   *
+   * @return {Promise}
+   */
+  _flushCache() {
+    const list = [];
+    for (const [ cache, keys ] of this._removedCacheKeys) {
+      if (keys.size > 0) {
+        list.push(cache.removeList(Array.from(keys)));
+      }
+    }
+    this._removedCacheKeys.clear();
+    return Promise.all(list);
+  }
+
+  /**
+   * 获取绑定到当前事务的 Cache，删除操作会延迟到事务提交后执行，
+   * 事务中读取的数据不会写入缓存
+   *
+   * @param {Object} cache
+   * @return {Object}
+   */
+  _bindCache(cache) {
+    if (this._caches.has(cache)) {
+      return this._caches.get(cache);
+    }
+    const origin = cache;
+    // 嵌套事务的缓存操作交给上级事务处理
+    if (this._parent) {
+      cache = this._parent._bindCache(cache);
+    }
+    const keys = new Set();
+    this._removedCacheKeys.set(cache, keys);
+    const bound = Object.create(cache);
+    bound.saveList = function saveList(list, callback) {
+      callback = callback || createPromiseCallback();
+      process.nextTick(() => callback(null, []));
+      return callback.promise;
+    };
+    bound.getList = function getList(list, callback) {
+      callback = callback || createPromiseCallback();
+      cache.getList(list, (err, ret) => {
+        if (err) return callback(err);
+        // 在事务中已被修改的数据不能从缓存读取
+        callback(null, ret.map((v, i) => keys.has(list[i]) ? null : v));
+      });
+      return callback.promise;
+    };
+    bound.removeList = function removeList(list, callback) {
+      callback = callback || createPromiseCallback();
+      list.forEach(key => keys.add(key));
+      process.nextTick(() => callback(null, list.map(key => cache._getKey(key))));
+      return callback.promise;
+    };
+    this._caches.set(origin, bound);
+    return bound;
+  }
+
+  /**
+   * 获取绑定到当前事务的 Model
+   *
+   * @param {Object} model
+   * @return {Object}
+   */
+  bind(model) {
+    assert.ok(model && model.connection === this._connection, `model must use the same connection as this transaction`);
+    if (this._models.has(model)) {
+      return this._models.get(model);
+    }
+    const bound = Object.create(model);
+    bound.connection = this;
+    bound.cache = this._bindCache(model.cache);
+    this._models.set(model, bound);
+    return bound;
+  }
+
+  /**
+   * 获取绑定到当前事务的 Model
+   *
+   * @param {String} name
+   * @return {Object}
+   */
+  model(name) {
+    assert.ok(this._manager, `transaction is not created by Manager, please use bind(model) instead`);
+    return this.bind(this._manager.model(name));
+  }
+
+  /**
+   * 在当前事务中查询
+   *
+   * @param {String} sql
+   * @param {Function} callback
+   * @return {Promise}
+   */
+  query(sql, callback) {
+    callback = callback || createPromiseCallback();
+    if (this._finished) {
+      process.nextTick(() => callback(new Error(`transaction has already finished`)));
+      return callback.promise;
+    }
+    return this._connection._queryConnection(this._conn, sql, callback);
+  }
+
+  /**
+   * 在当前事务中执行流式查询，参考 Connection.stream()
+   *
+   * @param {String|Object} sql
+   * @param {Object} options
+   * @return {Object}
+   */
+  stream(sql, options) {
+    assert.ok(!this._finished, `transaction has already finished`);
+    return this._connection._stream(sql, options || {}, callback => callback(null, this._conn), () => {});
+  }
+
+  /**
+   * 在当前事务中查询
+   *
+   * @param {String} sql
+   * @param {Function} callback
+   * @return {Promise}
+   */
+  queryMaster(sql, callback) {
+    return this.query(sql, callback);
+  }
+
+  /**
+   * 在当前事务中查询
+   *
+   * @param {String} sql
+   * @param {Function} callback
+   * @return {Promise}
+   */
+  querySlave(sql, callback) {
+    return this.query(sql, callback);
+  }
+
+  /**
+   * escape
+   *
+   * @param {Mixed} value
+   * @return {String}
+   */
+  escape(value) {
+    return this._connection.escape(value);
+  }
+
+  /**
+   * escapeId
+   *
+   * @param {Mixed} value
+   * @return {String}
+   */
+  escapeId(value) {
+    return this._connection.escapeId(value);
+  }
+
+  /**
+   * 格式化查询
+   *
+   * @param {String} sql
+   * @param {Array|Object} values
+   * @return {String}
+   */
+  format(sql, values) {
+    return this._connection.format(sql, values);
+  }
+
+}
+
+module.exports = Transaction;
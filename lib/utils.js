@@ -21,8 +21,16 @@ exports.connectionDebug = debug('connection');
 exports.managerDebug = debug('manager');
 exports.cacheDebug = debug('cache');
 exports.queryDebug = debug('query');
+exports.transactionDebug = debug('transaction');
 exports.otherDebug = debug('other');
 
+exports.QueryTimeoutError = exports.customError('QueryTimeoutError', { code: 'QUERY_TIMEOUT' });
+exports.QueryCancelledError = exports.customError('QueryCancelledError', { code: 'QUERY_CANCELLED' });
+exports.ClosedError = exports.customError('ClosedError', { code: 'CLOSED' });
+exports.ConnectionInitError = exports.customError('ConnectionInitError', { code: 'CONNECTION_INIT_FAILED' });
+exports.UnknownTagError = exports.customError('UnknownTagError', { code: 'UNKNOWN_TAG' });
+exports.ShardNotSelectedError = exports.customError('ShardNotSelectedError', { code: 'SHARD_NOT_SELECTED' });
+
 exports.sqlEscape = sqlEscape;
 exports.sqlEscapeId = sqlEscapeId;
 exports.sqlFormat = sqlFormat;
@@ -34,10 +42,13 @@ exports.sqlFormat = sqlFormat;
  * @param {String} query
  * @param {Object} values
  * @param {Boolean} disable$
+ * @param {Object} dialect 提供 escape() 和 escapeId() 的 Dialect 实例，默认为 MySQL
  * @return {String}
  */
-function sqlFormatObject(query, values, disable$) {
+function sqlFormatObject(query, values, disable$, dialect) {
   values = values || {};
+  const escapeValue = dialect ? v => dialect.escape(v) : sqlEscape;
+  const escapeId = dialect ? v => dialect.escapeId(v) : sqlEscapeId;
   return query.replace(/:((:)?[\w$]+)/g, (txt, key) => {
     const isId = key[0] === ':';
     if (isId) key = key.slice(1);
@@ -46,15 +57,100 @@ function sqlFormatObject(query, values, disable$) {
         return values[key];
       }
       if (isId) {
-        return sqlEscapeId(values[key]);
+        return escapeId(values[key]);
       }
-      return sqlEscape(values[key]);
+      return escapeValue(values[key]);
     }
     return txt;
   });
 }
 exports.sqlFormatObject = sqlFormatObject;
 
+/**
+ * 生成参数化查询的占位符，数组和对象会展开为多个占位符
+ *
+ * @param {Mixed} value
+ * @param {Array} params 用于保存参数值
+ * @param {Object} dialect 提供 escapeId() 的 Dialect 实例，默认为 MySQL
+ * @return {String}
+ */
+function sqlPlaceholder(value, params, dialect) {
+  if (Array.isArray(value)) {
+    return value.map(v => {
+      return Array.isArray(v) ? `(${ sqlPlaceholder(v, params, dialect) })` : sqlPlaceholder(v, params, dialect);
+    }).join(', ');
+  }
+  if (value && typeof value.toSqlString === 'function') {
+    return String(value.toSqlString());
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+    return Object.keys(value)
+            .filter(name => typeof value[name] !== 'function')
+            .map(name => `${ dialect ? dialect.escapeId(name) : sqlEscapeId(name) } = ${ sqlPlaceholder(value[name], params, dialect) }`)
+            .join(', ');
+  }
+  params.push(value);
+  return '?';
+}
+exports.sqlPlaceholder = sqlPlaceholder;
+
+/**
+ * 生成参数化查询
+ * 格式： SELECT * FROM ?? WHERE `title`=?
+ * 其中 ?? 会直接替换为 escapeId 的结果，? 保留为占位符
+ *
+ * @param {String} query
+ * @param {Array} values
+ * @param {Object} dialect 提供 escapeId() 的 Dialect 实例，默认为 MySQL
+ * @return {Object} 格式为 { sql, values }
+ */
+function sqlPrepare(query, values, dialect) {
+  values = values || [];
+  const params = [];
+  let index = 0;
+  const sql = query.replace(/\?+/g, txt => {
+    if (txt.length > 2 || index >= values.length) {
+      return txt;
+    }
+    const value = values[index];
+    index += 1;
+    if (txt.length === 2) {
+      return dialect ? dialect.escapeId(value) : sqlEscapeId(value);
+    }
+    return sqlPlaceholder(value, params, dialect);
+  });
+  return { sql, values: params };
+}
+exports.sqlPrepare = sqlPrepare;
+
+/**
+ * 生成参数化查询
+ * 格式： SELECT * FROM ::table WHERE `title`=:title
+ * 其中 ::name 会直接替换为 escapeId 的结果，:name 转换为 ? 占位符
+ *
+ * @param {String} query
+ * @param {Object} values
+ * @param {Object} dialect 提供 escapeId() 的 Dialect 实例，默认为 MySQL
+ * @return {Object} 格式为 { sql, values }
+ */
+function sqlPrepareObject(query, values, dialect) {
+  values = values || {};
+  const params = [];
+  const sql = query.replace(/:((:)?[\w$]+)/g, (txt, key) => {
+    const isId = key[0] === ':';
+    if (isId) key = key.slice(1);
+    if (values.hasOwnProperty(key)) {
+      if (isId) {
+        return dialect ? dialect.escapeId(values[key]) : sqlEscapeId(values[key]);
+      }
+      return sqlPlaceholder(values[key], params, dialect);
+    }
+    return txt;
+  });
+  return { sql, values: params };
+}
+exports.sqlPrepareObject = sqlPrepareObject;
+
 /**
  * 判断是否为 Connection 实例
  *
@@ -62,7 +158,7 @@ exports.sqlFormatObject = sqlFormatObject;
  * @return {Boolean}
  */
 function isConnectionInstance(conn) {
-  return conn && conn._poolCluster &&
+  return conn &&
          typeof conn.getConnection === 'function' &&
          typeof conn.getMasterConnection === 'function' &&
          typeof conn.getSlaveConnection === 'function' &&
@@ -82,22 +178,63 @@ exports.isConnectionInstance = isConnectionInstance;
  * @return {Boolean}
  */
 function isCacheInstance(cache) {
-  return cache && cache._redis &&
+  return cache &&
          typeof cache.saveList === 'function' &&
          typeof cache.removeList === 'function' &&
          typeof cache.getList === 'function';
 }
 exports.isCacheInstance = isCacheInstance;
 
+/**
+ * 将参数化查询的 ? 占位符转换为 $1, $2 ...（PostgreSQL 格式），忽略字符串、带引号的名称及注释中的 ?
+ *
+ * @param {String} sql
+ * @return {String}
+ */
+function sqlNumberPlaceholders(sql) {
+  let ret = '';
+  let index = 0;
+  let i = 0;
+  while (i < sql.length) {
+    const c = sql[i];
+    const next = sql[i + 1];
+    let end = i + 1;
+    if (c === '\'' || c === '"') {
+      end = sql.indexOf(c, i + 1);
+      // 连续的两个引号表示引号本身
+      while (end !== -1 && sql[end + 1] === c) end = sql.indexOf(c, end + 2);
+      end = end === -1 ? sql.length : end + 1;
+    } else if (c === '-' && next === '-') {
+      end = sql.indexOf('\n', i);
+      end = end === -1 ? sql.length : end + 1;
+    } else if (c === '/' && next === '*') {
+      end = sql.indexOf('*/', i + 2);
+      end = end === -1 ? sql.length : end + 2;
+    } else if (c === '?') {
+      index += 1;
+      ret += `$${ index }`;
+      i = end;
+      continue;
+    }
+    ret += sql.slice(i, end);
+    i = end;
+  }
+  return ret;
+}
+exports.sqlNumberPlaceholders = sqlNumberPlaceholders;
+
 /**
  * 根据对象生成 SQL UPDATE 语句
  *
  * @param {Object} data
+ * @param {Object} dialect 提供 escape() 和 escapeId() 的 Dialect 实例，默认为 MySQL
  * @return {String}
  */
-function sqlUpdateString(data) {
+function sqlUpdateString(data, dialect) {
+  const escapeValue = dialect ? v => dialect.escape(v) : sqlEscape;
+  const escapeId = dialect ? v => dialect.escapeId(v) : sqlEscapeId;
   return Object.keys(data)
-          .map(name => `${ sqlEscapeId(name) }=${ sqlEscape(data[name]) }`)
+          .map(name => `${ escapeId(name) }=${ escapeValue(data[name]) }`)
           .join(', ');
 }
 exports.sqlUpdateString = sqlUpdateString;
@@ -123,12 +260,306 @@ function sqlLimitString(skip, limit) {
 exports.sqlLimitString = sqlLimitString;
 
 /**
- * 判断是否为更新操作的 SQL
+ * 获取查询的 SQL 语句
+ *
+ * @param {String|Object} sql 字符串或者查询对象 { sql, values, tag }
+ * @return {String}
+ */
+function getQueryString(sql) {
+  return sql && typeof sql === 'object' ? sql.sql : sql;
+}
+exports.getQueryString = getQueryString;
+
+// 只读的语句
+const READ_STATEMENTS = new Set([ 'SELECT', 'SHOW', 'EXPLAIN', 'DESCRIBE', 'DESC', 'TABLE', 'VALUES' ]);
+// WITH 之后的主语句
+const MAIN_STATEMENTS = new Set([ 'SELECT', 'TABLE', 'VALUES', 'INSERT', 'UPDATE', 'DELETE', 'REPLACE' ]);
+// WITH 定义的临时表中修改数据的语句（PostgreSQL 支持，例如 WITH a AS (DELETE ... RETURNING *) SELECT ...）
+const MODIFY_STATEMENTS = new Set([ 'INSERT', 'UPDATE', 'DELETE', 'MERGE' ]);
+// 需要在 MASTER 执行的函数（用户锁，PostgreSQL 的咨询锁及序列）
+const LOCK_FUNCTIONS = new Set([
+  'GET_LOCK', 'RELEASE_LOCK', 'RELEASE_ALL_LOCKS', 'IS_FREE_LOCK', 'IS_USED_LOCK',
+  'PG_ADVISORY_LOCK', 'PG_ADVISORY_LOCK_SHARED', 'PG_ADVISORY_XACT_LOCK', 'PG_ADVISORY_XACT_LOCK_SHARED',
+  'PG_TRY_ADVISORY_LOCK', 'PG_TRY_ADVISORY_LOCK_SHARED', 'PG_TRY_ADVISORY_XACT_LOCK', 'PG_TRY_ADVISORY_XACT_LOCK_SHARED',
+  'PG_ADVISORY_UNLOCK', 'PG_ADVISORY_UNLOCK_SHARED', 'PG_ADVISORY_UNLOCK_ALL',
+  'NEXTVAL', 'SETVAL',
+]);
+
+/**
+ * 将 SQL 语句分解为关键字（大写）及 ( ) ; 符号，忽略注释、字符串、带引号的名称及数字
  *
  * @param {String} sql
+ * @return {Array}
+ */
+function tokenizeSQL(sql) {
+  const tokens = [];
+  const len = sql.length;
+  let i = 0;
+  while (i < len) {
+    const c = sql[i];
+    const next = sql[i + 1];
+    if (c === '#' || (c === '-' && next === '-' && (i + 2 >= len || /\s/.test(sql[i + 2])))) {
+      // 单行注释
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? len : end + 1;
+    } else if (c === '/' && next === '*' && sql[i + 2] !== '!') {
+      // 多行注释
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? len : end + 2;
+    } else if (c === '/' && next === '*') {
+      // MySQL 的可执行注释 /*!40101 ... */ 中的内容会被执行
+      i += 3;
+      while (i < len && /[0-9]/.test(sql[i])) i += 1;
+    } else if (c === '*' && next === '/') {
+      i += 2;
+    } else if (c === '\'' || c === '"' || c === '`') {
+      // 字符串及带引号的名称
+      i += 1;
+      while (i < len) {
+        if (sql[i] === '\\' && c !== '`') {
+          i += 2;
+        } else if (sql[i] === c && sql[i + 1] === c) {
+          i += 2;
+        } else if (sql[i] === c) {
+          break;
+        } else {
+          i += 1;
+        }
+      }
+      i += 1;
+    } else if (/[A-Za-z0-9_$]/.test(c)) {
+      let j = i + 1;
+      while (j < len && /[A-Za-z0-9_$]/.test(sql[j])) j += 1;
+      if (!/[0-9]/.test(c)) {
+        tokens.push(sql.slice(i, j).toUpperCase());
+      }
+      i = j;
+    } else {
+      if (c === '(' || c === ')' || c === ';') {
+        tokens.push(c);
+      }
+      i += 1;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * 判断单条语句是否为只读的语句
+ *
+ * @param {Array} tokens 不包含 ; 的关键字列表
+ * @return {Boolean}
+ */
+function isReadStatement(tokens) {
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    const next = tokens[i + 1];
+    // 加锁读取及 SELECT ... INTO 需要在 MASTER 执行
+    if (LOCK_FUNCTIONS.has(token) && next === '(') return false;
+    // PostgreSQL 还支持 FOR NO KEY UPDATE 和 FOR KEY SHARE
+    if (token === 'FOR' && (next === 'UPDATE' || next === 'SHARE' || next === 'NO' || next === 'KEY')) return false;
+    if (token === 'LOCK' && next === 'IN') return false;
+    if (token === 'INTO') return false;
+  }
+  let i = 0;
+  while (tokens[i] === '(') i += 1;
+  const first = tokens[i];
+  if (first === 'WITH') {
+    // 跳过 WITH 定义的临时表，根据主语句判断，临时表中修改数据时需要在 MASTER 执行
+    let depth = 0;
+    for (i += 1; i < tokens.length; i += 1) {
+      if (tokens[i] === '(') {
+        depth += 1;
+      } else if (tokens[i] === ')') {
+        depth -= 1;
+      } else if (depth > 0 && MODIFY_STATEMENTS.has(tokens[i])) {
+        return false;
+      } else if (depth === 0 && MAIN_STATEMENTS.has(tokens[i])) {
+        return READ_STATEMENTS.has(tokens[i]);
+      }
+    }
+    return false;
+  }
+  if ((first === 'EXPLAIN' || first === 'DESCRIBE' || first === 'DESC') && tokens[i + 1] === 'ANALYZE') {
+    // EXPLAIN ANALYZE 会实际执行语句
+    return isReadStatement(tokens.slice(i + 2));
+  }
+  return READ_STATEMENTS.has(first);
+}
+
+/**
+ * 判断 SQL 是只读的语句（read）还是需要在 MASTER 执行的语句（write）
+ * 包含多条语句时，只要有一条需要在 MASTER 执行则返回 write
+ *
+ * @param {String|Object} sql
+ * @return {String}
+ */
+function classifySQL(sql) {
+  const tokens = tokenizeSQL(String(getQueryString(sql) || ''));
+  let read = false;
+  let start = 0;
+  for (let i = 0; i <= tokens.length; i += 1) {
+    if (i === tokens.length || tokens[i] === ';') {
+      if (i > start) {
+        if (!isReadStatement(tokens.slice(start, i))) return 'write';
+        read = true;
+      }
+      start = i + 1;
+    }
+  }
+  return read ? 'read' : 'write';
+}
+exports.classifySQL = classifySQL;
+
+/**
+ * 判断是否为更新操作的 SQL
+ *
+ * @param {String|Object} sql
  * @return {Boolean}
  */
 function isUpdateSQL(sql) {
-  return !(/^SELECT\s/.test(sql));
+  return classifySQL(sql) === 'write';
 }
 exports.isUpdateSQL = isUpdateSQL;
+
+/**
+ * 判断查询是否需要在 MASTER 执行，查询对象的 master 属性（通过 useMaster() 和 useSlave() 设置）优先
+ *
+ * @param {String|Object} sql
+ * @param {Boolean} master 只读的语句是否也在 MASTER 执行
+ * @return {Boolean}
+ */
+function isMasterQuery(sql, master) {
+  if (sql && typeof sql === 'object' && typeof sql.master === 'boolean') {
+    return sql.master;
+  }
+  return !!master || isUpdateSQL(sql);
+}
+exports.isMasterQuery = isMasterQuery;
+
+/**
+ * 判断是否为可以重新执行整个事务的错误（死锁、锁等待超时）
+ *
+ * @param {Object} err
+ * @return {Boolean}
+ */
+function isTransactionRetryableError(err) {
+  return !!err && (err.code === 'ER_LOCK_DEADLOCK' || err.code === 'ER_LOCK_WAIT_TIMEOUT');
+}
+exports.isTransactionRetryableError = isTransactionRetryableError;
+
+/**
+ * 判断是否为可以重试查询的网络错误
+ *
+ * @param {Object} err
+ * @return {Boolean}
+ */
+function isQueryRetryableError(err) {
+  if (!err) return false;
+  switch (err.code) {
+  case 'PROTOCOL_CONNECTION_LOST':
+  case 'ECONNRESET':
+  case 'ECONNREFUSED':
+  case 'ETIMEDOUT':
+  case 'EPIPE':
+    return true;
+  default:
+    return false;
+  }
+}
+exports.isQueryRetryableError = isQueryRetryableError;
+
+/**
+ * 计算重试前的等待时间
+ *
+ * @param {Number|Function} delay 基础等待时间（毫秒），或者 function (attempt, err) 返回等待时间
+ * @param {String} backoff 等待时间的增长方式：fixed, linear, exponential
+ * @param {Number} attempt 第几次重试，从 1 开始
+ * @param {Object} err
+ * @return {Number}
+ */
+function getRetryDelay(delay, backoff, attempt, err) {
+  if (typeof delay === 'function') {
+    return Number(delay(attempt, err)) || 0;
+  }
+  delay = Number(delay) || 0;
+  switch (backoff) {
+  case 'fixed':
+    return delay;
+  case 'linear':
+    return delay * attempt;
+  case 'exponential':
+    return delay * Math.pow(2, attempt - 1);
+  default:
+    throw new TypeError(`not support backoff "${ backoff }"`);
+  }
+}
+exports.getRetryDelay = getRetryDelay;
+
+/**
+ * 监听取消信号的 abort 事件，支持 AbortSignal 和 EventEmitter
+ *
+ * @param {Object} signal
+ * @param {Function} listener
+ * @return {Function} 调用后取消监听
+ */
+function onAbort(signal, listener) {
+  if (typeof signal.addEventListener === 'function') {
+    signal.addEventListener('abort', listener);
+    return () => signal.removeEventListener('abort', listener);
+  }
+  signal.on('abort', listener);
+  return () => signal.removeListener('abort', listener);
+}
+exports.onAbort = onAbort;
+
+/**
+ * 等待正在执行的操作全部结束，结束时 emitter 会触发 drain 事件
+ *
+ * @param {Object} emitter
+ * @param {Function} getPending 返回正在执行的操作数量
+ * @param {Number} timeout 最长等待时间（毫秒），0 表示不限制
+ * @param {Function} callback 参数为是否已全部结束
+ */
+function waitForDrain(emitter, getPending, timeout, callback) {
+  if (getPending() < 1) {
+    process.nextTick(() => callback(true));
+    return;
+  }
+  let timer = null;
+  const onDrain = () => {
+    if (getPending() > 0) return;
+    emitter.removeListener('drain', onDrain);
+    clearTimeout(timer);
+    callback(true);
+  };
+  emitter.on('drain', onDrain);
+  if (timeout > 0) {
+    timer = setTimeout(() => {
+      emitter.removeListener('drain', onDrain);
+      callback(false);
+    }, timeout);
+  }
+}
+exports.waitForDrain = waitForDrain;
+
+/**
+ * 默认的分片函数，整数按照取模计算，其他值按照字符串的哈希值（FNV-1a）取模计算
+ *
+ * @param {Mixed} value 分片键的值
+ * @param {Number} count 分片数量
+ * @return {Number}
+ */
+function shardByHash(value, count) {
+  if (Number.isInteger(value)) {
+    return Math.abs(value) % count;
+  }
+  const str = String(value);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i += 1) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash % count;
+}
+exports.shardByHash = shardByHash;
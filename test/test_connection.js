@@ -6,9 +6,10 @@
  * @author Zongmin Lei <leizongmin@gmail.com>
  */
 
+const { EventEmitter } = require('events');
 const expect = require('chai').expect;
 const coroutine = require('lei-coroutine');
-const { createConnection } = require('../');
+const { createConnection, createMemoryDriver } = require('../');
 const { getConnectionConfig, readTestFile } = require('./utils');
 
 
@@ -77,4 +78,397 @@ describe('Connection', function () {
 
   }));
 
+  it('slaveHealthCheck', coroutine.wrap(function* () {
+
+    const conn = createConnection({
+      connections: [ getConnectionConfig(), getConnectionConfig() ],
+      slaveHealthCheck: { interval: 60000, maxLag: 1 },
+    });
+    const events = [];
+    conn.on('slaveDown', (id, info) => events.push([ 'slaveDown', id, info.lag ]));
+    conn.on('slaveUp', (id, info) => events.push([ 'slaveUp', id, info.lag ]));
+    {
+      // 测试数据库没有配置复制，SLAVE 会被暂时移除，查询在 MASTER 执行
+      yield conn.checkSlaves();
+      console.log(events);
+      expect(events).to.deep.equal([[ 'slaveDown', 'SLAVE0', null ]]);
+      const ret = yield conn.querySlave('SELECT 1 AS `a`');
+      expect(ret[0].a).to.equal(1);
+    }
+    {
+      // 使用心跳查询
+      conn._slaveHealthCheck.sql = 'SELECT 0 AS `lag`';
+      yield conn.checkSlaves();
+      console.log(events);
+      expect(events[1]).to.deep.equal([ 'slaveUp', 'SLAVE0', 0 ]);
+    }
+    yield conn.close();
+
+  }));
+
+  it('query timeout', coroutine.wrap(function* () {
+
+    const conn = createConnection({
+      connections: [ getConnectionConfig() ],
+    });
+    {
+      let error = null;
+      try {
+        yield conn.query({ sql: 'SELECT SLEEP(5) AS `a`', timeout: 200 });
+      } catch (err) {
+        error = err;
+      }
+      console.log(error);
+      expect(error).to.be.an.instanceof(Error);
+      expect(error.name).to.equal('QueryTimeoutError');
+      expect(error.code).to.equal('QUERY_TIMEOUT');
+    }
+    {
+      // 被终止查询的连接可以继续使用
+      const ret = yield conn.query('SELECT 1 AS `a`');
+      expect(ret[0].a).to.equal(1);
+    }
+    {
+      const signal = new EventEmitter();
+      signal.aborted = false;
+      setTimeout(() => {
+        signal.aborted = true;
+        signal.emit('abort');
+      }, 200);
+      let error = null;
+      try {
+        yield conn.query({ sql: 'SELECT SLEEP(5) AS `a`', signal });
+      } catch (err) {
+        error = err;
+      }
+      console.log(error);
+      expect(error.code).to.equal('QUERY_CANCELLED');
+    }
+    yield conn.close();
+
+  }));
+
+  it('query events & slowQueryLog', coroutine.wrap(function* () {
+
+    const slowQueries = [];
+    const conn = createConnection({
+      connections: [ getConnectionConfig() ],
+      slowQueryLog: { threshold: 100, logger: info => slowQueries.push(info) },
+    });
+    const events = [];
+    conn.on('query', info => events.push([ 'query', info.sql, info.pool ]));
+    conn.on('queryEnd', info => events.push([ 'queryEnd', info.sql, info.pool, info.rows, info.error ]));
+    {
+      yield conn.query('SELECT 1 AS `a`');
+      console.log(events);
+      expect(events).to.deep.equal([
+        [ 'query', 'SELECT 1 AS `a`', 'MASTER' ],
+        [ 'queryEnd', 'SELECT 1 AS `a`', 'MASTER', 1, null ],
+      ]);
+      expect(slowQueries).to.deep.equal([]);
+    }
+    {
+      yield conn.query('SELECT SLEEP(0.2) AS `a`');
+      console.log(slowQueries);
+      expect(slowQueries.length).to.equal(1);
+      expect(slowQueries[0].sql).to.equal('SELECT SLEEP(0.2) AS `a`');
+      expect(slowQueries[0].duration).to.be.at.least(100);
+    }
+    yield conn.close();
+
+  }));
+
+  it('stats', coroutine.wrap(function* () {
+
+    const conn = createConnection({
+      connections: [ getConnectionConfig(), getConnectionConfig() ],
+    });
+    yield conn.queryMaster('SELECT 1 AS `a`');
+    yield conn.queryMaster('SELECT 2 AS `a`');
+    const stats = conn.stats();
+    console.log(stats);
+    expect(Object.keys(stats)).to.deep.equal([ 'MASTER', 'SLAVE0' ]);
+    expect(stats.MASTER).to.include({ total: 1, idle: 1, inUse: 0, queued: 0, connectionLimit: 2, acquires: 2, down: false });
+    expect(stats.MASTER.acquireWaitTime).to.be.at.least(0);
+    expect(stats.SLAVE0).to.include({ total: 0, acquires: 0 });
+    yield conn.close();
+
+  }));
+
+  it('close() drains in-flight queries', coroutine.wrap(function* () {
+
+    const conn = createConnection({
+      connections: [ getConnectionConfig() ],
+    });
+    const slow = conn.query('SELECT SLEEP(0.2) AS `a`');
+    const tx = conn.transaction(coroutine.wrap(function* (t) {
+      yield coroutine.delay(100);
+      return yield t.query('SELECT 1 AS `a`');
+    }));
+    const closing = conn.close();
+    {
+      let error = null;
+      try {
+        yield conn.query('SELECT 1');
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.be.an.instanceof(Error);
+      expect(error.code).to.equal('CLOSED');
+    }
+    expect((yield slow)[0]).to.include({ a: 0 });
+    expect((yield tx)[0]).to.include({ a: 1 });
+    yield closing;
+
+  }));
+
+  it('close() with timeout & force', coroutine.wrap(function* () {
+
+    {
+      const conn = createConnection({
+        connections: [ getConnectionConfig() ],
+      });
+      const raw = yield conn.getMasterConnection();
+      const start = Date.now();
+      yield conn.close({ timeout: 100 });
+      expect(Date.now() - start).to.be.at.least(90);
+      raw.release();
+    }
+    {
+      const conn = createConnection({
+        connections: [ getConnectionConfig() ],
+      });
+      const raw = yield conn.getMasterConnection();
+      const start = Date.now();
+      yield conn.close({ force: true });
+      expect(Date.now() - start).to.be.below(90);
+      raw.release();
+    }
+
+  }));
+
+  it('initSql & onConnect', coroutine.wrap(function* () {
+
+    const conn = createConnection({
+      connections: [ Object.assign(getConnectionConfig(), {
+        initSql: [ 'SET time_zone = \'+00:00\'', 'SET NAMES utf8mb4' ],
+        onConnect: c => c.query('SET @init = 123'),
+      }) ],
+    });
+    {
+      const ret = yield conn.queryMaster('SELECT @@session.time_zone AS `tz`, @init AS `init`');
+      console.log(ret);
+      expect(ret).to.deep.equal([{ tz: '+00:00', init: 123 }]);
+    }
+    yield conn.close();
+
+    const conn2 = createConnection({
+      connections: [ getConnectionConfig() ],
+      initSql: 'SET time_zone = \'invalid\'',
+    });
+    {
+      let error = null;
+      try {
+        yield conn2.query('SELECT 1');
+      } catch (err) {
+        error = err;
+      }
+      expect(error.code).to.equal('CONNECTION_INIT_FAILED');
+      expect(error.originalError.code).to.equal('ER_UNKNOWN_TIME_ZONE');
+    }
+    yield conn2.close();
+
+  }));
+
+});
+
+
+describe('Connection - memory driver', function () {
+
+  it('parameterized queries', coroutine.wrap(function* () {
+
+    const driver = createMemoryDriver();
+    const conn = createConnection({
+      connections: [{}],
+      driver,
+    });
+    driver.when((sql, values) => values && values[0] === 1, [{ id: 1 }]);
+    expect(yield conn.query({ sql: 'SELECT * FROM `users` WHERE `id`=?', values: [ 1 ]})).to.deep.equal([{ id: 1 }]);
+    yield conn.query('SELECT 1');
+    // 参数化查询通过 execute() 使用预处理语句执行
+    expect(driver.queries.map(item => [ item.sql, item.values, item.prepared ])).to.deep.equal([
+      [ 'SELECT * FROM `users` WHERE `id`=?', [ 1 ], true ],
+      [ 'SELECT 1', undefined, false ],
+    ]);
+    yield conn.close();
+
+    // 驱动不提供 execute() 时 SQL 语句与参数分别传给 query()
+    const driver2 = createMemoryDriver({ execute: false });
+    const conn2 = createConnection({
+      connections: [{}],
+      driver: driver2,
+    });
+    const c = yield conn2.getMasterConnection();
+    expect(c.execute).to.equal(undefined);
+    c.release();
+    yield conn2.query({ sql: 'SELECT * FROM `users` WHERE `id`=?', values: [ 1 ]});
+    expect(driver2.queries.map(item => [ item.sql, item.values, item.prepared ])).to.deep.equal([
+      [ 'SELECT * FROM `users` WHERE `id`=?', [ 1 ], false ],
+    ]);
+    yield conn2.close();
+
+  }));
+
+  it('unknown tag', coroutine.wrap(function* () {
+
+    const driver = createMemoryDriver();
+    const conn = createConnection({
+      connections: [{}, { tags: [ 'analytics' ]}],
+      driver,
+    });
+    driver.when(/^SELECT/, [{ a: 1 }]);
+    expect(yield conn.query({ sql: 'SELECT 1 AS `a`', tag: 'analytics' })).to.deep.equal([{ a: 1 }]);
+    expect(driver.queries.map(item => item.pool)).to.deep.equal([ 'SLAVE0' ]);
+    {
+      let error = null;
+      try {
+        yield conn.querySlave({ sql: 'SELECT 2', tag: 'report' });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.code).to.equal('UNKNOWN_TAG');
+      expect(error.tag).to.equal('report');
+    }
+    {
+      const error = yield new Promise(resolve => {
+        conn.stream({ sql: 'SELECT 3', tag: 'report' }).on('error', resolve);
+      });
+      expect(error.code).to.equal('UNKNOWN_TAG');
+    }
+    expect(driver.queries).to.have.length(1);
+    yield conn.close();
+
+  }));
+
+  it('slowQueryLog does not write to console by default', coroutine.wrap(function* () {
+
+    const driver = createMemoryDriver();
+    const conn = createConnection({
+      connections: [{}],
+      driver,
+      slowQueryLog: { threshold: 0 },
+    });
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args);
+    try {
+      yield conn.query('SELECT 1');
+    } finally {
+      console.warn = warn;
+    }
+    expect(warnings).to.deep.equal([]);
+    yield conn.close();
+
+  }));
+
+  it('initSql & onConnect', coroutine.wrap(function* () {
+
+    const initDriver = createMemoryDriver();
+    const connected = [];
+    const conn = createConnection({
+      connections: [{
+        initSql: [ 'SET time_zone = \'+00:00\'', 'SET NAMES utf8mb4' ],
+      }, {
+        initSql: 'SET SESSION sql_mode = \'STRICT_ALL_TABLES\'',
+        onConnect: coroutine.wrap(function* (c) {
+          connected.push(c.threadId);
+          yield c.query('SELECT 1 AS `init`');
+        }),
+      }],
+      driver: initDriver,
+    });
+    yield conn.queryMaster('SELECT 1');
+    yield conn.queryMaster('SELECT 2');
+    yield conn.querySlave('SELECT 3');
+    expect(initDriver.queries.map(item => `${ item.pool } ${ item.sql }`)).to.deep.equal([
+      'MASTER SET time_zone = \'+00:00\'',
+      'MASTER SET NAMES utf8mb4',
+      'MASTER SELECT 1',
+      'MASTER SELECT 2',
+      'SLAVE0 SET SESSION sql_mode = \'STRICT_ALL_TABLES\'',
+      'SLAVE0 SELECT 1 AS `init`',
+      'SLAVE0 SELECT 3',
+    ]);
+    expect(connected).to.deep.equal([ initDriver.queries[4].threadId ]);
+
+    // 初始化失败时销毁该连接并返回 ConnectionInitError，下次获取连接时重新创建
+    initDriver.reset();
+    const err = new Error('Unknown or incorrect time zone');
+    err.code = 'ER_UNKNOWN_TIME_ZONE';
+    initDriver.when(/^SET time_zone/, err, { times: 1 });
+    const events = [];
+    const onError = e => events.push(e);
+    conn.on('error', onError);
+    // 占用已经初始化的连接，使下次获取连接时新建连接
+    const busy = yield conn.getMasterConnection();
+    let error = null;
+    try {
+      const c = yield conn.getMasterConnection();
+      c.release();
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).to.equal('CONNECTION_INIT_FAILED');
+    expect(error.pool).to.equal('MASTER');
+    expect(error.originalError).to.equal(err);
+    expect(events).to.deep.equal([ error ]);
+    yield conn.queryMaster('SELECT 4');
+    busy.release();
+    expect(initDriver.queries.map(item => item.sql)).to.deep.equal([
+      'SET time_zone = \'+00:00\'',
+      'SET time_zone = \'+00:00\'',
+      'SET NAMES utf8mb4',
+      'SELECT 4',
+    ]);
+    expect(initDriver.queries[1].threadId).to.not.equal(busy.threadId);
+
+    // 没有 error 事件的监听器时只通过回调返回错误
+    conn.removeListener('error', onError);
+    initDriver.when(/^SET time_zone/, err, { times: 1 });
+    // 占用两个已经初始化的连接
+    const busyList = [ yield conn.getMasterConnection(), yield conn.getMasterConnection() ];
+    error = null;
+    try {
+      yield conn.queryMaster('SELECT 5');
+    } catch (e) {
+      error = e;
+    }
+    busyList.forEach(c => c.release());
+    expect(error.code).to.equal('CONNECTION_INIT_FAILED');
+    expect(events).to.have.length(1);
+    yield conn.close();
+
+  }));
+
+  it('close() is idempotent', coroutine.wrap(function* () {
+
+    const driver = createMemoryDriver();
+    const conn = createConnection({
+      connections: [{}],
+      driver,
+    });
+    driver.when(/SLEEP/, [{ a: 0 }], { delay: 50 });
+    const slow = conn.query('SELECT SLEEP(0.05) AS `a`');
+    const first = conn.close();
+    const second = conn.close({ force: true });
+    expect(second).to.equal(first);
+    const closed = [];
+    conn.close(err => closed.push(err));
+    expect(yield slow).to.deep.equal([{ a: 0 }]);
+    yield first;
+    yield conn.close();
+    expect(closed).to.deep.equal([ null ]);
+
+  }));
+
 });
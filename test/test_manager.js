@@ -81,4 +81,141 @@ describe('Manager', function () {
     }
   }));
 
+  it('metrics', coroutine.wrap(function* () {
+    yield manager.model('Admin').getByPrimary({ id: 1 });
+    expect(manager.model('Admin').cacheStats().hits).to.be.at.least(1);
+    const text = manager.metrics();
+    console.log(text);
+    expect(text).to.include('# TYPE super_orm_pool_connections gauge');
+    expect(text).to.include('super_orm_pool_connections{connection="default",pool="MASTER",state="idle"} ');
+    expect(text).to.include('# TYPE super_orm_cache_requests_total counter');
+    expect(text).to.match(/super_orm_cache_requests_total\{model="Admin",result="hit"\} [1-9]/);
+    expect(text).to.include('super_orm_cache_errors_total{model="Admin"} 0');
+  }));
+
+  it('context', coroutine.wrap(function* () {
+    const ctx = manager.context({ stickyMaster: 1000 });
+    const queryMaster = manager.connection.queryMaster;
+    const masterQueries = [];
+    manager.connection.queryMaster = function (sql, callback) {
+      if (/^SELECT/.test(sql)) {
+        masterQueries.push(sql);
+      }
+      return queryMaster.call(this, sql, callback);
+    };
+    try {
+      {
+        const ret = yield ctx.model('Admin').find().exec();
+        expect(ret).to.have.lengthOf(1);
+        expect(masterQueries).to.have.lengthOf(0);
+      }
+      {
+        const ret = yield ctx.model('Admin').updateByPrimary({ id: 1 }, { name: '管理员' });
+        expect(ret.affectedRows).to.equal(1);
+      }
+      {
+        // 写操作后读操作在 MASTER 执行
+        const ret = yield ctx.model('Admin').find().exec();
+        expect(ret[0].name).to.equal('管理员');
+        expect(masterQueries).to.have.lengthOf(1);
+      }
+      {
+        // 其他 Context 不受影响
+        yield manager.context().model('Admin').find().exec();
+        expect(masterQueries).to.have.lengthOf(1);
+      }
+    } finally {
+      manager.connection.queryMaster = queryMaster;
+    }
+  }));
+
+  it('named connections and caches', coroutine.wrap(function* () {
+    const manager2 = createManager(getCacheConfig({
+      connections: {
+        main: [ getConnectionConfig() ],
+        billing: [ getConnectionConfig() ],
+      },
+      caches: {
+        default: { prefix },
+        sessions: { prefix: prefix + 'sessions:' },
+      },
+    }));
+    expect(manager2.connection).to.equal(manager2.getConnection('main'));
+    expect(manager2.cache).to.equal(manager2.getCache('default'));
+    expect(() => manager2.getConnection('other')).to.throw('connection "other" does not exists');
+    expect(() => manager2.getCache('other')).to.throw('cache "other" does not exists');
+
+    manager2.registerModel('Admin', {
+      table: 'admins',
+      primary: 'id',
+      autoIncrement: true,
+      fields: {
+        id: true,
+        name: true,
+        email: true,
+        info: 'json',
+        created_at: 'date',
+      },
+      connection: 'billing',
+      cache: 'sessions',
+    });
+    const Admin = manager2.model('Admin');
+    expect(Admin.connection).to.equal(manager2.getConnection('billing'));
+    expect(Admin.cache).to.equal(manager2.getCache('sessions'));
+    {
+      const ret = yield Admin.getByPrimary({ id: 1 });
+      expect(ret).to.include({ id: 1 });
+      const list = yield manager2.getCache('sessions').getList([ Admin.getPrimaryCacheKey({ id: 1 }) ]);
+      expect(list[0]).to.be.a('string');
+    }
+    {
+      const ret = yield manager2.transaction({ connection: 'billing' }, tx => {
+        return tx.model('Admin').findOne().where({ id: 1 }).exec();
+      });
+      expect(ret).to.include({ id: 1 });
+    }
+    yield manager2.close();
+  }));
+
+  it('close() waits for cache writes', coroutine.wrap(function* () {
+    const manager2 = createManager(getCacheConfig({
+      connections: [ getConnectionConfig() ],
+      prefix,
+    }));
+    manager2.registerModel('Admin', {
+      table: 'admins',
+      primary: 'id',
+      autoIncrement: true,
+      fields: {
+        id: true,
+        name: true,
+        email: true,
+        info: 'json',
+        created_at: 'date',
+      },
+    });
+    const Admin = manager2.model('Admin');
+    yield Admin.removeCache({ id: 1 });
+    // 查询数据库时关闭，需要等待写入缓存后再关闭
+    let closing = null;
+    manager2.connection.once('query', () => {
+      closing = manager2.close();
+    });
+    expect(yield Admin.getByPrimary({ id: 1 })).to.include({ id: 1 });
+    yield closing;
+    {
+      let error = null;
+      try {
+        yield Admin.find().exec();
+      } catch (err) {
+        error = err;
+      }
+      expect(error.code).to.equal('CLOSED');
+    }
+    {
+      const list = yield manager.cache.getList([ Admin.getPrimaryCacheKey({ id: 1 }) ]);
+      expect(list[0]).to.be.a('string');
+    }
+  }));
+
 });
@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * super-orm tests
+ *
+ * @author Zongmin Lei <leizongmin@gmail.com>
+ */
+
+const expect = require('chai').expect;
+const coroutine = require('lei-coroutine');
+const { createManager, createCache, createMemoryDriver, createMemoryCacheDriver } = require('../');
+
+
+describe('MemoryDriver & MemoryCacheDriver', function () {
+
+  const driver = createMemoryDriver();
+  const cacheDriver = createMemoryCacheDriver();
+  const manager = createManager({
+    connections: [{}, {}],
+    driver,
+    cacheDriver,
+    ttl: 30,
+    prefix: 'TEST:',
+  });
+  manager.registerModel('User', {
+    table: 'users',
+    primary: 'id',
+    autoIncrement: true,
+    fields: {
+      id: true,
+      name: true,
+      info: 'json',
+    },
+  });
+
+  beforeEach(function () {
+    driver.reset();
+    cacheDriver.reset();
+  });
+
+  after(coroutine.wrap(function* () {
+    yield manager.close();
+  }));
+
+  it('record queries & scripted results', coroutine.wrap(function* () {
+    const User = manager.model('User');
+    driver.when(/^INSERT INTO `users`/, { affectedRows: 1, insertId: 10 });
+    driver.when(/^SELECT \* FROM `users` WHERE `id`=10/, [{ id: 10, name: 'a', info: '{"x":1}' }]);
+    {
+      const ret = yield User.insert({ name: 'a', info: { x: 1 }}).exec();
+      expect(ret).to.include({ affectedRows: 1, insertId: 10 });
+    }
+    {
+      const ret = yield User.getByPrimary({ id: 10 });
+      expect(ret).to.deep.equal({ id: 10, name: 'a', info: { x: 1 }});
+      // 第二次从缓存读取
+      const ret2 = yield User.getByPrimary({ id: 10 });
+      expect(ret2).to.deep.equal(ret);
+      expect(cacheDriver.keys()).to.deep.equal([ User.getPrimaryCacheKey({ id: 10 }) ].map(k => 'TEST:' + k));
+    }
+    {
+      // 没有预设结果时，只读的语句返回空数组
+      const list = yield User.find().where({ name: 'b' }).exec();
+      expect(list).to.deep.equal([]);
+    }
+    expect(driver.queries.map(item => item.sql)).to.deep.equal([
+      'INSERT INTO `users` (`name`, `info`) VALUES (\'a\', \'{\\"x\\":1}\')',
+      'SELECT * FROM `users` WHERE `id`=10  LIMIT 1',
+      'SELECT * FROM `users` WHERE `name`=\'b\'',
+    ]);
+    expect(driver.queries[0].pool).to.equal('MASTER');
+  }));
+
+  it('error & times', coroutine.wrap(function* () {
+    const err = new Error('Deadlock found when trying to get lock');
+    err.code = 'ER_LOCK_DEADLOCK';
+    // 后设置的优先匹配，第一次返回错误
+    driver.when(/^UPDATE/, { affectedRows: 1 });
+    driver.when(/^UPDATE/, err, { times: 1 });
+    let counter = 0;
+    yield manager.transaction({ retries: 1, retryDelay: 0 }, tx => {
+      counter += 1;
+      return tx.model('User').updateByPrimary({ id: 1 }, { name: 'b' });
+    });
+    expect(counter).to.equal(2);
+    expect(driver.queries.map(item => item.sql.split(' ')[0])).to.deep.equal([
+      'START', 'UPDATE', 'ROLLBACK', 'START', 'UPDATE', 'COMMIT',
+    ]);
+  }));
+
+  it('stream & timeout', coroutine.wrap(function* () {
+    const User = manager.model('User');
+    driver.when('SELECT * FROM `users`', [ 1, 2, 3 ].map(id => ({ id, name: 'a', info: '{}' })));
+    {
+      const list = [];
+      const stream = User.find().stream({ highWaterMark: 1 });
+      yield new Promise((resolve, reject) => {
+        stream.on('data', row => list.push(row));
+        stream.on('end', resolve);
+        stream.on('error', reject);
+      });
+      expect(list).to.deep.equal([ 1, 2, 3 ].map(id => ({ id, name: 'a', info: {}})));
+    }
+    driver.when(/SLEEP/, [{ a: 1 }], { delay: 1000 });
+    {
+      let error = null;
+      try {
+        yield manager.connection.query({ sql: 'SELECT SLEEP(1)', timeout: 20 });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.code).to.equal('QUERY_TIMEOUT');
+      expect(driver.queries[driver.queries.length - 1].sql).to.match(/^KILL QUERY \d+$/);
+    }
+  }));
+
+  it('cache', coroutine.wrap(function* () {
+    const cache = createCache({ driver: cacheDriver, ttl: 1, prefix: 'C:' });
+    yield cache.saveList([{ key: 'a', data: '1' }, { key: 'b', data: '2' }]);
+    expect(yield cache.getList([ 'a', 'b', 'c' ])).to.deep.equal([ '1', '2', null ]);
+    yield cache.removeList([ 'a' ]);
+    expect(yield cache.getList([ 'a', 'b' ])).to.deep.equal([ null, '2' ]);
+    expect(cacheDriver.keys()).to.deep.equal([ 'C:b' ]);
+    yield coroutine.delay(1100);
+    expect(yield cache.getList([ 'b' ])).to.deep.equal([ null ]);
+    yield cache.close();
+  }));
+
+});
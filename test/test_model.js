@@ -108,6 +108,33 @@ describe('Model - normal', function () {
     }
   }));
 
+  it('stream', coroutine.wrap(function* () {
+    {
+      const list = yield new Promise((resolve, reject) => {
+        const rows = [];
+        model.find().where({ user_id: 1001 }).order('`blog_id` ASC').stream()
+          .on('data', item => rows.push(item))
+          .on('error', reject)
+          .on('end', () => resolve(rows));
+      });
+      console.log(list);
+      expect(list).to.have.lengthOf(2);
+      // 每一行都经过格式化输出
+      expect(list[0].info).to.be.an('object');
+      expect(list[0].created_at).to.be.an.instanceof(Date);
+    }
+    {
+      // 提前销毁后连接可以继续使用
+      const stream = model.find().stream({ highWaterMark: 1 });
+      yield new Promise(resolve => stream.once('data', () => {
+        stream.destroy();
+        resolve();
+      }));
+      const ret = yield model.count().exec();
+      expect(ret).to.equal(3);
+    }
+  }));
+
   it('count', coroutine.wrap(function* () {
     {
       const count = yield model.count().exec();
@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * super-orm tests
+ *
+ * @author Zongmin Lei <leizongmin@gmail.com>
+ */
+
+const expect = require('chai').expect;
+const coroutine = require('lei-coroutine');
+const { createModel, createCache, createConnection } = require('../');
+const { getConnectionConfig, getCacheConfig, readTestFile } = require('./utils');
+const { randomString } = require('lei-utils');
+
+
+describe('Model - sharding', function () {
+
+  const prefix = randomString(10) + ':';
+  const cache = createCache(getCacheConfig({ prefix }));
+  const connections = [
+    createConnection({ connections: [ getConnectionConfig() ]}),
+    createConnection({ connections: [ getConnectionConfig({ database: 'test_shard1' }) ]}),
+  ];
+  const Friend = createModel({
+    cache, connections,
+    shardKey: 'user_id',
+    table: 'friends',
+    primary: [ 'user_id', 'friend_id' ],
+    fields: {
+      user_id: true,
+      friend_id: true,
+      created_at: 'date',
+      remark: true,
+    },
+  });
+
+  before(coroutine.wrap(function* () {
+    const conn = createConnection({ connections: [ getConnectionConfig() ]});
+    yield conn.query('CREATE DATABASE IF NOT EXISTS `test_shard1`');
+    yield conn.close();
+    const sql = yield readTestFile('friends.sql');
+    for (const connection of connections) {
+      yield connection.query('DROP TABLE IF EXISTS `friends`');
+      yield connection.query(sql);
+    }
+  }));
+
+  after(coroutine.wrap(function* () {
+    for (const connection of connections) {
+      yield connection.close();
+    }
+    yield cache.close();
+  }));
+
+  it('insert', coroutine.wrap(function* () {
+    for (let userId = 1; userId <= 4; userId += 1) {
+      const ret = yield Friend.insert([{
+        user_id: userId,
+        friend_id: 10 + userId,
+        created_at: new Date(),
+        remark: `friend ${ userId }`,
+      }, {
+        user_id: userId,
+        friend_id: 20 + userId,
+        created_at: new Date(),
+        remark: `friend ${ userId }`,
+      }]).exec();
+      expect(ret.affectedRows).to.equal(2);
+    }
+    {
+      // 默认按照分片键取模，偶数在第一个分片，奇数在第二个分片
+      const list0 = yield connections[0].query('SELECT `user_id` FROM `friends` ORDER BY `user_id` ASC');
+      const list1 = yield connections[1].query('SELECT `user_id` FROM `friends` ORDER BY `user_id` ASC');
+      expect(list0.map(item => item.user_id)).to.deep.equal([ 2, 2, 4, 4 ]);
+      expect(list1.map(item => item.user_id)).to.deep.equal([ 1, 1, 3, 3 ]);
+    }
+    {
+      let error = null;
+      try {
+        Friend.insert([{ user_id: 1, friend_id: 2 }, { user_id: 2, friend_id: 1 }]);
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal('all rows must belong to the same shard');
+    }
+  }));
+
+  it('find on all shards', coroutine.wrap(function* () {
+    {
+      const list = yield Friend.find().order('`friend_id` DESC').skip(1).limit(3).exec();
+      console.log(list);
+      expect(list.map(item => item.friend_id)).to.deep.equal([ 23, 22, 21 ]);
+      expect(list[0].created_at).to.be.an.instanceof(Date);
+    }
+    {
+      const ret = yield Friend.findOne().order('`friend_id` ASC').exec();
+      expect(ret.friend_id).to.equal(11);
+    }
+    {
+      const ret = yield Friend.count().exec();
+      expect(ret).to.equal(8);
+    }
+    {
+      const list = yield Friend.shard(3).find().exec();
+      expect(list.map(item => item.user_id)).to.deep.equal([ 3, 3 ]);
+    }
+  }));
+
+  it('* by primary', coroutine.wrap(function* () {
+    expect(Friend.getPrimaryCacheKey({ user_id: 3, friend_id: 13 })).to.equal('friends:r:s1:friend_id_13:user_id_3');
+    {
+      const ret = yield Friend.getByPrimary({ user_id: 3, friend_id: 13 });
+      console.log(ret);
+      expect(ret).to.include({ remark: 'friend 3' });
+    }
+    {
+      yield Friend.updateByPrimary({ user_id: 3, friend_id: 13 }, { remark: 'updated' });
+      const ret = yield Friend.getByPrimary({ user_id: 3, friend_id: 13 });
+      expect(ret).to.include({ remark: 'updated' });
+    }
+    {
+      yield Friend.deleteByPrimary({ user_id: 3, friend_id: 13 });
+      const ret = yield Friend.getByPrimary({ user_id: 3, friend_id: 13 });
+      expect(ret).to.equal(undefined);
+    }
+  }));
+
+});
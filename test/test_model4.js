@@ -0,0 +1,324 @@
+'use strict';
+
+/**
+ * super-orm tests
+ *
+ * @author Zongmin Lei <leizongmin@gmail.com>
+ */
+
+const expect = require('chai').expect;
+const coroutine = require('lei-coroutine');
+const {
+  createManager, createModel, createCache, createConnection, createMemoryDriver, createMemoryCacheDriver,
+} = require('../');
+
+
+describe('Model - memory driver', function () {
+
+  const driver = createMemoryDriver();
+  const cacheDriver = createMemoryCacheDriver();
+  const manager = createManager({
+    connections: [{}],
+    driver,
+    cacheDriver,
+    ttl: 30,
+    prefix: 'TEST:',
+  });
+  manager.registerModel('User', {
+    table: 'users',
+    primary: 'id',
+    autoIncrement: true,
+    fields: {
+      id: true,
+      name: true,
+      info: 'json',
+    },
+  });
+  manager.registerModel('Order', {
+    table: 'orders',
+    primary: 'id',
+    fields: {
+      id: true,
+      user_id: true,
+      paid: 'bool',
+      // 与 User 同名但不解析 JSON 的字段，用于区分按照哪个 Model 格式化
+      info: true,
+    },
+  });
+  const User = manager.model('User');
+  const Order = manager.model('Order');
+
+  const shardDrivers = [ createMemoryDriver(), createMemoryDriver() ];
+  const cache = createCache({ driver: createMemoryCacheDriver(), prefix: 'TEST:', ttl: 30 });
+  const connections = shardDrivers.map(item => createConnection({ connections: [{}], driver: item }));
+  const Friend = createModel({
+    cache, connections,
+    shardKey: 'user_id',
+    table: 'friends',
+    primary: [ 'user_id', 'friend_id' ],
+    fields: {
+      user_id: true,
+      friend_id: true,
+      remark: true,
+    },
+  });
+
+  beforeEach(function () {
+    driver.reset();
+    cacheDriver.reset();
+    shardDrivers.forEach(item => item.reset());
+  });
+
+  after(coroutine.wrap(function* () {
+    yield manager.close();
+    for (const connection of connections) {
+      yield connection.close();
+    }
+    yield cache.close();
+  }));
+
+  it('join output formatting', coroutine.wrap(function* () {
+    const row = { id: 1, name: 'a', info: '{"x":1}', order_id: 2, paid: 1, order_info: '{"y":2}' };
+    driver.when(/JOIN/, [ row ]);
+    {
+      // 指定了来源的字段按照对应 Model 格式化，u.* 的字段按照 User 格式化
+      const list = yield User.find().as('u').fields('u.*', 'o.id AS order_id', 'o.paid', 'o.info AS order_info')
+                          .join(Order, { 'o.user_id': 'u.id' }, 'o').where({ 'o.paid': 1 }).exec();
+      expect(list).to.deep.equal([{ id: 1, name: 'a', info: { x: 1 }, order_id: 2, paid: true, order_info: '{"y":2}' }]);
+    }
+    {
+      // o.* 优先于当前 Model，info 按照 Order 格式化
+      const list = yield User.find().as('u').fields('o.*', 'u.name').join(Order, { 'o.user_id': 'u.id' }, 'o').exec();
+      expect(list[0]).to.include({ info: '{"x":1}', paid: true });
+    }
+    {
+      // 没有指定来源时依次查找当前 Model 及关联的 Model，都没有定义的字段保持原样
+      const list = yield User.find().join(Order, { 'orders.user_id': 'users.id' }).exec();
+      expect(list).to.deep.equal([{ id: 1, name: 'a', info: { x: 1 }, order_id: 2, paid: true, order_info: '{"y":2}' }]);
+    }
+    {
+      // 流式查询同样按照每个 Model 格式化
+      const list = [];
+      const stream = User.find().as('u').fields('u.*', 'o.paid').join(Order, { 'o.user_id': 'u.id' }, 'o').stream();
+      yield new Promise((resolve, reject) => {
+        stream.on('data', item => list.push(item));
+        stream.on('end', resolve);
+        stream.on('error', reject);
+      });
+      expect(list).to.deep.equal([{ id: 1, name: 'a', info: { x: 1 }, order_id: 2, paid: true, order_info: '{"y":2}' }]);
+    }
+    expect(driver.queries).to.have.length(4);
+  }));
+
+  it('aggregate', coroutine.wrap(function* () {
+    driver.when(/GROUP BY/, [{ name: 'a', total: 3, info: '{"x":1}' }]);
+    const list = yield User.aggregate().countDistinct('id', 'total').max('info').groupBy('name')
+                           .having({ total: { $gt: 1 }}).exec();
+    // 聚合结果不经过格式化，与 schema 同名的 info 字段保持原样
+    expect(list).to.deep.equal([{ name: 'a', total: 3, info: '{"x":1}' }]);
+  }));
+
+  it('model queries as subqueries', coroutine.wrap(function* () {
+    driver.when(/^SELECT \* FROM `users`/, [{ id: 1, name: 'a', info: '{"x":1}' }]);
+    const paid = Order.find().fields('user_id').where({ paid: 1 });
+    const list = yield User.find().whereIn('id', paid).exec();
+    // 子查询只生成 SQL 不单独执行，结果按照当前 Model 格式化
+    expect(list).to.deep.equal([{ id: 1, name: 'a', info: { x: 1 }}]);
+    expect(driver.queries).to.have.length(1);
+    expect(driver.queries[0].sql).to.contain('IN (SELECT `user_id` FROM `orders` WHERE `paid`=1)');
+  }));
+
+  it('upsertByPrimary', coroutine.wrap(function* () {
+    let stored = { id: 10, name: 'a', info: '{}' };
+    driver.when(/^SELECT \* FROM `users` WHERE `id`=10/, () => [ stored ]);
+    driver.when(/^INSERT INTO `users`/, () => {
+      stored = { id: 10, name: 'b', info: '{"x":1}' };
+      return { affectedRows: 2, insertId: 10 };
+    });
+    expect(yield User.getByPrimary({ id: 10 })).to.deep.equal({ id: 10, name: 'a', info: {}});
+    expect(cacheDriver.keys()).to.deep.equal([ 'TEST:' + User.getPrimaryCacheKey({ id: 10 }) ]);
+    // 更新后删除缓存，再次读取时查询数据库
+    expect(yield User.upsertByPrimary({ id: 10, name: 'b', info: { x: 1 }})).to.include({ affectedRows: 2 });
+    expect(cacheDriver.keys()).to.deep.equal([]);
+    expect(yield User.getByPrimary({ id: 10 })).to.deep.equal({ id: 10, name: 'b', info: { x: 1 }});
+    expect(driver.queries).to.have.length(3);
+    // 主键冲突时只更新非主键字段
+    expect(driver.queries[1].sql).to.match(/ ON DUPLICATE KEY UPDATE `name`=VALUES\(`name`\), `info`=VALUES\(`info`\)$/);
+    expect(() => User.upsertByPrimary({ name: 'e' })).to.throw(/missing primary key "id"/);
+    driver.reset();
+    yield User.insertIgnore({ name: 'c' }).exec();
+    yield User.replace({ id: 11, name: 'd' }).exec();
+    expect(driver.queries.map(item => item.sql.split(' (')[0])).to.deep.equal([
+      'INSERT IGNORE INTO `users`',
+      'REPLACE INTO `users`',
+    ]);
+  }));
+
+  it('bulkInsert', coroutine.wrap(function* () {
+    const rowsOf = sql => sql.split('),\n(').length;
+    let nextId = 100;
+    driver.when(/^INSERT INTO `users`/, sql => {
+      // 模拟 MySQL：只为 id 为 DEFAULT 的行生成自增主键
+      const generated = (sql.match(/\(DEFAULT, /g) || []).length || rowsOf(sql);
+      nextId += generated;
+      return { affectedRows: rowsOf(sql), insertId: nextId - generated };
+    });
+    const list = [{ name: 'a' }, { name: 'b', info: { x: 1 }}, { id: 5, name: 'c' }, { name: 'd' }, { name: 'e' }];
+    {
+      const ret = yield User.bulkInsert(list, { batchSize: 2 });
+      expect(ret).to.deep.equal({
+        affectedRows: 5,
+        batches: 3,
+        firstInsertId: 100,
+        lastInsertId: 103,
+        // 第二个语句中 id=5 为指定的主键，只生成了一个自增主键，不计算范围
+        ranges: [{ first: 100, last: 101 }, { first: 103, last: 103 }],
+      });
+      expect(driver.queries.map(item => rowsOf(item.sql))).to.deep.equal([ 2, 2, 1 ]);
+      // 缺少的字段使用 DEFAULT
+      expect(driver.queries[0].sql).to.contain('(`name`, `info`) VALUES (\'a\', DEFAULT)');
+      expect(driver.queries[1].sql).to.contain('(`id`, `name`) VALUES (5, \'c\'),\n(DEFAULT, \'d\')');
+    }
+    driver.reset();
+    driver.when(/^INSERT INTO `users`/, sql => ({ affectedRows: rowsOf(sql), insertId: 1 }));
+    {
+      // 按照字节数分批，并在同一个事务中执行
+      const ret = yield User.bulkInsert(list.map(item => ({ name: item.name.repeat(10) })), { maxBytes: 40, transaction: true });
+      expect(ret).to.include({ affectedRows: 5, batches: 3 });
+      expect(driver.queries.map(item => item.sql.split(' ')[0])).to.deep.equal([
+        'START', 'INSERT', 'INSERT', 'INSERT', 'COMMIT',
+      ]);
+    }
+    driver.reset();
+    const err = new Error('Data too long');
+    err.code = 'ER_DATA_TOO_LONG';
+    driver.when(/^INSERT INTO `users`/, { affectedRows: 1, insertId: 1 });
+    driver.when(/'c'/, err);
+    {
+      // 出错时回滚并停止插入之后的数据
+      let error = null;
+      try {
+        yield User.bulkInsert(list, { batchSize: 1, transaction: true });
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.equal(err);
+      expect(driver.queries.map(item => item.sql.split(' ')[0])).to.deep.equal([
+        'START', 'INSERT', 'INSERT', 'INSERT', 'ROLLBACK',
+      ]);
+    }
+  }));
+
+  it('postgresql dialect', coroutine.wrap(function* () {
+    const pgDriver = createMemoryDriver({ dialect: 'postgresql' });
+    const pgManager = createManager({
+      connections: [{}],
+      driver: pgDriver,
+      cacheDriver,
+      ttl: 30,
+      prefix: 'PG:',
+    });
+    pgManager.registerModel('User', {
+      table: 'users',
+      primary: 'id',
+      autoIncrement: true,
+      fields: {
+        id: true,
+        name: true,
+        info: 'json',
+      },
+    });
+    const PgUser = pgManager.model('User');
+    expect(pgManager.connection.dialect.name).to.equal('postgresql');
+    // 自增主键通过 RETURNING 获取
+    pgDriver.when(/^INSERT INTO "users" .* RETURNING "id"$/, { affectedRows: 1, insertId: 10 });
+    expect(yield PgUser.insert({ name: 'a', info: { x: 1 }}).exec()).to.include({ insertId: 10 });
+    // pg 驱动将 json 字段解析为对象
+    pgDriver.when(/^SELECT \* FROM "users"/, [{ id: 10, name: 'a', info: { x: 1 }}]);
+    expect(yield PgUser.getByPrimary({ id: 10 })).to.deep.equal({ id: 10, name: 'a', info: { x: 1 }});
+    // 没有 UPDATE ... LIMIT，通过 ctid 子查询限制更新的行数
+    pgDriver.when(/^UPDATE "users" .* WHERE ctid IN \(SELECT ctid FROM "users" WHERE "id"=10 LIMIT 1\)$/, { affectedRows: 1 });
+    expect(yield PgUser.updateByPrimary({ id: 10 }, { name: 'b' })).to.include({ affectedRows: 1 });
+    // 超时后执行 pg_cancel_backend() 终止查询
+    pgDriver.when(/SLEEP/, [], { delay: 1000 });
+    let error = null;
+    try {
+      yield pgManager.connection.query({ sql: 'SELECT pg_sleep(1) AS "SLEEP"', timeout: 20 });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.code).to.equal('QUERY_TIMEOUT');
+    const last = pgDriver.queries[pgDriver.queries.length - 1];
+    expect(last.sql).to.equal(`SELECT pg_cancel_backend(${ pgDriver.queries[3].threadId })`);
+    yield pgManager.close();
+  }));
+
+  it('stickyMaster key scope', coroutine.wrap(function* () {
+    const stickyDriver = createMemoryDriver();
+    const stickyManager = createManager({
+      // MASTER 设置了标签，不参与默认的只读查询
+      connections: [{ tags: [ 'master' ]}, {}],
+      driver: stickyDriver,
+      cacheDriver,
+      ttl: 30,
+      prefix: 'STICKY:',
+      stickyMaster: 1000,
+    });
+    stickyManager.registerModel('User', {
+      table: 'users',
+      primary: 'id',
+      fields: { id: true, name: true },
+    });
+    const StickyUser = stickyManager.model('User');
+    yield StickyUser.updateByPrimary({ id: 1 }, { name: 'a' });
+    stickyDriver.reset();
+    stickyDriver.when(/^SELECT COUNT/, [{ c: 1 }]);
+    // WHERE 条件指定了刚写入的主键时在 MASTER 查询
+    yield StickyUser.find().where({ id: 1 }).exec();
+    yield StickyUser.findOne().where({ id: { $in: [ 1, 2 ]}, name: 'a' }).exec();
+    yield StickyUser.find().where({ name: 'a' }).and({ id: { $eq: 1 }}).exec();
+    yield StickyUser.count().where({ id: [ 2, 1 ]}).exec();
+    // 其他主键、没有指定主键或者包含 OR 时在 SLAVE 查询
+    yield StickyUser.find().where({ id: 2 }).exec();
+    yield StickyUser.find().where({ name: 'a' }).exec();
+    yield StickyUser.find().where({ id: 1 }).or({ name: 'a' }).exec();
+    yield StickyUser.find().where({ id: { $gt: 0 }}).exec();
+    expect(stickyDriver.queries.map(item => item.pool)).to.deep.equal([
+      'MASTER', 'MASTER', 'MASTER', 'MASTER', 'SLAVE0', 'SLAVE0', 'SLAVE0', 'SLAVE0',
+    ]);
+    yield stickyManager.close();
+  }));
+
+  it('unbound shard errors are asynchronous', coroutine.wrap(function* () {
+    {
+      let error = null;
+      const ret = Friend.update({ remark: 'x' }).where({ friend_id: 1 }).exec();
+      expect(ret).to.be.an.instanceof(Promise);
+      try {
+        yield ret;
+      } catch (err) {
+        error = err;
+      }
+      expect(error.code).to.equal('SHARD_NOT_SELECTED');
+    }
+    {
+      const error = yield new Promise(resolve => {
+        Friend.find().where({ friend_id: 1 }).stream().on('error', resolve);
+      });
+      expect(error.code).to.equal('SHARD_NOT_SELECTED');
+    }
+    {
+      // 无法合并的结果也通过回调返回错误
+      const error = yield new Promise(resolve => {
+        Friend.find().fields('remark').groupBy('remark').exec(err => resolve(err));
+      });
+      expect(error.message).to.equal('cannot merge results of GROUP BY or aggregate functions on all shards');
+    }
+    expect(shardDrivers.map(item => item.queries.length)).to.deep.equal([ 0, 0 ]);
+    // 绑定分片后正常执行
+    shardDrivers[1].when(/^UPDATE/, { affectedRows: 1 });
+    expect(yield Friend.shard(1).update({ remark: 'x' }).where({ user_id: 1, friend_id: 1 }).exec()).to.include({ affectedRows: 1 });
+    expect(shardDrivers.map(item => item.queries.length)).to.deep.equal([ 0, 1 ]);
+  }));
+
+});
@@ -0,0 +1,328 @@
+'use strict';
+
+/**
+ * super-orm tests
+ *
+ * @author Zongmin Lei <leizongmin@gmail.com>
+ */
+
+const { EventEmitter } = require('events');
+const expect = require('chai').expect;
+const coroutine = require('lei-coroutine');
+const { createManager, createConnection, createPgDriver, createMemoryCacheDriver } = require('../');
+
+/**
+ * 创建模拟的 pg 模块，handler(config) 返回查询结果或者 Error，
+ * 返回 null 时查询一直等待，直到通过 pg_cancel_backend() 取消
+ *
+ * @param {Function} handler
+ * @return {Object}
+ */
+function createPgStub(handler) {
+  const pg = { queries: [], pools: [], clients: []};
+  // 正在等待取消的查询，格式为 Map<processID, function>
+  const blocked = new Map();
+  let processID = 1000;
+
+  class Client extends EventEmitter {
+    constructor(options) {
+      super();
+      this.options = options;
+      this.processID = null;
+      this.ended = false;
+      pg.clients.push(this);
+    }
+    connect(callback) {
+      processID += 1;
+      this.processID = processID;
+      process.nextTick(() => callback(null));
+    }
+    query(config, callback) {
+      pg.queries.push({ name: config.name, text: config.text, values: config.values, processID: this.processID });
+      const cancel = /^SELECT pg_cancel_backend\((\d+)\)/.exec(config.text);
+      if (cancel) {
+        const fn = blocked.get(Number(cancel[1]));
+        if (fn) fn();
+        process.nextTick(() => callback(null, {
+          command: 'SELECT', rowCount: 1, rows: [{ pg_cancel_backend: !!fn }], fields: [{ name: 'pg_cancel_backend' }],
+        }));
+        return;
+      }
+      const ret = handler(config);
+      if (ret === null) {
+        blocked.set(this.processID, () => {
+          blocked.delete(this.processID);
+          const err = new Error('canceling statement due to user request');
+          err.code = '57014';
+          callback(err);
+        });
+        return;
+      }
+      setTimeout(() => {
+        if (ret instanceof Error) return callback(ret);
+        callback(null, ret);
+      }, 1);
+    }
+    end(callback) {
+      this.ended = true;
+      if (callback) process.nextTick(callback);
+    }
+  }
+
+  class Pool extends EventEmitter {
+    constructor(options) {
+      super();
+      this.options = options;
+      this.ended = false;
+      this._all = [];
+      this._idle = [];
+      this._waiting = [];
+      pg.pools.push(this);
+    }
+    get totalCount() {
+      return this._all.length;
+    }
+    get idleCount() {
+      return this._idle.length;
+    }
+    get waitingCount() {
+      return this._waiting.length;
+    }
+    connect(callback) {
+      const give = client => {
+        callback(null, client, destroy => {
+          if (destroy) {
+            this._all.splice(this._all.indexOf(client), 1);
+          } else if (this._waiting.length > 0) {
+            this._waiting.shift()(client);
+          } else {
+            this._idle.push(client);
+          }
+        });
+      };
+      if (this._idle.length > 0) {
+        const client = this._idle.pop();
+        process.nextTick(() => give(client));
+      } else if (this._all.length < this.options.max) {
+        const client = new Client(this.options);
+        this._all.push(client);
+        client.connect(() => give(client));
+      } else {
+        this._waiting.push(give);
+      }
+    }
+    end(callback) {
+      this.ended = true;
+      process.nextTick(callback);
+    }
+  }
+
+  pg.Pool = Pool;
+  pg.Client = Client;
+  // 与 pg 模块相同，默认不解析 int8 和 numeric
+  pg.types = { getTypeParser: () => v => v };
+  return pg;
+}
+
+/**
+ * 模拟的查询结果
+ *
+ * @param {Object} config
+ * @return {Object}
+ */
+function defaultHandler(config) {
+  if (/^INSERT/.test(config.text)) {
+    return { command: 'INSERT', rowCount: 1, rows: [{ id: 42 }], fields: [{ name: 'id' }]};
+  }
+  if (/^UPDATE/.test(config.text)) {
+    return { command: 'UPDATE', rowCount: 2, rows: [], fields: []};
+  }
+  if (/^(BEGIN|COMMIT|ROLLBACK)/.test(config.text)) {
+    return { command: config.text, rowCount: null, rows: [], fields: []};
+  }
+  if (/COUNT/.test(config.text)) {
+    const parse = config.types.getTypeParser(20, 'text');
+    return { command: 'SELECT', rowCount: 1, rows: [{ c: parse('7') }], fields: [{ name: 'c' }]};
+  }
+  if (/pg_sleep/.test(config.text)) {
+    return null;
+  }
+  if (/syntax/.test(config.text)) {
+    const err = new Error('syntax error');
+    err.code = '42601';
+    return err;
+  }
+  const rows = [ 1, 2, 3, 4, 5 ].map(id => ({ id }));
+  return { command: 'SELECT', rowCount: rows.length, rows, fields: [{ name: 'id' }]};
+}
+
+
+describe('PgDriver', function () {
+
+  it('$n placeholders', coroutine.wrap(function* () {
+
+    const pg = createPgStub(defaultHandler);
+    const conn = createConnection({ connections: [{ host: 'db' }], driver: createPgDriver({ pg }) });
+    expect(conn.dialect.name).to.equal('postgresql');
+    yield conn.query({
+      sql: 'SELECT * FROM "users" WHERE "name"=? AND "note"=\'what?\' AND "?"=1 /* ? */ AND "id" IN (?, ?) -- ?\n',
+      values: [ 'a', 1, 2 ],
+    });
+    // 没有参数时不转换
+    yield conn.query('SELECT \'?\' AS "a"');
+    expect(pg.queries.map(item => [ item.text, item.values ])).to.deep.equal([
+      [ 'SELECT * FROM "users" WHERE "name"=$1 AND "note"=\'what?\' AND "?"=1 /* ? */ AND "id" IN ($2, $3) -- ?\n', [ 'a', 1, 2 ]],
+      [ 'SELECT \'?\' AS "a"', undefined ],
+    ]);
+    yield conn.close();
+
+  }));
+
+  it('rows, insertId & affectedRows', coroutine.wrap(function* () {
+
+    const pg = createPgStub(defaultHandler);
+    const manager = createManager({
+      connections: [{ host: 'db' }],
+      driver: createPgDriver({ pg }),
+      cacheDriver: createMemoryCacheDriver(),
+      ttl: 30,
+      prefix: 'TEST:',
+      prepared: true,
+    });
+    manager.registerModel('User', {
+      table: 'users',
+      primary: 'id',
+      autoIncrement: true,
+      fields: { id: true, name: true },
+    });
+    const User = manager.model('User');
+    // 通过 RETURNING 获取自增主键
+    expect(yield User.insert({ name: 'a' }).exec()).to.deep.equal({
+      affectedRows: 1, changedRows: 1, insertId: 42, rows: [{ id: 42 }],
+    });
+    // 参数化查询使用命名的预处理语句，相同的 SQL 语句使用相同的名称
+    expect(pg.queries[0]).to.include({ text: 'INSERT INTO "users" ("name") VALUES ($1) RETURNING "id"' });
+    expect(pg.queries[0].name).to.match(/^super_orm_[0-9a-f]{40}$/);
+    yield User.insert({ name: 'b' }).exec();
+    expect(pg.queries[1].name).to.equal(pg.queries[0].name);
+    expect(pg.queries[1].values).to.deep.equal([ 'b' ]);
+    expect(yield manager.connection.query('UPDATE "users" SET "name"=\'b\'')).to.deep.equal({
+      affectedRows: 2, changedRows: 2, insertId: 0, rows: [],
+    });
+    expect(yield manager.connection.query('BEGIN')).to.deep.equal({
+      affectedRows: 0, changedRows: 0, insertId: 0, rows: [],
+    });
+    // SELECT 返回行数组，int8 默认解析为 Number
+    expect(yield User.find().exec()).to.deep.equal([ 1, 2, 3, 4, 5 ].map(id => ({ id })));
+    expect(yield User.count().exec()).to.equal(7);
+    {
+      let error = null;
+      try {
+        yield manager.connection.query('SELECT syntax');
+      } catch (err) {
+        error = err;
+      }
+      expect(error.code).to.equal('42601');
+    }
+    yield manager.close();
+
+  }));
+
+  it('pool stats', coroutine.wrap(function* () {
+
+    const pg = createPgStub(defaultHandler);
+    const conn = createConnection({
+      connections: [{ host: 'db', connectionLimit: 2, connectTimeout: 500 }],
+      driver: createPgDriver({ pg }),
+    });
+    let enqueued = 0;
+    conn.on('enqueue', () => {
+      enqueued += 1;
+    });
+    const list = [ yield conn.getMasterConnection(), yield conn.getMasterConnection() ];
+    expect(pg.pools[0].options).to.include({ host: 'db', max: 2, connectionTimeoutMillis: 500 });
+    expect(pg.pools[0].options).to.not.have.property('connectionLimit');
+    const waiting = conn.getMasterConnection();
+    expect(conn.stats().MASTER).to.include({ total: 2, idle: 0, inUse: 2, queued: 1, connectionLimit: 2 });
+    expect(enqueued).to.equal(1);
+    list[0].release();
+    list.push(yield waiting);
+    expect(list[2].threadId).to.equal(list[0].threadId);
+    list[1].release();
+    list[2].release();
+    expect(conn.stats().MASTER).to.include({ total: 2, idle: 2, inUse: 0, queued: 0, acquires: 3 });
+    yield conn.close();
+    expect(pg.pools[0].ended).to.equal(true);
+
+  }));
+
+  it('stream', coroutine.wrap(function* () {
+
+    const pg = createPgStub(defaultHandler);
+    const conn = createConnection({ connections: [{ host: 'db' }], driver: createPgDriver({ pg }) });
+    const stream = conn.stream('SELECT * FROM "users"', { highWaterMark: 1, transform: row => row.id });
+    // 先不读取，使缓冲区满后暂停输出
+    yield coroutine.delay(20);
+    expect(stream.readableLength).to.equal(1);
+    expect(conn.stats().MASTER).to.include({ inUse: 1 });
+    const rows = yield new Promise((resolve, reject) => {
+      const list = [];
+      stream.on('data', id => list.push(id));
+      stream.on('end', () => resolve(list));
+      stream.on('error', reject);
+    });
+    expect(rows).to.deep.equal([ 1, 2, 3, 4, 5 ]);
+    yield coroutine.delay(10);
+    expect(conn.stats().MASTER).to.include({ total: 1, idle: 1 });
+    yield conn.close();
+
+  }));
+
+  it('cancel with pg_cancel_backend()', coroutine.wrap(function* () {
+
+    const pg = createPgStub(defaultHandler);
+    const conn = createConnection({ connections: [{ host: 'db' }], driver: createPgDriver({ pg }) });
+    {
+      let error = null;
+      try {
+        yield conn.query({ sql: 'SELECT pg_sleep(10)', timeout: 20 });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.code).to.equal('QUERY_TIMEOUT');
+    }
+    {
+      const signal = new EventEmitter();
+      signal.aborted = false;
+      setTimeout(() => {
+        signal.aborted = true;
+        signal.emit('abort');
+      }, 20);
+      let error = null;
+      try {
+        yield conn.query({ sql: 'SELECT pg_sleep(10)', signal });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.code).to.equal('QUERY_CANCELLED');
+    }
+    const pid = pg.queries[0].processID;
+    expect(pg.queries.map(item => item.text)).to.deep.equal([
+      'SELECT pg_sleep(10)',
+      `SELECT pg_cancel_backend(${ pid })`,
+      'SELECT pg_sleep(10)',
+      `SELECT pg_cancel_backend(${ pid })`,
+    ]);
+    // 在单独的连接上取消，执行完毕后关闭该连接
+    expect(pg.queries[1].processID).to.not.equal(pid);
+    const sides = pg.clients.filter(client => client.processID === pg.queries[1].processID);
+    expect(sides).to.have.length(1);
+    expect(sides[0].ended).to.equal(true);
+    // 原来的连接可以继续使用
+    expect(yield conn.query('SELECT 1')).to.have.length(5);
+    expect(pg.queries[4].processID).to.equal(pid);
+    yield conn.close();
+
+  }));
+
+});
@@ -7,7 +7,7 @@
  */
 
 const expect = require('chai').expect;
-const { createQueryBuilder } = require('../');
+const { createQueryBuilder, getDialect, utils } = require('../');
 
 
 describe('QueryBuilder', function () {
@@ -277,4 +277,477 @@ describe('QueryBuilder', function () {
     }
   });
 
+  it('prepared', function () {
+    {
+      const query = createQueryBuilder({ table: 'test1', prepared: true });
+      const ret = query.select('name', 'age').where({
+        a: 123,
+      }).and('`b`=:b AND `c` IN (:c)', {
+        b: 'hello',
+        c: [ 1, 2 ],
+      }).limit(10).build();
+      console.log(ret);
+      expect(ret).to.deep.equal({
+        sql: 'SELECT `name`, `age` FROM `test1` WHERE `a`=? AND `b`=? AND `c` IN (?, ?)  LIMIT 10',
+        values: [ 123, 'hello', 1, 2 ],
+      });
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1', prepared: true });
+      const ret = query.update({
+        a: 123,
+      }).set('?? = ?? + ?', [ 'b', 'b', 1 ]).where({
+        b: 777,
+      }).limit(12).build();
+      console.log(ret);
+      expect(ret).to.deep.equal({
+        sql: 'UPDATE `test1` SET `a`=?, `b` = `b` + ? WHERE `b`=? LIMIT 12',
+        values: [ 123, 1, 777 ],
+      });
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1', prepared: true });
+      const data = Buffer.from('hello');
+      const ret = query.insert([{
+        a: 123,
+        b: data,
+      }, {
+        a: 789,
+        b: null,
+      }]).build();
+      console.log(ret);
+      expect(ret).to.deep.equal({
+        sql: 'INSERT INTO `test1` (`a`, `b`) VALUES (?, ?),\n(?, ?)',
+        values: [ 123, data, 789, null ],
+      });
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1', prepared: true });
+      const ret = query.delete().where('`a`=?', [ 2 ]).limit(1).build();
+      console.log(ret);
+      expect(ret).to.deep.equal({
+        sql: 'DELETE FROM `test1` WHERE `a`=? LIMIT 1',
+        values: [ 2 ],
+      });
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1', prepared: true });
+      const ret = query.sql('SELECT * FROM :$table WHERE `a`=? :$limit', [ 2 ]).limit(1).build();
+      console.log(ret);
+      expect(ret).to.deep.equal({
+        sql: 'SELECT * FROM `test1` WHERE `a`=? LIMIT 1',
+        values: [ 2 ],
+      });
+    }
+  });
+
+  it('on', function () {
+    {
+      const query = createQueryBuilder({
+        table: 'test1',
+        exec(sql) {
+          return sql;
+        },
+      });
+      const ret = query.select('name').where({ a: 1 }).on('analytics').exec();
+      console.log(ret);
+      expect(ret).to.deep.equal({
+        sql: 'SELECT `name` FROM `test1` WHERE `a`=1',
+        tag: 'analytics',
+      });
+    }
+    {
+      const query = createQueryBuilder({
+        table: 'test1',
+        prepared: true,
+        exec(sql) {
+          return sql;
+        },
+      });
+      const ret = query.select('name').where({ a: 1 }).on('analytics').exec();
+      console.log(ret);
+      expect(ret).to.deep.equal({
+        sql: 'SELECT `name` FROM `test1` WHERE `a`=?',
+        values: [ 1 ],
+        tag: 'analytics',
+      });
+    }
+  });
+
+  it('useMaster & useSlave', function () {
+    const query = createQueryBuilder({
+      table: 'test1',
+      exec(sql) {
+        return sql;
+      },
+    });
+    expect(query.select('name').where({ a: 1 }).useMaster().exec()).to.deep.equal({
+      sql: 'SELECT `name` FROM `test1` WHERE `a`=1',
+      master: true,
+    });
+    const query2 = createQueryBuilder({
+      table: 'test1',
+      exec(sql) {
+        return sql;
+      },
+    });
+    expect(query2.sql('CALL get_users()').useSlave().exec()).to.deep.equal({
+      sql: 'CALL get_users()',
+      master: false,
+    });
+  });
+
+  it('timeout & signal', function () {
+    const query = createQueryBuilder({
+      table: 'test1',
+      exec(sql) {
+        return sql;
+      },
+    });
+    const signal = { aborted: false };
+    const ret = query.select('name').where({ a: 1 }).timeout(5000).signal(signal).exec();
+    console.log(ret);
+    expect(ret).to.deep.equal({
+      sql: 'SELECT `name` FROM `test1` WHERE `a`=1',
+      timeout: 5000,
+      signal,
+    });
+    expect(() => query.timeout(-1)).to.throw('timeout must >= 0');
+  });
+
+  it('where operators', function () {
+    {
+      const query = createQueryBuilder({ table: 'test1' });
+      const sql = query.select('*').where({
+        age: { $gte: 18, $lt: 65 },
+        status: { $in: [ 'a', 'b' ]},
+        deleted_at: null,
+        $or: [{ a: 1 }, { b: 2, c: { $ne: null }}],
+        name: { $like: 'foo%' },
+      }).build();
+      console.log(sql);
+      expect(sql).to.equal('SELECT * FROM `test1` WHERE `age`>=18 AND `age`<65 AND `status` IN (\'a\', \'b\') ' +
+        'AND `deleted_at` IS NULL AND (`a`=1 OR (`b`=2 AND `c` IS NOT NULL)) AND `name` LIKE \'foo%\'');
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1' });
+      const sql = query.select('*').where({
+        a: { $in: []},
+        b: { $nin: []},
+        c: [ 1, 2 ],
+        d: { $ne: 'x\'', $notLike: '%y' },
+        e: { $between: [ 1, 10 ]},
+        $or: [],
+      }).and({ $and: [{ f: 1 }, { g: { $gt: 2 }}]}).build();
+      console.log(sql);
+      expect(sql).to.equal('SELECT * FROM `test1` WHERE 1=0 AND 1=1 AND `c` IN (1, 2) ' +
+        'AND `d`<>\'x\\\'\' AND `d` NOT LIKE \'%y\' AND `e` BETWEEN 1 AND 10 AND 1=0 AND (`f`=1 AND `g`>2)');
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1', prepared: true });
+      const ret = query.delete().where({
+        a: { $in: [ 1, 2 ], $ne: 3 },
+        $or: [{ b: 'x' }, { c: { $between: [ 4, 5 ]}}],
+      }).build();
+      console.log(ret);
+      expect(ret).to.deep.equal({
+        sql: 'DELETE FROM `test1` WHERE `a` IN (?, ?) AND `a`<>? AND (`b`=? OR `c` BETWEEN ? AND ?)',
+        values: [ 1, 2, 3, 'x', 4, 5 ],
+      });
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1' });
+      expect(() => query.where({ a: { $foo: 1 }})).to.throw(/unknown operator "\$foo"/);
+      expect(() => query.where({ a: { $gt: 1, b: 2 }})).to.throw(/cannot mix operators/);
+      expect(() => query.where({ a: { $in: 1 }})).to.throw(/must be an array/);
+      expect(() => query.where({ a: { $gt: null }})).to.throw(/cannot be null/);
+      expect(() => query.where({ a: {}})).to.throw(/must provide at least one operator for field "a"/);
+      expect(() => query.where({ $or: [{ a: 1 }, { b: {}}]})).to.throw(/must provide at least one operator for field "b"/);
+    }
+  });
+
+  it('or & condition groups', function () {
+    {
+      const query = createQueryBuilder({ table: 'test1' });
+      const sql = query.select('*').where({ a: 1 }).and({ b: 2 }).or({ c: 3, d: 4 }).orWhere('`e`=? OR `f`=?', [ 5, 6 ]).build();
+      console.log(sql);
+      expect(sql).to.equal('SELECT * FROM `test1` WHERE `a`=1 AND `b`=2 OR (`c`=3 AND `d`=4) OR (`e`=5 OR `f`=6)');
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1' });
+      const sql = query.select('*').where({ a: 1 }).and(q => q.where({ b: 2 }).or(q2 => q2.where('`c`=3').and({ d: 4 })))
+                  .and(q => q.whereNull('e')).and(() => {}).build();
+      console.log(sql);
+      expect(sql).to.equal('SELECT * FROM `test1` WHERE `a`=1 AND (`b`=2 OR (`c`=3 AND `d`=4)) AND (`e` IS NULL)');
+    }
+    {
+      // 只有一个原始条件的组也要加上括号
+      const query = createQueryBuilder({ table: 'test1' });
+      const sql = query.select('*').where({ x: 1 }).and(q => q.where('a=1 OR b=2')).build();
+      console.log(sql);
+      expect(sql).to.equal('SELECT * FROM `test1` WHERE `x`=1 AND (a=1 OR b=2)');
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1' });
+      const sql = query.select('*').where({ x: 1 }).or(q => q.where('a=1 OR b=2')).and({ y: 2 }).build();
+      console.log(sql);
+      expect(sql).to.equal('SELECT * FROM `test1` WHERE `x`=1 OR (a=1 OR b=2) AND `y`=2');
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1' });
+      const sql = query.select('*').whereIn('a', [ 1, 2 ]).whereNotIn('b', [ 'x' ]).whereNull('c')
+                  .whereNotNull('d').whereBetween('e', [ 1, 10 ]).whereIn('f', []).limit(10).build();
+      console.log(sql);
+      expect(sql).to.equal('SELECT * FROM `test1` WHERE `a` IN (1, 2) AND `b` NOT IN (\'x\') AND `c` IS NULL ' +
+        'AND `d` IS NOT NULL AND `e` BETWEEN 1 AND 10 AND 1=0  LIMIT 10');
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1', prepared: true });
+      const ret = query.update({ a: 1 }).where(q => q.where({ b: 2 }).or('`c`=?', [ 3 ])).and({ d: 4 }).limit(1).build();
+      console.log(ret);
+      expect(ret).to.deep.equal({
+        sql: 'UPDATE `test1` SET `a`=? WHERE (`b`=? OR (`c`=?)) AND `d`=? LIMIT 1',
+        values: [ 1, 2, 3, 4 ],
+      });
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1' });
+      const sql = query.count('c').whereBetween('a', [ 1, 10 ]).orWhere({ b: 'x' }).build();
+      console.log(sql);
+      expect(sql).to.equal('SELECT COUNT(*) AS `c` FROM `test1` WHERE `a` BETWEEN 1 AND 10 OR `b`=\'x\'');
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1' });
+      const sql = query.delete().whereNull('a').or({ b: { $like: '%x%' }}).build();
+      console.log(sql);
+      expect(sql).to.equal('DELETE FROM `test1` WHERE `a` IS NULL OR `b` LIKE \'%x%\'');
+    }
+  });
+
+  it('join', function () {
+    {
+      const query = createQueryBuilder({ table: 'users' });
+      const sql = query.select('u.id', 'u.name', 'o.total AS total').as('u')
+                  .join('orders', { 'o.user_id': 'u.id' }, 'o')
+                  .leftJoin('profiles', '`p`.`user_id`=`u`.`id` AND `p`.`deleted`=0', 'p')
+                  .where({ 'u.status': 1, 'o.total': { $gt: 100 }}).order('`o`.`total` DESC').limit(10).build();
+      console.log(sql);
+      expect(sql).to.equal('SELECT `u`.`id`, `u`.`name`, `o`.`total` AS `total` FROM `users` AS `u` ' +
+        'INNER JOIN `orders` AS `o` ON `o`.`user_id`=`u`.`id` ' +
+        'LEFT JOIN `profiles` AS `p` ON `p`.`user_id`=`u`.`id` AND `p`.`deleted`=0 ' +
+        'WHERE `u`.`status`=1 AND `o`.`total`>100 ORDER BY `o`.`total` DESC LIMIT 10');
+    }
+    {
+      const query = createQueryBuilder({ table: 'users', dialect: 'postgresql', prepared: true });
+      const ret = query.select('users.*', 'orders.id AS order_id')
+                  .rightJoin('orders', { 'orders.user_id': 'users.id', 'orders.shop_id': 'users.shop_id' })
+                  .where({ 'orders.status': 'paid' }).build();
+      console.log(ret);
+      expect(ret).to.deep.equal({
+        sql: 'SELECT "users".*, "orders"."id" AS "order_id" FROM "users" ' +
+          'RIGHT JOIN "orders" ON "orders"."user_id"="users"."id" AND "orders"."shop_id"="users"."shop_id" ' +
+          'WHERE "orders"."status"=?',
+        values: [ 'paid' ],
+      });
+    }
+    {
+      const query = createQueryBuilder({ table: 'users' });
+      expect(() => query.join('orders', {})).to.throw(/cannot be empty/);
+      expect(() => query.update({ a: 1 }).join('orders', 'a=b').build()).to.throw(/only supported in SELECT/);
+    }
+  });
+
+  it('groupBy & having & aggregate', function () {
+    {
+      const query = createQueryBuilder({ table: 'orders' });
+      const sql = query.select('*').sum('total', 'revenue').countDistinct('user_id', 'users').groupBy('shop_id')
+                  .where({ status: 'paid' }).having('`revenue`>?', [ 100 ]).orHaving({ users: { $gte: 10 }})
+                  .order('`revenue` DESC').limit(10).build();
+      console.log(sql);
+      expect(sql).to.equal('SELECT `shop_id`, SUM(`total`) AS `revenue`, COUNT(DISTINCT `user_id`) AS `users` FROM `orders` ' +
+        'WHERE `status`=\'paid\' GROUP BY `shop_id` HAVING (`revenue`>100) OR `users`>=10 ORDER BY `revenue` DESC LIMIT 10');
+    }
+    {
+      const query = createQueryBuilder({ table: 'orders', prepared: true });
+      const ret = query.select('o.shop_id', 'o.day').as('o').avg('o.total').min('total', 'min_total').max('total', 'max_total')
+                  .where({ 'o.status': 'paid' }).groupBy('o.shop_id', 'o.day').having({ total: { $gt: 5 }}).build();
+      console.log(ret);
+      expect(ret).to.deep.equal({
+        sql: 'SELECT `o`.`shop_id`, `o`.`day`, AVG(`o`.`total`) AS `total`, MIN(`total`) AS `min_total`, ' +
+          'MAX(`total`) AS `max_total` FROM `orders` AS `o` WHERE `o`.`status`=? GROUP BY `o`.`shop_id`, `o`.`day` HAVING `total`>?',
+        values: [ 'paid', 5 ],
+      });
+    }
+    {
+      const query = createQueryBuilder({ table: 'orders' });
+      const sql = query.select('*').sum('total').build();
+      console.log(sql);
+      expect(sql).to.equal('SELECT SUM(`total`) AS `total` FROM `orders`');
+    }
+  });
+
+  it('subquery', function () {
+    {
+      const sub = createQueryBuilder({ table: 'orders' }).select('user_id').where({ total: { $gt: 100 }});
+      const exists = createQueryBuilder({ table: 'logins' }).select('id').where('`logins`.`user_id`=`users`.`id`');
+      const query = createQueryBuilder({ table: 'users' });
+      const sql = query.select('*').where({ id: { $in: sub }, level: { $gte: createQueryBuilder({ table: 'levels' }).select('min').limit(1) }})
+                  .whereExists(exists).whereNotIn('id', createQueryBuilder({ table: 'blocked' }).select('user_id')).build();
+      console.log(sql);
+      expect(sql).to.equal('SELECT * FROM `users` WHERE `id` IN (SELECT `user_id` FROM `orders` WHERE `total`>100) ' +
+        'AND `level`>=(SELECT `min` FROM `levels`   LIMIT 1) ' +
+        'AND EXISTS (SELECT `id` FROM `logins` WHERE `logins`.`user_id`=`users`.`id`) ' +
+        'AND `id` NOT IN (SELECT `user_id` FROM `blocked`)');
+    }
+    {
+      const count = createQueryBuilder({ table: 'orders', prepared: true }).as('o').count('c').where('`o`.`user_id`=`u`.`id`').and({ status: 'paid' });
+      const derived = createQueryBuilder({ table: 'users', prepared: true }).select('id', 'name').where({ level: 3 });
+      const query = createQueryBuilder({ table: 'users', prepared: true });
+      const ret = query.select('u.id', { orders: count }).from(derived, 'u').where({ 'u.name': { $like: 'a%' }})
+                  .and({ $notExists: createQueryBuilder({ table: 'blocked', prepared: true }).select('id').where({ reason: 'spam' }) })
+                  .limit(10).build();
+      console.log(ret);
+      expect(ret).to.deep.equal({
+        sql: 'SELECT `u`.`id`, (SELECT COUNT(*) AS `c` FROM `orders` AS `o` WHERE `o`.`user_id`=`u`.`id` AND `status`=?) AS `orders` ' +
+          'FROM (SELECT `id`, `name` FROM `users` WHERE `level`=?) AS `u` WHERE `u`.`name` LIKE ? ' +
+          'AND NOT EXISTS (SELECT `id` FROM `blocked` WHERE `reason`=?)  LIMIT 10',
+        values: [ 'paid', 3, 'a%', 'spam' ],
+      });
+    }
+    {
+      const sub = createQueryBuilder({ table: 'orders', prepared: true }).select('user_id').where({ total: 1 });
+      const sql = createQueryBuilder({ table: 'users' }).select('*').whereIn('id', sub).build();
+      console.log(sql);
+      expect(sql).to.equal('SELECT * FROM `users` WHERE `id` IN (SELECT `user_id` FROM `orders` WHERE `total`=1)');
+      const max = createQueryBuilder({ table: 'users' }).select('*').max('id');
+      const count = createQueryBuilder({ table: 'users' }).count('c').where('`info` IS NOT NULL').limit(1);
+      const sql2 = createQueryBuilder({ table: 'users' }).delete().where({ id: { $lt: max }}).and({ $exists: count }).build();
+      console.log(sql2);
+      expect(sql2).to.equal('DELETE FROM `users` WHERE `id`<(SELECT MAX(`id`) AS `id` FROM `users`) ' +
+        'AND EXISTS (SELECT COUNT(*) AS `c` FROM `users` WHERE `info` IS NOT NULL  LIMIT 1)');
+      const query = createQueryBuilder({ table: 'users' });
+      expect(() => query.where({ id: { $like: sub }})).to.throw(/does not support subquery/);
+      expect(() => query.where({ $exists: 'SELECT 1' })).to.throw(/must be a QueryBuilder/);
+      expect(() => query.from(createQueryBuilder({ table: 'a', dialect: 'postgresql' }).select('*'), 't')).to.throw(/dialect of subquery/);
+    }
+  });
+
+  it('insert rows with different fields', function () {
+    {
+      const query = createQueryBuilder({ table: 'test1' });
+      const sql = query.insert([{ a: 1 }, { b: 2 }, { a: 3, c: null }]).build();
+      console.log(sql);
+      expect(sql).to.equal('INSERT INTO `test1` (`a`, `b`, `c`) VALUES (1, DEFAULT, DEFAULT),\n(DEFAULT, 2, DEFAULT),\n(3, DEFAULT, NULL)');
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1', dialect: 'postgresql', prepared: true });
+      const ret = query.insert([{ a: 1 }, { b: 2 }]).build();
+      console.log(ret);
+      expect(ret).to.deep.equal({
+        sql: 'INSERT INTO "test1" ("a", "b") VALUES (?, DEFAULT),\n(DEFAULT, ?)',
+        values: [ 1, 2 ],
+      });
+    }
+  });
+
+  it('upsert & insertIgnore & replace', function () {
+    {
+      const query = createQueryBuilder({ table: 'test1', primaryKey: 'id' });
+      const sql = query.insert({ id: 1, name: 'a', total: 10 }).onDuplicate().build();
+      console.log(sql);
+      expect(sql).to.equal('INSERT INTO `test1` (`id`, `name`, `total`) VALUES (1, \'a\', 10) ' +
+        'ON DUPLICATE KEY UPDATE `name`=VALUES(`name`), `total`=VALUES(`total`)');
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1', prepared: true });
+      const ret = query.insert([{ id: 1, total: 10 }, { id: 2, total: 20 }])
+                  .onDuplicate({ total: { $values: 'total' }, count: { $inc: 1 }, name: 'x' }).build();
+      console.log(ret);
+      expect(ret).to.deep.equal({
+        sql: 'INSERT INTO `test1` (`id`, `total`) VALUES (?, ?),\n(?, ?) ' +
+          'ON DUPLICATE KEY UPDATE `total`=VALUES(`total`), `count`=`test1`.`count`+?, `name`=?',
+        values: [ 1, 10, 2, 20, 1, 'x' ],
+      });
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1', primaryKey: 'id' });
+      expect(query.insert({ id: 1 }).onDuplicate().build()).to.equal('INSERT INTO `test1` (`id`) VALUES (1) ON DUPLICATE KEY UPDATE `id`=`id`');
+      expect(createQueryBuilder({ table: 'test1' }).insert({ a: 1 }).onDuplicate('`b`=`b`+1').build())
+        .to.equal('INSERT INTO `test1` (`a`) VALUES (1) ON DUPLICATE KEY UPDATE `b`=`b`+1');
+      expect(createQueryBuilder({ table: 'test1' }).insertIgnore({ a: 1 }).build()).to.equal('INSERT IGNORE INTO `test1` (`a`) VALUES (1)');
+      expect(createQueryBuilder({ table: 'test1' }).replace({ a: 1 }).build()).to.equal('REPLACE INTO `test1` (`a`) VALUES (1)');
+      expect(() => createQueryBuilder({ table: 'test1' }).insertIgnore({ a: 1 }).onDuplicate()).to.throw(/cannot use onDuplicate/);
+      expect(() => createQueryBuilder({ table: 'test1' }).insert({ a: 1 }).onDuplicate({ a: { $foo: 1 }}).build()).to.throw(/unknown operator/);
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1', dialect: 'postgresql', primaryKey: 'id' });
+      const sql = query.insert({ id: 1, email: 'a@b', name: 'a' }).onConflict('email')
+                  .onDuplicate({ name: { $values: 'name' }, count: { $inc: 1 }}).returning('id').build();
+      console.log(sql);
+      expect(sql).to.equal('INSERT INTO "test1" ("id", "email", "name") VALUES (1, \'a@b\', \'a\') ' +
+        'ON CONFLICT ("email") DO UPDATE SET "name"=EXCLUDED."name", "count"="test1"."count"+1 RETURNING "id"');
+      expect(createQueryBuilder({ table: 'test1', dialect: 'postgresql', primaryKey: 'id' }).insert({ id: 1, a: 2 }).onDuplicate().build())
+        .to.equal('INSERT INTO "test1" ("id", "a") VALUES (1, 2) ON CONFLICT ("id") DO UPDATE SET "a"=EXCLUDED."a"');
+      expect(createQueryBuilder({ table: 'test1', dialect: 'postgresql' }).insertIgnore({ a: 1 }).build())
+        .to.equal('INSERT INTO "test1" ("a") VALUES (1) ON CONFLICT DO NOTHING');
+      expect(() => createQueryBuilder({ table: 'test1', dialect: 'postgresql' }).replace({ a: 1 })).to.throw(/does not support REPLACE/);
+    }
+  });
+
+  it('postgresql dialect', function () {
+    {
+      const query = createQueryBuilder({ table: 'test1', dialect: 'postgresql' });
+      const sql = query.select('name', 'age').where({
+        a: 'it\'s',
+        b: true,
+      }).and('"c" IN (?)', [[ 1, 2 ]]).skip(10).limit(20).order('"a" DESC').build();
+      console.log(sql);
+      expect(sql).to.equal('SELECT "name", "age" FROM "test1" WHERE "a"=\'it\'\'s\' AND "b"=TRUE AND "c" IN (1, 2) ORDER BY "a" DESC LIMIT 20 OFFSET 10');
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1', dialect: 'postgresql' });
+      const sql = query.select('name').skip(10).build();
+      console.log(sql);
+      expect(sql).to.equal('SELECT "name" FROM "test1"   OFFSET 10');
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1', dialect: 'postgresql' });
+      const sql = query.update({ a: 1 }).where({ b: 2 }).limit(1).returning('id').build();
+      console.log(sql);
+      expect(sql).to.equal('UPDATE "test1" SET "a"=1 WHERE ctid IN (SELECT ctid FROM "test1" WHERE "b"=2 LIMIT 1) RETURNING "id"');
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1', dialect: 'postgresql' });
+      const sql = query.delete().where({ b: 2 }).returning().build();
+      console.log(sql);
+      expect(sql).to.equal('DELETE FROM "test1" WHERE "b"=2 RETURNING *');
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1', dialect: 'postgresql', prepared: true });
+      const ret = query.insert({ a: 1, b: Buffer.from('hi') }).returning('id').build();
+      console.log(ret);
+      expect(ret).to.deep.equal({
+        sql: 'INSERT INTO "test1" ("a", "b") VALUES (?, ?) RETURNING "id"',
+        values: [ 1, Buffer.from('hi') ],
+      });
+      expect(utils.sqlNumberPlaceholders('SELECT \'?\', "a?" FROM "t" WHERE "a"=? AND "b"=? -- ?')).to.equal('SELECT \'?\', "a?" FROM "t" WHERE "a"=$1 AND "b"=$2 -- ?');
+    }
+    {
+      const query = createQueryBuilder({ table: 'test1', dialect: 'postgresql' });
+      const sql = query.insert({ a: 1, b: Buffer.from('hi') }).build();
+      expect(sql).to.equal('INSERT INTO "test1" ("a", "b") VALUES (1, \'\\x6869\')');
+      expect(() => createQueryBuilder({ table: 'test1' }).delete().returning()).to.throw('dialect "mysql" does not support RETURNING');
+    }
+    {
+      const pg = getDialect('postgresql');
+      const mysql = getDialect('mysql');
+      expect(pg.upsert([ 'id' ], `"a"=${ pg.insertedValue('a') }`)).to.equal('ON CONFLICT ("id") DO UPDATE SET "a"=EXCLUDED."a"');
+      expect(pg.upsert([], '')).to.equal('ON CONFLICT DO NOTHING');
+      expect(mysql.upsert([ 'id' ], `\`a\`=${ mysql.insertedValue('a') }`)).to.equal('ON DUPLICATE KEY UPDATE `a`=VALUES(`a`)');
+      expect(pg.format('SELECT ?? FROM "t" WHERE "a"=?', [ 'x.y', null ])).to.equal('SELECT "x"."y" FROM "t" WHERE "a"=NULL');
+      expect(pg.killQuery(123)).to.equal('SELECT pg_cancel_backend(123)');
+      expect(mysql.killQuery(123)).to.equal('KILL QUERY 123');
+    }
+  });
+
 });
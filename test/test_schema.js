@@ -194,6 +194,11 @@ describe('Schema', function () {
     })).to.deep.equal({
       info: {},
     });
+    expect(schema.formatOutput({
+      info: { a: 1 },
+    })).to.deep.equal({
+      info: { a: 1 },
+    });
     expect(function () {
       schema.formatOutput({
         info: 123,
@@ -206,6 +211,15 @@ describe('Schema', function () {
     }).to.throw('jsonOutputFormatter: fail to parse JSON');
   });
 
+  it('formatOutputField & hasField', function () {
+    expect(schema.formatOutputField('info', '{"a":1}')).to.deep.equal({ a: 1 });
+    expect(schema.formatOutputField('is_disabled', 1)).to.equal(true);
+    expect(schema.formatOutputField('unknown', '{}')).to.equal('{}');
+    expect(schema.hasField('name')).to.equal(true);
+    expect(schema.hasField('unknown')).to.equal(false);
+    expect(schema.hasField('toString')).to.equal(false);
+  });
+
   it('not support type', function () {
     expect(function () {
       createSchema({
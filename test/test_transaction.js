@@ -0,0 +1,184 @@
+'use strict';
+
+/**
+ * super-orm tests
+ *
+ * @author Zongmin Lei <leizongmin@gmail.com>
+ */
+
+const expect = require('chai').expect;
+const coroutine = require('lei-coroutine');
+const { createManager } = require('../');
+const { getConnectionConfig, getCacheConfig, readTestFile } = require('./utils');
+const { randomString } = require('lei-utils');
+
+
+describe('Transaction', function () {
+
+  const prefix = randomString(10) + ':';
+  const manager = createManager(getCacheConfig({
+    connections: [ getConnectionConfig() ],
+    prefix,
+  }));
+  manager.registerModel('User', {
+    table: 'users',
+    primary: 'id',
+    autoIncrement: true,
+    fields: {
+      id: true,
+      name: true,
+      email: true,
+      info: 'json',
+      created_at: 'date',
+      score: true,
+    },
+  });
+
+  before(coroutine.wrap(function* () {
+    const sql = yield readTestFile('users.sql');
+    yield manager.connection.query('DROP TABLE IF EXISTS `users`');
+    yield manager.connection.query(sql);
+    yield manager.model('User').insert({
+      name: '张三',
+      email: 'zhangsan@ucdok.com',
+      info: {},
+      created_at: new Date(),
+      score: 0,
+    }).exec();
+  }));
+
+  after(coroutine.wrap(function* () {
+    yield manager.close();
+  }));
+
+  it('commit', coroutine.wrap(function* () {
+    {
+      const ret = yield manager.transaction(coroutine.wrap(function* (tx) {
+        const User = tx.model('User');
+        const data = yield User.insert({
+          name: '李四',
+          email: 'lisi@ucdok.com',
+          info: {},
+          created_at: new Date(),
+          score: 0,
+        }).exec();
+        yield User.updateByPrimary({ id: data.insertId }, { score: 10 });
+        return data.insertId;
+      }));
+      console.log(ret);
+      expect(ret).to.equal(2);
+    }
+    {
+      const ret = yield manager.model('User').getByPrimary({ id: 2 });
+      console.log(ret);
+      expect(ret).to.include({ name: '李四', score: 10 });
+    }
+  }));
+
+  it('rollback', coroutine.wrap(function* () {
+    {
+      // 先写入缓存
+      const ret = yield manager.model('User').getByPrimary({ id: 1 });
+      expect(ret).to.include({ score: 0 });
+    }
+    {
+      let error = null;
+      try {
+        yield manager.transaction(coroutine.wrap(function* (tx) {
+          const User = tx.model('User');
+          yield User.updateByPrimary({ id: 1 }, { score: 100 });
+          const ret = yield User.getByPrimary({ id: 1 });
+          expect(ret).to.include({ score: 100 });
+          throw new Error('test rollback');
+        }));
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.be.an.instanceof(Error);
+      expect(error.message).to.equal('test rollback');
+    }
+    {
+      // 回滚后缓存不受影响
+      const list = yield manager.model('User').getCache({ id: 1 });
+      expect(list[0]).to.include({ score: 0 });
+      const ret = yield manager.model('User').findOne().where({ id: 1 }).exec();
+      expect(ret).to.include({ score: 0 });
+    }
+  }));
+
+  it('connection.transaction()', coroutine.wrap(function* () {
+    const User = manager.model('User');
+    yield manager.connection.transaction(tx => {
+      return tx.bind(User).updateByPrimary({ id: 1 }, { score: 50 });
+    });
+    const ret = yield User.getByPrimary({ id: 1 });
+    expect(ret).to.include({ score: 50 });
+  }));
+
+  it('nested transaction', coroutine.wrap(function* () {
+    {
+      const ret = yield manager.transaction(coroutine.wrap(function* (tx) {
+        yield tx.model('User').updateByPrimary({ id: 1 }, { score: 60 });
+        // 嵌套事务成功
+        yield tx.transaction(coroutine.wrap(function* (tx2) {
+          yield tx2.model('User').updateByPrimary({ id: 2 }, { score: 60 });
+        }));
+        // 嵌套事务失败，仅回滚到 SAVEPOINT
+        let error = null;
+        try {
+          yield tx.transaction(coroutine.wrap(function* (tx2) {
+            yield tx2.model('User').updateByPrimary({ id: 1 }, { score: 70 });
+            throw new Error('test nested rollback');
+          }));
+        } catch (err) {
+          error = err;
+        }
+        expect(error.message).to.equal('test nested rollback');
+        return yield tx.model('User').getByPrimary({ id: 1 });
+      }));
+      console.log(ret);
+      expect(ret).to.include({ score: 60 });
+    }
+    {
+      const list = yield manager.model('User').find().where('`id` IN (1, 2)').exec();
+      console.log(list);
+      expect(list.map(item => item.score)).to.deep.equal([ 60, 60 ]);
+    }
+  }));
+
+  it('retry on deadlock', coroutine.wrap(function* () {
+    let counter = 0;
+    {
+      const ret = yield manager.transaction({ retries: 2, retryDelay: 10 }, coroutine.wrap(function* (tx) {
+        counter += 1;
+        yield tx.model('User').updateByPrimary({ id: 1 }, { score: counter });
+        if (counter < 3) {
+          const err = new Error('Deadlock found when trying to get lock');
+          err.code = 'ER_LOCK_DEADLOCK';
+          throw err;
+        }
+        return counter;
+      }));
+      expect(ret).to.equal(3);
+    }
+    {
+      const ret = yield manager.model('User').getByPrimary({ id: 1 });
+      expect(ret).to.include({ score: 3 });
+    }
+    {
+      counter = 0;
+      let error = null;
+      try {
+        yield manager.transaction({ retries: 2, retryDelay: 10 }, () => {
+          counter += 1;
+          throw new Error('not a deadlock');
+        });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal('not a deadlock');
+      expect(counter).to.equal(1);
+    }
+  }));
+
+});
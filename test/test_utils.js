@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * super-orm tests
+ *
+ * @author Zongmin Lei <leizongmin@gmail.com>
+ */
+
+const expect = require('chai').expect;
+const { utils } = require('../');
+
+
+describe('utils', function () {
+
+  it('classifySQL', function () {
+    const read = [
+      'SELECT 1',
+      'select * from `users`',
+      '  \n\tSELECT 1',
+      '/* comment */ SELECT 1',
+      '-- comment\nSELECT 1',
+      '# comment\nSELECT 1',
+      'WITH `a` AS (SELECT 1) SELECT * FROM `a`',
+      'WITH RECURSIVE `a` (`n`) AS (SELECT 1 UNION ALL SELECT `n` + 1 FROM `a` WHERE `n` < 5) SELECT * FROM `a`',
+      'SHOW TABLES',
+      'EXPLAIN SELECT * FROM `users`',
+      'DESC `users`',
+      '(SELECT 1) UNION (SELECT 2)',
+      'SELECT \'FOR UPDATE\', "GET_LOCK(" FROM `users`',
+      'SELECT `update` FROM `users` WHERE `name`=\'it\'\'s\'',
+      'SELECT 1; SELECT 2;',
+      { sql: 'select * from `users` where `id`=?', values: [ 1 ]},
+    ];
+    const write = [
+      '',
+      'UPDATE `users` SET `score`=1',
+      'INSERT INTO `users` (`name`) VALUES (\'a\')',
+      'WITH `a` AS (SELECT 1) DELETE FROM `users` WHERE `id` IN (SELECT * FROM `a`)',
+      'WITH a AS (DELETE FROM t RETURNING *) SELECT * FROM a',
+      'WITH "a" AS (INSERT INTO "t" ("x") VALUES (1) RETURNING "id") SELECT * FROM "a"',
+      'WITH "a" AS (SELECT 1), "b" AS (UPDATE "t" SET "x"=1 RETURNING *) SELECT * FROM "a", "b"',
+      'EXPLAIN ANALYZE DELETE FROM `users`',
+      'SELECT * FROM `users` WHERE `id`=1 FOR UPDATE',
+      'select * from `users` lock in share mode',
+      'SELECT GET_LOCK(\'a\', 10)',
+      'SELECT `id` INTO @id FROM `users` LIMIT 1',
+      'SELECT 1; UPDATE `users` SET `score`=1',
+      '/*!40101 SET NAMES utf8mb4 */',
+      'CALL get_users()',
+      'SELECT * FROM "users" WHERE "id"=1 FOR NO KEY UPDATE',
+      'SELECT * FROM "users" FOR KEY SHARE',
+      'SELECT pg_advisory_lock(1)',
+      'SELECT nextval(\'users_id_seq\')',
+    ];
+    for (const sql of read) {
+      expect(utils.classifySQL(sql)).to.equal('read', JSON.stringify(sql));
+      expect(utils.isUpdateSQL(sql)).to.equal(false);
+    }
+    for (const sql of write) {
+      expect(utils.classifySQL(sql)).to.equal('write', JSON.stringify(sql));
+      expect(utils.isUpdateSQL(sql)).to.equal(true);
+    }
+  });
+
+  it('isMasterQuery', function () {
+    expect(utils.isMasterQuery('SELECT 1')).to.equal(false);
+    expect(utils.isMasterQuery('SELECT 1', true)).to.equal(true);
+    expect(utils.isMasterQuery('UPDATE `users` SET `score`=1')).to.equal(true);
+    expect(utils.isMasterQuery({ sql: 'SELECT 1', master: true })).to.equal(true);
+    expect(utils.isMasterQuery({ sql: 'CALL get_users()', master: false })).to.equal(false);
+    expect(utils.isMasterQuery({ sql: 'SELECT 1', master: false }, true)).to.equal(false);
+  });
+
+  it('sqlNumberPlaceholders', function () {
+    expect(utils.sqlNumberPlaceholders('SELECT * FROM "a" WHERE "b"=? AND "c" IN (?, ?)'))
+      .to.equal('SELECT * FROM "a" WHERE "b"=$1 AND "c" IN ($2, $3)');
+    // 忽略字符串、带引号的名称及注释中的 ?
+    expect(utils.sqlNumberPlaceholders('SELECT \'?\', \'it\'\'s ?\', "?" FROM "a" WHERE "b"=?'))
+      .to.equal('SELECT \'?\', \'it\'\'s ?\', "?" FROM "a" WHERE "b"=$1');
+    expect(utils.sqlNumberPlaceholders('SELECT ? -- ?\n, /* ? */ ?'))
+      .to.equal('SELECT $1 -- ?\n, /* ? */ $2');
+    // 没有结束的字符串及注释
+    expect(utils.sqlNumberPlaceholders('SELECT ?, \'?')).to.equal('SELECT $1, \'?');
+    expect(utils.sqlNumberPlaceholders('SELECT ? /* ?')).to.equal('SELECT $1 /* ?');
+    expect(utils.sqlNumberPlaceholders('SELECT 1')).to.equal('SELECT 1');
+  });
+
+});
@@ -84,7 +84,25 @@ manager.connection.query('CREATE TABLE `hello`')
   .then(ret => console.log(ret))
   .catch(err => console.error(err));
 
-// 事务（在 Master 连接执行）
+// 事务（在 Master 连接执行），函数返回的 Promise 成功则提交事务，失败则回滚事务
+manager.transaction(async function (tx) {
+  // 通过 tx.model() 获取的 Model 均在该事务中执行
+  const ret = await tx.model('User').insert({ name: '老雷' }).exec();
+  // 缓存会在事务提交后才删除
+  await tx.model('User').updateByPrimary({ id: ret.insertId }, { email: 'me@ucdok.com' });
+  // 嵌套事务使用 SAVEPOINT 实现，失败时仅回滚到 SAVEPOINT，不影响外层事务
+  await tx.transaction(async function (tx2) {
+    await tx2.model('User').updateByPrimary({ id: ret.insertId }, { name: '雷宗民' });
+  }).catch(err => console.error(err));
+  return ret.insertId;
+}).then(id => console.log(id)).catch(err => console.error(err));
+
+// 遇到死锁（ER_LOCK_DEADLOCK）或锁等待超时（ER_LOCK_WAIT_TIMEOUT）时自动重新执行整个事务
+manager.transaction({ retries: 3, retryDelay: 100, retryBackoff: 'exponential' }, async function (tx) {
+  await tx.model('User').updateByPrimary({ id: 123 }, { name: '老雷' });
+}).catch(err => console.error(err));
+
+// 也可以直接使用原始连接执行事务
 (async function () {
   const conn = await manager.connection.getMasterConnection();
   // 开始事务
@@ -6,13 +6,14 @@
 
 import Redis = require('ioredis');
 import mysql = require('mysql');
+import stream = require('stream');
 
 
 interface ICacheOptions {
   /**
-   * Redis 连接信息
+   * Redis 连接信息，使用 driver 时可选
    */
-  redis: Redis.RedisOptions;
+  redis?: Redis.RedisOptions;
   /**
    * 缓存时间，单位：秒
    */
@@ -21,6 +22,17 @@ interface ICacheOptions {
    * Redis Key 前缀
    */
   prefix: string;
+  /**
+   * 缓存驱动，默认使用 ioredis，可以使用 MemoryCacheDriver
+   */
+  driver?: ICacheDriver;
+}
+
+interface ICacheDriver {
+  /**
+   * 创建客户端，客户端需要提供 multi(), mget(), quit()
+   */
+  createClient(options: any): any;
 }
 
 interface ICacheItem {
@@ -40,9 +52,10 @@ declare class Cache extends NodeJS.EventEmitter {
    */
   constructor(options: ICacheOptions);
   /**
-   * 释放资源
+   * 释放资源，等待正在执行的操作结束后再关闭，之后的操作均返回 ClosedError
    */
   close(callback?: (err: Error) => void): Promise<any>;
+  close(options: ICloseOptions, callback?: (err: Error) => void): Promise<any>;
   /**
    * 存储缓存
    */
@@ -62,11 +75,266 @@ declare class Cache extends NodeJS.EventEmitter {
  */
 declare function createCache(options: ICacheOptions): Cache;
 
-interface IConnectionOptions {
+interface IConnectionConfig extends mysql.IPoolConfig {
+  /**
+   * 权重，默认为 1
+   */
+  weight?: number;
+  /**
+   * 标签，有标签的连接仅用于通过标签指定的查询
+   */
+  tags?: string[];
+  /**
+   * 连接创建后、首次使用前执行的 SQL，默认使用 Connection 的 initSql 参数
+   */
+  initSql?: string | string[];
+  /**
+   * 连接创建后、首次使用前执行的初始化函数，在 initSql 之后执行，默认使用 Connection 的 onConnect 参数
+   */
+  onConnect?: (conn: IMySQLConnection) => Promise<any> | any;
+}
+
+interface IConnectionOptions extends IConnectionBaseOptions {
   /**
    * MySQL 数据库连接数组
    */
-  connections: mysql.IPoolConfig[];
+  connections: IConnectionConfig[];
+}
+
+interface IConnectionBaseOptions {
+  /**
+   * 只读查询选择连接的策略，默认为 RR
+   */
+  selector?: 'RR' | 'RANDOM' | 'WEIGHTED' | 'LEAST_CONNECTIONS' | 'round-robin' | 'random' | 'weighted' | 'least-connections';
+  /**
+   * MySQL 驱动模块，默认为 require('mysql')，使用 require('mysql2') 时参数化查询将使用服务端预处理语句执行，
+   * 也可以使用 MemoryDriver，连接 PostgreSQL 时使用 PgDriver
+   */
+  driver?: any;
+  /**
+   * SQL 方言，默认为驱动的 dialect 属性或 mysql
+   */
+  dialect?: 'mysql' | 'postgresql' | Dialect;
+  /**
+   * SELECT 查询遇到网络错误（如 PROTOCOL_CONNECTION_LOST）时的重试次数，默认为 0
+   */
+  queryRetries?: number;
+  /**
+   * 重试前等待的时间（毫秒），默认为 100
+   */
+  queryRetryDelay?: number | ((attempt: number, err: Error) => number);
+  /**
+   * 重试等待时间的增长方式，默认为 fixed
+   */
+  queryRetryBackoff?: 'fixed' | 'linear' | 'exponential';
+  /**
+   * 默认的查询超时时间（毫秒），超时后会终止查询并返回 QueryTimeoutError，默认为 0 不限制
+   */
+  queryTimeout?: number;
+  /**
+   * 定时检查 Slave 的复制延迟，延迟过大或无法连接的 Slave 暂时不参与查询
+   */
+  slaveHealthCheck?: boolean | ISlaveHealthCheckOptions;
+  /**
+   * 记录执行时间超过阈值的查询
+   */
+  slowQueryLog?: boolean | ISlowQueryLogOptions;
+  /**
+   * 所有连接创建后、首次使用前执行的 SQL，初始化失败时销毁该连接并返回 ConnectionInitError
+   */
+  initSql?: string | string[];
+  /**
+   * 所有连接创建后、首次使用前执行的初始化函数，在 initSql 之后执行
+   */
+  onConnect?: (conn: IMySQLConnection) => Promise<any> | any;
+}
+
+interface ISlowQueryLogOptions {
+  /**
+   * 阈值，单位：毫秒，默认为 1000
+   */
+  threshold?: number;
+  /**
+   * 记录日志的函数，默认使用 debug 输出（DEBUG=super-orm:connection）
+   */
+  logger?: (info: IQueryEndInfo) => void;
+}
+
+interface IQueryInfo {
+  /**
+   * SQL 语句
+   */
+  sql: string;
+  /**
+   * 参数化查询的参数值
+   */
+  values?: any[];
+  /**
+   * 执行查询的连接池名称：MASTER, SLAVE0, SLAVE1...
+   */
+  pool: string | null;
+  /**
+   * 查询指定的标签
+   */
+  tag: string | null;
+}
+
+interface IQueryEndInfo extends IQueryInfo {
+  /**
+   * 执行时间，单位：毫秒
+   */
+  duration: number;
+  /**
+   * 返回的行数
+   */
+  rows: number;
+  /**
+   * 影响的行数
+   */
+  affectedRows: number;
+  /**
+   * 查询出错时的错误信息
+   */
+  error: Error | null;
+}
+
+interface IPoolStats {
+  /**
+   * 已创建的连接数量
+   */
+  total: number;
+  /**
+   * 空闲的连接数量
+   */
+  idle: number;
+  /**
+   * 正在使用的连接数量
+   */
+  inUse: number;
+  /**
+   * 排队等待连接的请求数量
+   */
+  queued: number;
+  /**
+   * 最大连接数量
+   */
+  connectionLimit: number;
+  /**
+   * 获取连接的次数
+   */
+  acquires: number;
+  /**
+   * 获取连接的总等待时间，单位：毫秒
+   */
+  acquireWaitTime: number;
+  /**
+   * 是否暂时不参与查询
+   */
+  down: boolean;
+}
+
+interface ISlaveHealthCheckOptions {
+  /**
+   * 检查间隔，单位：毫秒，默认为 5000
+   */
+  interval?: number;
+  /**
+   * 允许的最大延迟，单位：秒，默认为 10
+   */
+  maxLag?: number;
+  /**
+   * 查询延迟的语句，默认为 SHOW SLAVE STATUS，也可以查询心跳表，返回结果第一行第一列为延迟秒数
+   */
+  sql?: string;
+}
+
+interface ISlaveHealthInfo {
+  /**
+   * 检查时出现的错误
+   */
+  error: Error | null;
+  /**
+   * 复制延迟，单位：秒，复制未运行时为 null
+   */
+  lag: number | null;
+}
+
+interface ITransactionOptions {
+  /**
+   * 遇到死锁或锁等待超时时重新执行整个事务的次数，默认为 0
+   */
+  retries?: number;
+  /**
+   * 重试前等待的时间（毫秒），默认为 100
+   */
+  retryDelay?: number | ((attempt: number, err: Error) => number);
+  /**
+   * 重试等待时间的增长方式，默认为 exponential
+   */
+  retryBackoff?: 'fixed' | 'linear' | 'exponential';
+}
+
+interface ICloseOptions {
+  /**
+   * 最长等待时间（毫秒），超时后直接关闭，默认为 10000，0 表示不限制
+   */
+  timeout?: number;
+  /**
+   * 是否不等待正在执行的操作直接关闭
+   */
+  force?: boolean;
+}
+
+interface IStreamOptions {
+  /**
+   * 缓冲的最大行数，默认为 16
+   */
+  highWaterMark?: number;
+}
+
+interface IConnectionStreamOptions extends IStreamOptions {
+  /**
+   * 是否在 Master 执行
+   */
+  master?: boolean;
+  /**
+   * 处理每一行数据的函数
+   */
+  transform?: (row: any) => any;
+}
+
+interface IQueryObject {
+  /**
+   * SQL 语句，参数化查询时包含 ? 占位符
+   */
+  sql: string;
+  /**
+   * 参数化查询的参数值
+   */
+  values?: any[];
+  /**
+   * 在指定标签的连接上执行查询，没有该标签的连接时返回 UnknownTagError
+   */
+  tag?: string;
+  /**
+   * 查询超时时间（毫秒），超时后会终止查询并返回 QueryTimeoutError
+   */
+  timeout?: number;
+  /**
+   * 取消信号，触发 abort 事件后会终止查询并返回 QueryCancelledError
+   */
+  signal?: IAbortSignal;
+  /**
+   * 是否在 Master 执行，不指定时根据 SQL 语句判断
+   */
+  master?: boolean;
+}
+
+interface IAbortSignal {
+  /**
+   * 是否已取消
+   */
+  readonly aborted: boolean;
 }
 
 interface IMySQLConnection {
@@ -113,10 +381,13 @@ declare class Connection extends NodeJS.EventEmitter {
    */
   constructor(options: IConnectionOptions);
   /**
-   * 释放资源
+   * 释放资源，之后的查询均返回 ClosedError，等待正在执行的查询、事务及未释放的连接结束后再关闭连接池，
+   * 重复调用时返回同一个 Promise
+   * @param options 选项
    * @param callback 回调函数
    */
   close(callback?: (err: Error) => void): Promise<any>;
+  close(options: ICloseOptions, callback?: (err: Error) => void): Promise<any>;
   /**
    * 获取一个可用连接
    * @param callback 回调函数
@@ -137,19 +408,52 @@ declare class Connection extends NodeJS.EventEmitter {
    * @param sql SQL 语句
    * @param callback 回调函数
    */
-  query(sql: string, callback?: (err: Error, ret: any) => void): Promise<any>;
+  query(sql: string | IQueryObject, callback?: (err: Error, ret: any) => void): Promise<any>;
   /**
    * 在 Master 上执行查询
    * @param sql SQL 语句
    * @param callback 回调函数
    */
-  queryMaster(sql: string, callback?: (err: Error, ret: any) => void): Promise<any>;
+  queryMaster(sql: string | IQueryObject, callback?: (err: Error, ret: any) => void): Promise<any>;
   /**
    * 在 Slave 上执行查询
    * @param sql SQL 语句
    * @param callback 回调函数
    */
-  querySlave(sql: string, callback?: (err: Error, ret: any) => void): Promise<any>;
+  querySlave(sql: string | IQueryObject, callback?: (err: Error, ret: any) => void): Promise<any>;
+  /**
+   * 流式查询，返回 object mode 的 Readable，查询结束或者 Readable 被销毁后释放连接
+   * @param sql SQL 语句
+   * @param options 选项
+   */
+  stream(sql: string | IQueryObject, options?: IConnectionStreamOptions): stream.Readable;
+  /**
+   * 获取每个连接池的统计信息，格式为 { MASTER: {...}, SLAVE0: {...} }
+   */
+  stats(): { [id: string]: IPoolStats };
+  /**
+   * 检查所有 Slave 的复制延迟，状态变化时触发 slaveDown 和 slaveUp 事件
+   * @param callback 回调函数
+   */
+  checkSlaves(callback?: (err: Error) => void): Promise<any>;
+  on(event: 'slaveDown' | 'slaveUp', listener: (id: string, info: ISlaveHealthInfo) => void): this;
+  on(event: 'query', listener: (info: IQueryInfo) => void): this;
+  on(event: 'error', listener: (err: Error & { code?: string, pool?: string, sql?: string, originalError?: Error }) => void): this;
+  on(event: 'queryEnd', listener: (info: IQueryEndInfo) => void): this;
+  on(event: string | symbol, listener: Function): this;
+  /**
+   * 执行事务，所有查询均在同一个 Master 连接上执行
+   * @param fn 事务函数，返回的 Promise 成功则提交，失败则回滚
+   * @param callback 回调函数
+   */
+  transaction(fn: (tx: Transaction) => Promise<any> | any, callback?: (err: Error, ret: any) => void): Promise<any>;
+  /**
+   * 执行事务，所有查询均在同一个 Master 连接上执行
+   * @param options 选项
+   * @param fn 事务函数，返回的 Promise 成功则提交，失败则回滚
+   * @param callback 回调函数
+   */
+  transaction(options: ITransactionOptions, fn: (tx: Transaction) => Promise<any> | any, callback?: (err: Error, ret: any) => void): Promise<any>;
   /**
    * 格式化数据
    * @param value 数据
@@ -166,6 +470,73 @@ declare class Connection extends NodeJS.EventEmitter {
    * @param values 模板变量
    */
   format(sql: string, values?: any[] | any): string;
+  /**
+   * SQL 方言
+   */
+  dialect: Dialect;
+}
+
+declare class Transaction {
+  /**
+   * 执行嵌套事务（使用 SAVEPOINT 实现），失败时仅回滚到 SAVEPOINT
+   * @param fn 事务函数，返回的 Promise 成功则释放 SAVEPOINT，失败则回滚到 SAVEPOINT
+   * @param callback 回调函数
+   */
+  transaction(fn: (tx: Transaction) => Promise<any> | any, callback?: (err: Error, ret: any) => void): Promise<any>;
+  /**
+   * 获取绑定到当前事务的 Model
+   * @param model Model 实例
+   */
+  bind(model: Model): Model;
+  /**
+   * 获取绑定到当前事务的 Model（仅通过 Manager 创建的事务可用）
+   * @param name Model 名称
+   */
+  model(name: string): Model;
+  /**
+   * 在当前事务中执行查询
+   * @param sql SQL 语句
+   * @param callback 回调函数
+   */
+  query(sql: string | IQueryObject, callback?: (err: Error, ret: any) => void): Promise<any>;
+  /**
+   * 在当前事务中执行查询
+   * @param sql SQL 语句
+   * @param callback 回调函数
+   */
+  queryMaster(sql: string | IQueryObject, callback?: (err: Error, ret: any) => void): Promise<any>;
+  /**
+   * 在当前事务中执行查询
+   * @param sql SQL 语句
+   * @param callback 回调函数
+   */
+  querySlave(sql: string | IQueryObject, callback?: (err: Error, ret: any) => void): Promise<any>;
+  /**
+   * 在当前事务中执行流式查询
+   * @param sql SQL 语句
+   * @param options 选项
+   */
+  stream(sql: string | IQueryObject, options?: IConnectionStreamOptions): stream.Readable;
+  /**
+   * 格式化数据
+   * @param value 数据
+   */
+  escape(value: string): string;
+  /**
+   * 格式化 ID
+   * @param value ID 名称
+   */
+  escapeId(value: string): string;
+  /**
+   * 格式化 SQL 查询语句
+   * @param tpl SQL 查询
+   * @param values 模板变量
+   */
+  format(sql: string, values?: any[] | any): string;
+  /**
+   * SQL 方言
+   */
+  dialect: Dialect;
 }
 
 /**
@@ -184,7 +555,63 @@ interface IQueryBuilderOptions {
    * @param sql SQL 语句
    * @param callback 回调函数
    */
-  exec(sql: string, callback?: (err: Error, ret: any) => void);
+  exec(sql: string | IQueryObject, callback?: (err: Error, ret: any) => void);
+  /**
+   * 流式查询
+   * @param sql SQL 语句
+   * @param options 选项
+   */
+  stream?: (sql: string | IQueryObject, options: IStreamOptions) => stream.Readable;
+  /**
+   * 是否生成参数化查询
+   */
+  prepared?: boolean;
+  /**
+   * SQL 方言，默认为 mysql
+   */
+  dialect?: 'mysql' | 'postgresql' | Dialect;
+  /**
+   * 主键，作为 onDuplicate() 默认的冲突字段
+   */
+  primaryKey?: string | string[];
+}
+
+interface IBulkInsertOptions {
+  /**
+   * 每个语句最多插入的行数，默认为 1000
+   */
+  batchSize?: number;
+  /**
+   * 每个语句的值的最大字节数（估算），需要小于 max_allowed_packet，默认为 1MB
+   */
+  maxBytes?: number;
+  /**
+   * 是否在同一个事务中执行，默认为 false
+   */
+  transaction?: boolean;
+}
+
+interface IBulkInsertResult {
+  /**
+   * 影响的行数总和
+   */
+  affectedRows: number;
+  /**
+   * 执行的 INSERT 语句数量
+   */
+  batches: number;
+  /**
+   * 第一个自增主键，没有自增主键时为 null
+   */
+  firstInsertId: number | null;
+  /**
+   * 最后一个自增主键，没有自增主键时为 null
+   */
+  lastInsertId: number | null;
+  /**
+   * 每个语句生成的自增主键范围，部分行指定了自增主键的语句不计算
+   */
+  ranges: { first: number, last: number }[];
 }
 
 interface IQueryOptionsParams {
@@ -203,48 +630,177 @@ interface IQueryOptionsParams {
   /**
    * 返回字段列表
    */
-  fields: string[];
-}
-
-declare class QueryBuilder {
+  fields: string[];
+  /**
+   * 查询超时时间（毫秒）
+   */
+  timeout?: number;
+}
+
+declare class QueryBuilder {
+  /**
+   * 创建查询生成器
+   * @param options 选项
+   */
+  constructor(options: IQueryBuilderOptions);
+  /**
+   * 格式化 SQL 查询语句
+   * @param tpl SQL 查询
+   * @param values 模板变量
+   */
+  format(tpl: string, values?: any[] | any): string;
+  /**
+   * 查询条件
+   * @param condition SQL 语句或者条件对象，例如 { age: { $gte: 18 }, status: { $in: [ 'a' ] }, deleted_at: null, $or: [{ a: 1 }, { b: 2 }] }，
+   *                  字段的值可以是子查询（QueryBuilder 实例），也可以通过 $exists 和 $notExists 判断子查询是否有结果
+   * @param values 模板变量
+   */
+  where(condition: string | any | ((q: QueryBuilder) => any), values?: any[] | any): QueryBuilder;
+  /**
+   * 查询条件，与前面的条件为 AND 关系
+   * @param condition SQL 语句或者条件对象，格式参考 where()，也可以是回调函数，回调函数中组合的条件加上括号
+   * @param values 模板变量
+   */
+  and(condition: string | any | ((q: QueryBuilder) => any), values?: any[] | any): QueryBuilder;
+  /**
+   * 查询条件，与前面的条件为 OR 关系
+   * @param condition 格式与 and() 相同
+   * @param values 模板变量
+   */
+  or(condition: string | any | ((q: QueryBuilder) => any), values?: any[] | any): QueryBuilder;
+  /**
+   * 查询条件，与 or() 相同
+   * @param condition 格式与 and() 相同
+   * @param values 模板变量
+   */
+  orWhere(condition: string | any | ((q: QueryBuilder) => any), values?: any[] | any): QueryBuilder;
+  /**
+   * 查询条件：字段的值在列表中，列表为空时不匹配任何行
+   * @param name 字段名
+   * @param list 值列表
+   */
+  whereIn(name: string, list: any[] | QueryBuilder): QueryBuilder;
+  /**
+   * 查询条件：字段的值不在列表中，列表为空时匹配所有行
+   * @param name 字段名
+   * @param list 值列表
+   */
+  whereNotIn(name: string, list: any[] | QueryBuilder): QueryBuilder;
+  /**
+   * 查询条件：子查询有结果（EXISTS）
+   * @param query 子查询
+   */
+  whereExists(query: QueryBuilder): QueryBuilder;
+  /**
+   * 查询条件：子查询没有结果（NOT EXISTS）
+   * @param query 子查询
+   */
+  whereNotExists(query: QueryBuilder): QueryBuilder;
+  /**
+   * 查询条件：字段的值为 NULL
+   * @param name 字段名
+   */
+  whereNull(name: string): QueryBuilder;
+  /**
+   * 查询条件：字段的值不为 NULL
+   * @param name 字段名
+   */
+  whereNotNull(name: string): QueryBuilder;
+  /**
+   * 查询条件：字段的值在指定范围内（包括边界）
+   * @param name 字段名
+   * @param range 格式为 [ min, max ]
+   */
+  whereBetween(name: string, range: [ any, any ]): QueryBuilder;
+  /**
+   * 查询的字段
+   * @param fields 字段列表
+   */
+  select(...fields: string[]): QueryBuilder;
+  /**
+   * 查询的字段
+   * @param fields 字段列表，支持 name, table.name, table.* 以及 table.name AS alias 形式，
+   *               或者 { alias: subquery } 形式的返回单个值的子查询
+   */
+  fields(...fields: (string | { [alias: string]: QueryBuilder })[]): QueryBuilder;
+  /**
+   * 从子查询的结果中查询（派生表）
+   * @param query 子查询
+   * @param alias 别名
+   */
+  from(query: QueryBuilder, alias: string): QueryBuilder;
+  /**
+   * 设置表的别名，用于关联查询
+   * @param alias 别名
+   */
+  as(alias: string): QueryBuilder;
+  /**
+   * 关联查询（INNER JOIN）
+   * @param table 表名或者 Model 实例，使用 Model 时该表的字段按照对应 Model 的 schema 格式化输出
+   * @param on 关联条件，SQL 语句或者 { 'o.user_id': 'u.id' } 形式（键和值均为字段名）
+   * @param alias 别名
+   */
+  join(table: string | Model, on: string | { [name: string]: string }, alias?: string): QueryBuilder;
+  /**
+   * 关联查询（LEFT JOIN），参数与 join() 相同
+   */
+  leftJoin(table: string | Model, on: string | { [name: string]: string }, alias?: string): QueryBuilder;
+  /**
+   * 关联查询（RIGHT JOIN），参数与 join() 相同
+   */
+  rightJoin(table: string | Model, on: string | { [name: string]: string }, alias?: string): QueryBuilder;
+  /**
+   * 查询数量
+   * @param 返回的字段名
+   */
+  count(name: string): QueryBuilder;
   /**
-   * 创建查询生成器
-   * @param options 选项
+   * 分组
+   * @param fields 字段列表
    */
-  constructor(options: IQueryBuilderOptions);
+  groupBy(...fields: string[]): QueryBuilder;
   /**
-   * 格式化 SQL 查询语句
-   * @param tpl SQL 查询
+   * HAVING 条件，与前面的条件为 AND 关系
+   * @param condition 格式与 and() 相同
    * @param values 模板变量
    */
-  format(tpl: string, values?: any[] | any): string;
+  having(condition: string | any | ((q: QueryBuilder) => any), values?: any[] | any): QueryBuilder;
   /**
-   * 查询条件
-   * @param condition SQL 语句
+   * HAVING 条件，与前面的条件为 OR 关系
+   * @param condition 格式与 and() 相同
    * @param values 模板变量
    */
-  where(condition: string | any, values?: any[] | any): QueryBuilder;
+  orHaving(condition: string | any | ((q: QueryBuilder) => any), values?: any[] | any): QueryBuilder;
   /**
-   * 查询条件
-   * @param condition SQL 语句
-   * @param values 模板变量
+   * 查询字段的总和
+   * @param field 字段名
+   * @param alias 结果的字段名，默认与字段名相同
    */
-  and(condition: string | any, values?: any[] | any): QueryBuilder;
+  sum(field: string, alias?: string): QueryBuilder;
   /**
-   * 查询的字段
-   * @param fields 字段列表
+   * 查询字段的平均值
+   * @param field 字段名
+   * @param alias 结果的字段名，默认与字段名相同
    */
-  select(...fields: string[]): QueryBuilder;
+  avg(field: string, alias?: string): QueryBuilder;
   /**
-   * 查询的字段
-   * @param fields 字段列表
+   * 查询字段的最小值
+   * @param field 字段名
+   * @param alias 结果的字段名，默认与字段名相同
    */
-  fields(...fields: string[]): QueryBuilder;
+  min(field: string, alias?: string): QueryBuilder;
   /**
-   * 查询数量
-   * @param 返回的字段名
+   * 查询字段的最大值
+   * @param field 字段名
+   * @param alias 结果的字段名，默认与字段名相同
    */
-  count(name: string): QueryBuilder;
+  max(field: string, alias?: string): QueryBuilder;
+  /**
+   * 查询字段不重复的值的数量
+   * @param field 字段名
+   * @param alias 结果的字段名，默认与字段名相同
+   */
+  countDistinct(field: string, alias?: string): QueryBuilder;
   /**
    * 更新
    * @param update 数据对象或 SQL 语句
@@ -258,10 +814,30 @@ declare class QueryBuilder {
    */
   set(update: string | any, values?: any[] | any): QueryBuilder;
   /**
-   * 插入
+   * 插入，插入多行时字段为所有行的字段的并集，缺少的字段使用 DEFAULT
    * @param data 一行数据或数组
    */
   insert(data: any[] | any): QueryBuilder;
+  /**
+   * 插入，忽略唯一键冲突的行（MySQL 为 INSERT IGNORE，PostgreSQL 为 ON CONFLICT DO NOTHING）
+   * @param data 一行数据或数组
+   */
+  insertIgnore(data: any[] | any): QueryBuilder;
+  /**
+   * 插入，唯一键冲突时先删除原来的行（REPLACE INTO，仅支持 MySQL）
+   * @param data 一行数据或数组
+   */
+  replace(data: any[] | any): QueryBuilder;
+  /**
+   * 设置 onDuplicate() 判断冲突的字段（PostgreSQL 的 ON CONFLICT (...)），默认为主键
+   * @param keys 字段列表
+   */
+  onConflict(...keys: string[]): QueryBuilder;
+  /**
+   * 插入时遇到唯一键冲突则更新原来的行，没有指定时更新除冲突字段以外所有插入的字段为插入的值
+   * @param update 字段列表（更新为插入的值），或者 { name: value | { $values: 'name' } | { $inc: 1 } } 形式的对象，或者 SQL 语句
+   */
+  onDuplicate(update?: string | string[] | { [name: string]: any }): QueryBuilder;
   /**
    * 删除
    */
@@ -288,20 +864,53 @@ declare class QueryBuilder {
    * @param rows 行数
    */
   limit(rows: number): QueryBuilder;
+  /**
+   * INSERT, UPDATE, DELETE 返回指定字段的值，没有指定字段时返回所有字段，需要方言支持 RETURNING
+   * @param fields 字段列表
+   */
+  returning(...fields: string[]): QueryBuilder;
+  /**
+   * 在指定标签的连接上执行查询
+   * @param tag 标签
+   */
+  on(tag: string): QueryBuilder;
+  /**
+   * 在 Master 执行，忽略根据 SQL 语句判断的结果
+   */
+  useMaster(): QueryBuilder;
+  /**
+   * 按照只读的查询选择服务器，忽略根据 SQL 语句判断的结果
+   */
+  useSlave(): QueryBuilder;
+  /**
+   * 设置查询超时时间，超时后会终止查询并返回 QueryTimeoutError
+   * @param ms 毫秒，为 0 时不限制
+   */
+  timeout(ms: number): QueryBuilder;
+  /**
+   * 设置取消信号，触发 abort 事件后会终止查询并返回 QueryCancelledError
+   * @param signal AbortSignal 或者兼容的对象
+   */
+  signal(signal: IAbortSignal): QueryBuilder;
   /**
    * 快速设置
    * @param options 选项
    */
   options(options: IQueryOptionsParams): QueryBuilder;
   /**
-   * 生成 SQL 语句
+   * 生成 SQL 语句，参数化查询时返回 { sql, values }
    */
-  build(): string;
+  build(): string | IQueryObject;
   /**
    * 执行查询
    * @param callback 回调函数
    */
   exec(callback?: (err: Error, ret: any) => void): Promise<any>;
+  /**
+   * 流式查询，返回 object mode 的 Readable，也可以通过 for await 遍历
+   * @param options 选项
+   */
+  stream(options?: IStreamOptions): stream.Readable;
 }
 
 /**
@@ -367,6 +976,17 @@ declare class Schema {
    * @param data 数据
    */
   formatOutput(data: any): any;
+  /**
+   * 格式化输出单个字段的值
+   * @param name 字段名
+   * @param value 值
+   */
+  formatOutputField(name: string, value: any): any;
+  /**
+   * 是否定义了指定字段
+   * @param name 字段名
+   */
+  hasField(name: string): boolean;
   /**
    * 格式化输出数组
    * @param data 数据
@@ -401,19 +1021,59 @@ interface IModelBaseOptions extends ISchemaOptions {
    * 主键是否自增
    */
   autoIncrement?: boolean;
+  /**
+   * 是否使用参数化查询，驱动支持时使用服务端预处理语句
+   */
+  prepared?: boolean;
+  /**
+   * 写操作后在指定时间（毫秒）内的读操作在 Master 执行，默认为 0 不启用
+   */
+  stickyMaster?: number;
+  /**
+   * stickyMaster 的范围，默认为 key，表示仅对 *ByPrimary() 写入的同一主键生效（包括 getByPrimary()，
+   * 以及 WHERE 条件通过值、$eq 或 $in 指定了该主键且不包含 OR 的查询），model 表示对整个 Model 生效
+   */
+  stickyMasterScope?: 'key' | 'model';
+  /**
+   * 分片键字段名，指定后按照分片键的值将数据分布到 connections 中的多个分片
+   */
+  shardKey?: string;
+  /**
+   * 分片函数，返回分片序号（从 0 开始），默认整数按照取模计算，其他值按照哈希值取模计算
+   */
+  shard?: (value: any, count: number) => number;
 }
 
 interface IModelOptions extends IModelBaseOptions {
   /**
    * Connection 实例
    */
-  connection: Connection,
+  connection?: Connection,
+  /**
+   * 每个分片的 Connection 实例，指定 shardKey 时使用
+   */
+  connections?: Connection[],
   /**
    * Cache 实例
    */
   cache: Cache,
 }
 
+interface IRegisterModelOptions extends IModelBaseOptions {
+  /**
+   * 连接名称或者 Connection 实例，默认为默认连接
+   */
+  connection?: string | Connection,
+  /**
+   * 缓存名称或者 Cache 实例，默认为默认缓存
+   */
+  cache?: string | Cache,
+  /**
+   * 每个分片的连接，可以为连接名称，Connection 实例，连接信息数组（第一个为 master）或者 Connection 的选项
+   */
+  connections?: (string | Connection | IConnectionConfig[] | IConnectionOptions)[],
+}
+
 interface IModelQueryOptions {
   /**
    * 是否自动格式化查询结果
@@ -423,6 +1083,10 @@ interface IModelQueryOptions {
    * 回调函数
    */
   callback(err: Error, ret: any, callback?: (err: Error, ret: any) => void): void,
+  /**
+   * 是否在 Master 执行
+   */
+  master?: boolean,
 }
 
 declare class Model {
@@ -437,6 +1101,15 @@ declare class Model {
    * @param strict 是否严格检查每个键的数据都存在
    */
   getPrimaryCacheKey(data: any, strict: boolean): string;
+  /**
+   * 获取绑定到指定分片的 Model
+   * @param value 分片键的值
+   */
+  shard(value: any): Model;
+  /**
+   * 获取缓存命中统计
+   */
+  cacheStats(): { hits: number, misses: number, errors: number };
   /**
    * 仅保留主键的数据
    * @param data 数据
@@ -477,6 +1150,10 @@ declare class Model {
    * 查询数据
    */
   count(): QueryBuilder;
+  /**
+   * 聚合查询，没有指定查询字段时返回 GROUP BY 的字段及聚合函数的结果
+   */
+  aggregate(): QueryBuilder;
   /**
    * 更新
    * @param update 数据
@@ -506,6 +1183,22 @@ declare class Model {
    * 插入
    */
   insert(data: any[] | any): QueryBuilder;
+  /**
+   * 插入，忽略唯一键冲突的行
+   */
+  insertIgnore(data: any[] | any): QueryBuilder;
+  /**
+   * 批量插入，按照行数和 SQL 语句的大小分成多个 INSERT 语句依次执行
+   * @param list 数据数组，每一行的字段可以不同
+   * @param options 选项
+   * @param callback 回调函数
+   */
+  bulkInsert(list: any[], options?: IBulkInsertOptions, callback?: (err: Error, ret: IBulkInsertResult) => void): Promise<IBulkInsertResult>;
+  bulkInsert(list: any[], callback?: (err: Error, ret: IBulkInsertResult) => void): Promise<IBulkInsertResult>;
+  /**
+   * 插入，唯一键冲突时先删除原来的行（仅支持 MySQL）
+   */
+  replace(data: any[] | any): QueryBuilder;
   /**
    * 执行原始 SQL 查询
    * @param sql SQL 语句
@@ -531,6 +1224,12 @@ declare class Model {
    * @param callback 回调函数
    */
   deleteByPrimary(query: any, callback?: (err: Error, ret: any) => void): Promise<any>;
+  /**
+   * 插入或更新（主键冲突时更新插入的字段）主键数据，并删除缓存
+   * @param data 数据，需要包含主键
+   * @param callback 回调函数
+   */
+  upsertByPrimary(data: any, callback?: (err: Error, ret: any) => void): Promise<any>;
 }
 
 /**
@@ -539,7 +1238,59 @@ declare class Model {
  */
 declare function createModel(options: IModelOptions): Model;
 
-interface IManagerOptions extends ICacheOptions, IConnectionOptions {}
+interface IManagerOptions extends IConnectionBaseOptions {
+  /**
+   * Redis 连接信息
+   */
+  redis?: Redis.RedisOptions;
+  /**
+   * 缓存时间，单位：秒
+   */
+  ttl?: number;
+  /**
+   * Redis Key 前缀
+   */
+  prefix?: string;
+  /**
+   * MySQL 数据库连接数组，如果为对象则表示多个命名的连接，名为 default 的连接（如果没有则为第一个）作为默认连接
+   */
+  connections: IConnectionConfig[] | { [name: string]: IConnectionConfig[] | IConnectionOptions };
+  /**
+   * 多个命名的缓存，未指定的选项与 Manager 相同，名为 default 的缓存（如果没有则为第一个）作为默认缓存
+   */
+  caches?: { [name: string]: { redis?: Redis.RedisOptions, ttl?: number, prefix?: string, driver?: ICacheDriver } };
+  /**
+   * 缓存驱动，默认使用 ioredis，可以使用 MemoryCacheDriver
+   */
+  cacheDriver?: ICacheDriver;
+  /**
+   * 注册的 Model 默认是否使用参数化查询
+   */
+  prepared?: boolean;
+  /**
+   * 写操作后在指定时间（毫秒）内的读操作在 Master 执行，作为注册的 Model 及 context() 的默认值
+   */
+  stickyMaster?: number;
+  /**
+   * 注册的 Model 默认的 stickyMaster 范围
+   */
+  stickyMasterScope?: 'key' | 'model';
+}
+
+interface IContextOptions {
+  /**
+   * 写操作后读操作在 Master 执行的时间（毫秒），默认与 Manager 相同
+   */
+  stickyMaster?: number;
+}
+
+declare class Context {
+  /**
+   * 获取绑定到当前 Context 的 Model
+   * @param name Model 名称
+   */
+  model(name: string): Model;
+}
 
 declare class Manager extends NodeJS.EventEmitter {
   /**
@@ -556,16 +1307,33 @@ declare class Manager extends NodeJS.EventEmitter {
    */
   connection: Connection;
   /**
-   * 释放资源
+   * 获取指定名称的 Connection
+   * @param name 连接名称
+   */
+  getConnection(name: string): Connection;
+  /**
+   * 获取指定名称的 Cache
+   * @param name 缓存名称
+   */
+  getCache(name: string): Cache;
+  /**
+   * 生成 Prometheus 文本格式的指标，包括所有连接池的统计信息及每个 Model 的缓存命中统计
+   * @param options 选项
+   */
+  metrics(options?: { prefix?: string }): string;
+  /**
+   * 释放资源，先停止接受新的查询，等待正在执行的查询及事务结束后关闭连接池，再等待缓存操作结束后关闭缓存
+   * @param options 选项
    * @param callback 回调函数
    */
   close(callback?: (err: Error) => void): Promise<any>;
+  close(options: ICloseOptions, callback?: (err: Error) => void): Promise<any>;
   /**
    * 注册 Model
    * @param name Model 名称
    * @param options 选项
    */
-  registerModel(name: string, options: IModelBaseOptions): void;
+  registerModel(name: string, options: IRegisterModelOptions): void;
   /**
    * Model 是否存在
    * @param name Mode 名称
@@ -576,6 +1344,31 @@ declare class Manager extends NodeJS.EventEmitter {
    * @param name Model 名称
    */
   model(name: string): Model;
+  /**
+   * 创建 Context，在 Context 中执行写操作后，一段时间内该 Context 中的读操作均在 Master 执行
+   * @param options 选项
+   */
+  context(options?: IContextOptions): Context;
+  /**
+   * 执行事务，通过 tx.model(name) 获取的 Model 均在该事务中执行
+   * @param fn 事务函数，返回的 Promise 成功则提交，失败则回滚
+   * @param callback 回调函数
+   */
+  transaction(fn: (tx: Transaction) => Promise<any> | any, callback?: (err: Error, ret: any) => void): Promise<any>;
+  /**
+   * 执行事务，通过 tx.model(name) 获取的 Model 均在该事务中执行
+   * @param options 选项
+   * @param fn 事务函数，返回的 Promise 成功则提交，失败则回滚
+   * @param callback 回调函数
+   */
+  transaction(options: IManagerTransactionOptions, fn: (tx: Transaction) => Promise<any> | any, callback?: (err: Error, ret: any) => void): Promise<any>;
+}
+
+interface IManagerTransactionOptions extends ITransactionOptions {
+  /**
+   * 在指定名称的连接上执行，默认为默认连接
+   */
+  connection?: string;
 }
 
 /**
@@ -583,3 +1376,217 @@ declare class Manager extends NodeJS.EventEmitter {
  * @param options 选项
  */
 declare function createManager(options: IManagerOptions): Manager;
+
+interface IMemoryDriverOptions {
+  /**
+   * 每个查询的执行时间（毫秒），默认为 0
+   */
+  delay?: number;
+  /**
+   * 使用该驱动的 Connection 的 SQL 方言，默认为 mysql
+   */
+  dialect?: 'mysql' | 'postgresql' | Dialect;
+  /**
+   * 连接是否提供 execute() 执行预处理语句，默认为 true
+   */
+  execute?: boolean;
+}
+
+interface IMemoryQueryRecord {
+  /**
+   * SQL 语句
+   */
+  sql: string;
+  /**
+   * 参数化查询的参数值
+   */
+  values?: any[];
+  /**
+   * 是否通过 execute() 以预处理语句执行
+   */
+  prepared: boolean;
+  /**
+   * 连接池 id，例如 MASTER, SLAVE0
+   */
+  pool: string | null;
+  /**
+   * 连接的 threadId
+   */
+  threadId: number;
+}
+
+declare class MemoryDriver {
+  /**
+   * 创建内存驱动，不连接数据库，记录执行的 SQL 并返回预设的结果，用于单元测试
+   */
+  constructor(options?: IMemoryDriverOptions);
+  /**
+   * 执行过的查询
+   */
+  queries: IMemoryQueryRecord[];
+  /**
+   * 设置匹配的 SQL 返回的结果，后设置的优先匹配
+   * @param pattern 字符串（完全相同），正则表达式或者函数
+   * @param result 返回的结果，如果为 Error 则返回该错误，如果为函数则返回结果或者 Error
+   * @param options 选项
+   */
+  when(pattern: string | RegExp | ((sql: string, values?: any[]) => boolean), result: any, options?: { delay?: number, times?: number }): this;
+  /**
+   * 清空执行过的查询及预设的结果
+   */
+  reset(): this;
+  createPoolCluster(): any;
+  createConnection(config: any): any;
+}
+
+/**
+ * 创建 MemoryDriver 实例
+ * @param options 选项
+ */
+declare function createMemoryDriver(options?: IMemoryDriverOptions): MemoryDriver;
+
+declare class MemoryCacheDriver implements ICacheDriver {
+  /**
+   * 创建进程内的缓存驱动，同一个驱动创建的客户端共享数据，用于单元测试
+   */
+  constructor();
+  /**
+   * 创建客户端
+   */
+  createClient(options?: any): any;
+  /**
+   * 获取所有未过期的 Key
+   */
+  keys(): string[];
+  /**
+   * 清空所有数据
+   */
+  reset(): this;
+}
+
+/**
+ * 创建 MemoryCacheDriver 实例
+ */
+declare function createMemoryCacheDriver(): MemoryCacheDriver;
+
+declare class Dialect {
+  /**
+   * 创建 SQL 方言，默认按照标准 SQL 生成（双引号标识符、LIMIT n OFFSET m）
+   * @param name 名称
+   */
+  constructor(name: string);
+  /**
+   * 名称
+   */
+  name: string;
+  /**
+   * 是否支持 RETURNING 语句
+   */
+  supportsReturning: boolean;
+  /**
+   * 查询 Slave 复制延迟的语句
+   */
+  slaveLagSql?: string;
+  /**
+   * 转义值
+   * @param value 数据
+   */
+  escape(value: any): string;
+  /**
+   * 转义标识符（表名、字段名）
+   * @param name 名称
+   */
+  escapeId(name: string | string[]): string;
+  /**
+   * 格式化查询
+   * @param sql SQL 语句
+   * @param values 模板变量
+   */
+  format(sql: string, values: any[] | any): string;
+  /**
+   * 生成 LIMIT 语句
+   * @param skip 跳过的行数
+   * @param limit 返回的行数
+   */
+  limit(skip: number, limit: number): string;
+  /**
+   * 生成 UPDATE 和 DELETE 语句的 WHERE 及 LIMIT 部分
+   * @param table 已转义的表名
+   * @param where WHERE 语句
+   * @param limit LIMIT 语句
+   */
+  limitedWhere(table: string, where: string, limit: string): string;
+  /**
+   * 生成 INSERT 语句遇到唯一键冲突时更新的部分，update 为空时忽略冲突的行
+   * @param keys 判断冲突的字段名
+   * @param update 更新的语句
+   */
+  upsert?(keys: string[], update: string): string;
+  /**
+   * 在 upsert() 的更新语句中引用准备插入的值
+   * @param name 字段名
+   */
+  insertedValue?(name: string): string;
+  /**
+   * 返回忽略唯一键冲突的 INSERT 语句的开头和结尾
+   */
+  insertIgnore?(): { prefix: string, suffix: string };
+  /**
+   * 返回 REPLACE 语句的开头
+   */
+  replaceInto?(): string;
+  /**
+   * 生成 RETURNING 语句
+   * @param fields 字段名
+   */
+  returning?(fields: string[]): string;
+  /**
+   * 终止指定连接正在执行的查询的语句
+   * @param threadId 连接的 threadId
+   */
+  killQuery?(threadId: number): string;
+}
+
+declare class MySQLDialect extends Dialect {
+  constructor();
+}
+
+declare class PostgreSQLDialect extends Dialect {
+  constructor();
+}
+
+/**
+ * 获取方言
+ * @param dialect 名称（mysql, postgresql, postgres, pg）或者 Dialect 实例，默认为 mysql
+ */
+declare function getDialect(dialect?: string | Dialect): Dialect;
+
+interface IPgDriverOptions {
+  /**
+   * pg 模块，默认为 require('pg')
+   */
+  pg?: any;
+  /**
+   * 自定义类型解析，默认将 int8 和 numeric 解析为 Number
+   */
+  types?: any;
+}
+
+declare class PgDriver {
+  /**
+   * 创建基于 pg 模块的 PostgreSQL 驱动
+   */
+  constructor(options?: IPgDriverOptions);
+  /**
+   * SQL 方言
+   */
+  dialect: string;
+  createPoolCluster(): any;
+  createConnection(config: any): any;
+}
+
+/**
+ * 创建 PgDriver 实例
+ * @param options 选项
+ */
+declare function createPgDriver(options?: IPgDriverOptions): PgDriver;